@@ -0,0 +1,70 @@
+// ===== ACCESSIBILITY =====
+// The pieces of the page that don't depend on WebGL: the reduced-motion
+// preference, a polite live region that reads out each section's card as the
+// tour reaches it, and the check that decides between the 3D view and the
+// text-only fallback.
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+let motionQuery = null;
+let liveRegion = null;
+
+// ?motion=reduce / ?motion=full override the system setting (handy for testing either way)
+export function prefersReducedMotion() {
+    const override = new URLSearchParams(window.location.search).get('motion');
+    if (override === 'reduce' || override === 'full') return override === 'reduce';
+    motionQuery ??= window.matchMedia?.(REDUCED_MOTION_QUERY) || null;
+    return !!motionQuery?.matches;
+}
+
+// onChange(reduced) fires when the system setting changes while the page is open
+export function watchReducedMotion(onChange) {
+    prefersReducedMotion();
+    motionQuery?.addEventListener('change', () => onChange(prefersReducedMotion()));
+}
+
+// ===== ANNOUNCEMENTS =====
+export function setupAnnouncer() {
+    if (liveRegion) return;
+    liveRegion = document.createElement('div');
+    liveRegion.id = 'live-announcer';
+    liveRegion.className = 'visually-hidden';
+    liveRegion.setAttribute('role', 'status');
+    liveRegion.setAttribute('aria-live', 'polite');
+    liveRegion.setAttribute('aria-atomic', 'true');
+    document.body.appendChild(liveRegion);
+}
+
+// Screen readers skip a region whose text is set to what it already holds, so it's cleared first
+export function announce(text) {
+    if (!liveRegion) return;
+    liveRegion.textContent = '';
+    requestAnimationFrame(() => { liveRegion.textContent = text; });
+}
+
+// What a tour section reads as: its nav label, then its card or hero text
+export function describeSection(section) {
+    const parts = [section.nav];
+    if (section.hero) {
+        parts.push(section.hero.title.map(line => line.text).join(' '), section.hero.description);
+        section.hero.stats?.forEach(st => parts.push(`${st.value} ${st.label}`));
+    } else if (section.card) {
+        parts.push(section.card.title, section.card.desc);
+        section.card.stats?.forEach(st => parts.push(`${st.value} ${st.label}`));
+        section.card.specs?.forEach(([name, value]) => parts.push(`${name} ${value}`));
+    }
+    return parts.filter(Boolean).map(part => part.replace(/[.\s]+$/, '')).join('. ');
+}
+
+// ===== WEBGL =====
+// A throwaway context; the renderer makes its own
+export function hasWebGL() {
+    try {
+        const canvas = document.createElement('canvas');
+        const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+        gl?.getExtension('WEBGL_lose_context')?.loseContext();
+        return !!gl;
+    } catch (e) {
+        return false;
+    }
+}
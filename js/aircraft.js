@@ -0,0 +1,232 @@
+import * as THREE from 'three';
+
+// ===== AIRCRAFT INSTANCES =====
+// Every aircraft in the scene is an instance: its model, animation mixer and
+// where it sits relative to the shared scroll pose. The first is the tour's
+// own aircraft, the one the rig, explode, hotspots, loadout, livery and
+// flight work on; the others are comparison aircraft following the same pose.
+// Each is described by a metadata file:
+//
+//   {
+//       "id": "su27",
+//       "name": "Su-27S",
+//       "model": "./assets/su27.glb",                 (URL or a list of fallback URLs)
+//       "unitsPerMetre": 1,                           (model units per metre, for true relative scale;
+//                                                      glTF's own unit is the metre)
+//       "rotation": [0, -90, 0],                      (optional degrees turning the model nose +x, up +y)
+//       "note": "...",                                (optional, shown under the name in the spec table)
+//       "specs": { "length": 21.9, "maxSpeed": 2.35, "radar": "N001" }
+//                                                     (SPEC_FIELDS get labels, units and a best value;
+//                                                      other keys are listed as given)
+//   }
+
+export const SPEC_FIELDS = {
+    length: { label: 'LENGTH', unit: 'm' },
+    wingspan: { label: 'WINGSPAN', unit: 'm' },
+    height: { label: 'HEIGHT', unit: 'm' },
+    emptyMass: { label: 'EMPTY MASS', unit: 'kg', better: 'lower' },
+    maxTakeoffMass: { label: 'MAX TAKE-OFF', unit: 'kg', better: 'higher' },
+    thrust: { label: 'THRUST', unit: 'kN', better: 'higher' },
+    maxSpeed: { label: 'MAX SPEED', unit: 'Mach', better: 'higher' },
+    ceiling: { label: 'CEILING', unit: 'm', better: 'higher' },
+    range: { label: 'RANGE', unit: 'km', better: 'higher' },
+    gLimit: { label: 'G LIMIT', unit: 'g', better: 'higher' },
+    hardpoints: { label: 'HARDPOINTS', better: 'higher' }
+};
+
+// The tour's aircraft plus up to two for comparison; overlaid, those are
+// drawn see-through in these colours, in order
+export const MAX_FLEET = 3;
+export const COMPARE_COLORS = [0x3d7eff, 0xff8a3d];
+
+export class AircraftMetadataError extends Error {
+    constructor(url, errors) {
+        super(`Invalid aircraft metadata ${url}:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'AircraftMetadataError';
+        this.errors = errors;
+    }
+}
+
+const SIDE_GAP = 0.15;          // space between aircraft side by side, as a fraction of their radius
+
+export async function loadAircraftMetadata(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Could not load aircraft metadata ${url} (HTTP ${res.status})`);
+    let data;
+    try {
+        data = await res.json();
+    } catch (e) {
+        throw new AircraftMetadataError(url, [`not valid JSON (${e.message})`]);
+    }
+    return parseAircraftMetadata(data, url);
+}
+
+// Throws AircraftMetadataError listing every problem
+export function parseAircraftMetadata(data, source) {
+    const errors = validateAircraftMetadata(data);
+    if (errors.length) throw new AircraftMetadataError(source, errors);
+    return { unitsPerMetre: 1, rotation: [0, 0, 0], note: '', specs: {}, ...data };
+}
+
+export function validateAircraftMetadata(data) {
+    const errors = [];
+    const err = (path, msg) => errors.push(`${path}: ${msg}`);
+    if (!isObject(data)) {
+        err('aircraft', 'expected an object');
+        return errors;
+    }
+    if (!(typeof data.id === 'string' && /^[A-Za-z0-9-]+$/.test(data.id))) err('id', 'expected letters, digits or "-"');
+    if (!isString(data.name)) err('name', 'expected a non-empty string');
+    const models = [].concat(data.model);
+    if (!(models.length && models.every(isString))) err('model', 'expected a URL or a non-empty list of URLs');
+    if (data.unitsPerMetre !== undefined && !(isNumber(data.unitsPerMetre) && data.unitsPerMetre > 0)) {
+        err('unitsPerMetre', 'expected a number > 0');
+    }
+    if (data.rotation !== undefined && !(Array.isArray(data.rotation) && data.rotation.length === 3 && data.rotation.every(isNumber))) {
+        err('rotation', 'expected [x, y, z] degrees');
+    }
+    if (data.note !== undefined && typeof data.note !== 'string') err('note', 'expected a string');
+    if (data.specs !== undefined) {
+        if (!isObject(data.specs)) {
+            err('specs', 'expected an object of values');
+        } else {
+            Object.entries(data.specs).forEach(([key, value]) => {
+                if (SPEC_FIELDS[key] && !isNumber(value)) err(`specs.${key}`, `expected a number${SPEC_FIELDS[key].unit ? ` in ${SPEC_FIELDS[key].unit}` : ''}`);
+                else if (!isNumber(value) && !isString(value)) err(`specs.${key}`, 'expected a number or a string');
+            });
+        }
+    }
+    return errors;
+}
+
+// A model that already matches the scene (unitsPerMetre equal, no rotation)
+// is used as is; any other is wrapped in a group that scales and turns it
+export function createAircraftInstance(meta, gltf, sceneUnitsPerMetre = meta.unitsPerMetre) {
+    const scale = sceneUnitsPerMetre / meta.unitsPerMetre;
+    let object = gltf.scene;
+    if (scale !== 1 || meta.rotation.some(r => r !== 0)) {
+        gltf.scene.scale.setScalar(scale);
+        gltf.scene.rotation.fromArray(meta.rotation.map(THREE.MathUtils.degToRad));
+        object = new THREE.Group();
+        object.add(gltf.scene);
+    }
+    object.name = `aircraft:${meta.id}`;
+
+    let mixer = null;
+    if (gltf.animations?.length > 0) {
+        mixer = new THREE.AnimationMixer(gltf.scene);
+        gltf.animations.forEach(clip => mixer.clipAction(clip).play());
+    }
+    gltf.scene.traverse(child => {
+        if (!child.isMesh) return;
+        child.castShadow = true;
+        child.receiveShadow = true;
+    });
+    const sphere = new THREE.Box3().setFromObject(object).getBoundingSphere(new THREE.Sphere());
+    return {
+        id: meta.id,
+        meta,
+        object,
+        mixer,
+        radius: sphere.radius,
+        offset: new THREE.Vector3(),    // world-space shift from the shared pose
+        ghost: null,                    // mesh -> own material while drawn see-through
+        ghostMaterial: null
+    };
+}
+
+export function disposeAircraftInstance(instance) {
+    setInstanceGhosted(instance, null);
+    instance.object.removeFromParent();
+    instance.mixer?.stopAllAction();
+    instance.object.traverse(child => {
+        if (!child.isMesh) return;
+        child.geometry.dispose();
+        [].concat(child.material).forEach(m => {
+            Object.values(m).forEach(v => { if (v?.isTexture) v.dispose(); });
+            m.dispose();
+        });
+    });
+}
+
+// color: a COMPARE_COLORS entry to draw the instance see-through, or null for its own materials
+export function setInstanceGhosted(instance, color) {
+    if (instance.ghost) {
+        instance.ghost.forEach((material, mesh) => { mesh.material = material; });
+        instance.ghostMaterial.dispose();
+        instance.ghost = null;
+    }
+    if (color === null) return;
+    instance.ghost = new Map();
+    instance.ghostMaterial = new THREE.MeshStandardMaterial({
+        color,
+        transparent: true,
+        opacity: 0.35,
+        depthWrite: false,
+        metalness: 0.2,
+        roughness: 0.6
+    });
+    instance.object.traverse(child => {
+        if (!child.isMesh || child.userData.helper) return;
+        instance.ghost.set(child, child.material);
+        child.material = instance.ghostMaterial;
+    });
+}
+
+// Spreads the fleet along the camera's right axis, largest gaps for the
+// largest aircraft, or stacks it on the pose for "overlay". Returns the
+// row's width over the first aircraft's, for pulling the camera back.
+export function layoutFleet(fleet, mode, camera) {
+    if (mode === 'overlay' || fleet.length < 2) {
+        fleet.forEach(instance => instance.offset.set(0, 0, 0));
+        return 1;
+    }
+    const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0).normalize();
+    const widths = fleet.map(instance => instance.radius * (2 + SIDE_GAP));
+    const total = widths.reduce((sum, w) => sum + w, 0);
+    let cursor = -total / 2;
+    fleet.forEach((instance, i) => {
+        instance.offset.copy(right).multiplyScalar(cursor + widths[i] / 2);
+        cursor += widths[i];
+    });
+    return total / widths[0];
+}
+
+// One row per spec any aircraft has: SPEC_FIELDS first in their order, then
+// the rest. values[i] is { text, best } for metas[i], text '—' when missing.
+export function compareSpecs(metas) {
+    const keys = [...new Set([...Object.keys(SPEC_FIELDS), ...metas.flatMap(m => Object.keys(m.specs))])]
+        .filter(key => metas.some(m => m.specs[key] !== undefined));
+    return keys.map(key => {
+        const field = SPEC_FIELDS[key] || { label: key.replace(/([a-z])([A-Z])/g, '$1 $2').toUpperCase() };
+        const numbers = metas.map(m => m.specs[key]).filter(isNumber);
+        const best = field.better && numbers.length > 1
+            ? (field.better === 'higher' ? Math.max(...numbers) : Math.min(...numbers))
+            : null;
+        const values = metas.map(m => {
+            const value = m.specs[key];
+            if (value === undefined) return { text: '—', best: false };
+            const text = isNumber(value) ? formatSpec(value, field.unit) : value;
+            return { text, best: best !== null && value === best && numbers.filter(n => n === best).length < numbers.length };
+        });
+        return { key, label: field.label, values };
+    });
+}
+
+function formatSpec(value, unit) {
+    if (unit === 'Mach') return `MACH ${value}`;
+    const text = value.toLocaleString('en-US');
+    return unit ? `${text} ${unit}` : text;
+}
+
+function isObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isString(v) {
+    return typeof v === 'string' && v.length > 0;
+}
+
+function isNumber(v) {
+    return typeof v === 'number' && Number.isFinite(v);
+}
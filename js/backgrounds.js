@@ -0,0 +1,426 @@
+import * as THREE from 'three';
+import { fetchTracked } from './loading.js';
+
+// ===== BACKGROUNDS =====
+// Two kinds of background, picked per section by name ("background": "alps"):
+//
+// Layer stacks - CSS planes behind the transparent canvas, each with its own
+// parallax depth (0 = fixed at infinity, 1 = moves the most with pointer and
+// scroll). A layer is an image, a CSS gradient or a procedural ridge line:
+//
+//   "backgrounds": { "alps": { "layers": [
+//       { "gradient": "linear-gradient(#6fa8dc, #dff1ff)", "depth": 0 },
+//       { "ridge": { "seed": 3, "height": 0.45, "roughness": 0.8, "color": "#9fb6cc" }, "depth": 0.2 },
+//       { "image": "./assets/bg/alps-near.png", "depth": 0.6, "size": "cover", "position": "bottom" }
+//   ] } }
+//
+// Sky - an in-scene gradient dome with optional scrolling terrain and cloud
+// deck that stream past along the aircraft's heading at flight speed:
+//
+//   "backgrounds": { "high": { "sky": { "top": "#2f6fb5", "horizon": "#d6ecff", "ground": "#7d8c73",
+//       "sun": [25, 140], "terrain": true, "clouds": true, "altitude": 50, "cloudAltitude": 14 } } }
+//
+// Stacks crossfade; image layers are preloaded through the loading tracker.
+
+export const BUILTIN_BACKGROUNDS = {
+    alps: { layers: [
+        { gradient: 'linear-gradient(180deg, #6fa8dc 0%, #b9dcf5 55%, #e6f3fb 100%)', depth: 0 },
+        { ridge: { seed: 3, height: 0.55, roughness: 0.9, color: '#a9bfd3' }, depth: 0.15 },
+        { ridge: { seed: 11, height: 0.4, roughness: 0.8, color: '#7d97ad' }, depth: 0.35 },
+        { ridge: { seed: 5, height: 0.22, roughness: 0.5, color: '#4f6a7f' }, depth: 0.7 }
+    ] },
+    desert: { layers: [
+        { gradient: 'linear-gradient(180deg, #7fb6e0 0%, #f3e2bd 70%, #f6d7a3 100%)', depth: 0 },
+        { ridge: { seed: 7, height: 0.3, roughness: 0.25, color: '#e2c08d' }, depth: 0.2 },
+        { ridge: { seed: 2, height: 0.18, roughness: 0.15, color: '#cf9f62' }, depth: 0.55 }
+    ] },
+    fields: { layers: [
+        { gradient: 'linear-gradient(180deg, #87ceeb 0%, #cdeaf7 65%, #eef8e4 100%)', depth: 0 },
+        { ridge: { seed: 13, height: 0.25, roughness: 0.3, color: '#a7c79a' }, depth: 0.2 },
+        { ridge: { seed: 17, height: 0.15, roughness: 0.2, color: '#78a865' }, depth: 0.5 }
+    ] },
+    forest: { layers: [
+        { gradient: 'linear-gradient(180deg, #78aacb 0%, #c2dbe6 60%, #dbe8df 100%)', depth: 0 },
+        { ridge: { seed: 21, height: 0.4, roughness: 0.6, color: '#7f9c8f' }, depth: 0.2 },
+        { ridge: { seed: 23, height: 0.28, roughness: 0.95, color: '#3f6651' }, depth: 0.5 }
+    ] },
+    'sky-day': { sky: { top: '#2f6fb5', horizon: '#d6ecff', ground: '#7d8c73', sun: [35, 140], terrain: true, clouds: true } },
+    'sky-clouds': { sky: { top: '#4a7fb8', horizon: '#e4eef5', ground: '#c9d3da', sun: [20, 200], terrain: false, clouds: true, cloudAltitude: 10 } },
+    // Flight mode brings its own ground, so just the dome
+    'sky-flight': { sky: { top: '#2f6fb5', horizon: '#d6ecff', ground: '#7d8c73', sun: [35, 140], terrain: false, clouds: false } }
+};
+
+export const BACKGROUND_CYCLE = ['alps', 'desert', 'fields', 'forest'];
+
+const POINTER_SHIFT = 40;     // px at depth 1
+const SCROLL_SHIFT = 60;      // px over the whole page at depth 1
+const SKY_FADE_RATE = 2;      // per second
+const DOME_RADIUS = 500;
+const TERRAIN_SIZE = 600;
+const SKY_DEFAULTS = {
+    top: '#2f6fb5', horizon: '#d6ecff', ground: '#7d8c73', sun: [35, 140],
+    terrain: true, clouds: true, altitude: 50, cloudAltitude: 14, speed: 1
+};
+
+let container = null;
+let tracker = null;
+let definitions = BUILTIN_BACKGROUNDS;
+let stacks = new Map();
+let current = null;
+let currentName = null;
+let sky = null;
+let skyParams = null;
+let skyFade = 0;
+let terrainFade = 0;
+let cloudFade = 0;
+let terrainY = null;
+let cloudY = null;
+const pointer = new THREE.Vector2();
+const heading = new THREE.Vector2(1, 0);
+const scroll = new THREE.Vector2();
+const tmp = new THREE.Vector3();
+const tmpColor = new THREE.Color();
+
+export function setupBackgrounds(element, scene, options = {}) {
+    container = element;
+    tracker = options.tracker || null;
+    sky = createSky();
+    scene.add(sky.dome, sky.terrain, sky.clouds);
+    window.addEventListener('pointermove', onPointerMove);
+}
+
+// Tour definitions extend (and may override) the built-in backgrounds
+export function setBackgroundDefinitions(custom = {}) {
+    definitions = { ...BUILTIN_BACKGROUNDS, ...custom };
+    stacks.forEach(disposeStack);
+    stacks = new Map();
+    current = null;
+    currentName = null;
+}
+
+// Builds (and downloads) every named layer stack up front; the first one is awaited
+export async function preloadBackgrounds(names) {
+    const unique = [...new Set(names)].filter(name => definitions[name]?.layers);
+    const loads = unique.map(name => getStack(name).ready);
+    if (loads.length) await loads[0];
+}
+
+export function setBackground(name) {
+    if (name === currentName) return;
+    const def = definitions[name];
+    if (!def) {
+        console.warn(`Unknown background "${name}"`);
+        return;
+    }
+    currentName = name;
+    const next = def.layers ? getStack(name) : null;
+    if (current && current !== next) current.element.classList.remove('active');
+    if (next) next.ready.then(() => { if (current === next) next.element.classList.add('active'); });
+    current = next;
+    skyParams = def.sky ? { ...SKY_DEFAULTS, ...def.sky } : null;
+}
+
+// motion: { camera, aircraft, scrollProgress, speed (scene units/s) }
+export function updateBackgrounds(delta, { camera, aircraft, scrollProgress = 0, speed = 0 }) {
+    if (current) {
+        current.layers.forEach(({ element, depth }) => {
+            const x = pointer.x * POINTER_SHIFT * depth;
+            const y = (pointer.y * POINTER_SHIFT * 0.5 + scrollProgress * SCROLL_SHIFT) * depth;
+            element.style.transform = `translate3d(${x.toFixed(1)}px, ${y.toFixed(1)}px, 0)`;
+        });
+    }
+    updateSky(delta, camera, aircraft, speed);
+}
+
+function getStack(name) {
+    if (stacks.has(name)) return stacks.get(name);
+    const element = document.createElement('div');
+    element.className = 'bg-stack';
+    element.dataset.background = name;
+    container.appendChild(element);
+
+    const layers = definitions[name].layers.map(def => {
+        const layer = document.createElement('div');
+        layer.className = 'bg-layer';
+        layer.style.opacity = def.opacity ?? 1;
+        element.appendChild(layer);
+        const entry = { element: layer, depth: def.depth ?? 0, url: null };
+        entry.ready = fillLayer(entry, def);
+        return entry;
+    });
+    const stack = { element, layers, ready: Promise.all(layers.map(l => l.ready)) };
+    stacks.set(name, stack);
+    return stack;
+}
+
+// Image layers hold a blob URL of their download until the stack is replaced
+function disposeStack(stack) {
+    stack.element.remove();
+    stack.layers.forEach(entry => {
+        if (entry.url) URL.revokeObjectURL(entry.url);
+        entry.url = null;
+    });
+}
+
+async function fillLayer(entry, def) {
+    const layer = entry.element;
+    if (def.gradient) {
+        layer.style.backgroundImage = def.gradient;
+        return;
+    }
+    if (def.ridge) {
+        layer.style.backgroundImage = ridgeImage(def.ridge);
+        layer.style.backgroundSize = '100% 100%';
+        return;
+    }
+    try {
+        const buffer = await fetchTracked(def.image, tracker);
+        // Replaced while downloading
+        if (!layer.isConnected) return;
+        entry.url = URL.createObjectURL(new Blob([buffer]));
+        layer.style.backgroundImage = `url("${entry.url}")`;
+        layer.style.backgroundSize = def.size || 'cover';
+        layer.style.backgroundPosition = def.position || 'center';
+    } catch (e) {
+        // A missing layer shouldn't keep the rest of the stack from showing
+        console.warn(`Background layer ${def.image} failed to load`, e);
+    }
+}
+
+// Seeded mountain/dune silhouette as an SVG data URI, filling the bottom of the layer
+function ridgeImage({ seed = 1, height = 0.4, roughness = 0.6, color = '#6f8aa3' }) {
+    let s = seed * 9301 + 49297;
+    const rand = () => (s = (s * 9301 + 49297) % 233280) / 233280;
+    const waves = Array.from({ length: 6 }, (_, i) => ({
+        freq: (i + 1) * (1 + rand()) * Math.PI / 800,
+        phase: rand() * Math.PI * 2,
+        amp: Math.pow(roughness, i) / (i + 1)
+    }));
+    const W = 1600, H = 1000, base = H * (1 - height);
+    const total = waves.reduce((sum, w) => sum + w.amp, 0);
+    const points = [];
+    for (let x = 0; x <= W; x += 20) {
+        const v = waves.reduce((sum, w) => sum + w.amp * Math.sin(x * w.freq + w.phase), 0) / total;
+        points.push(`${x},${(base - v * H * height * 0.5).toFixed(1)}`);
+    }
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none">` +
+        `<path d="M0,${H} L${points.join(' L')} L${W},${H} Z" fill="${color}"/></svg>`;
+    return `url("data:image/svg+xml,${encodeURIComponent(svg)}")`;
+}
+
+function onPointerMove(e) {
+    pointer.set(e.clientX / window.innerWidth * 2 - 1, e.clientY / window.innerHeight * 2 - 1);
+}
+
+// ----- Sky dome, terrain and clouds -----
+
+function createSky() {
+    const uniforms = {
+        topColor: { value: new THREE.Color(SKY_DEFAULTS.top) },
+        horizonColor: { value: new THREE.Color(SKY_DEFAULTS.horizon) },
+        groundColor: { value: new THREE.Color(SKY_DEFAULTS.ground) },
+        sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+        scroll: { value: scroll },
+        opacity: { value: 0 }
+    };
+    const dome = new THREE.Mesh(
+        new THREE.SphereGeometry(DOME_RADIUS, 32, 16),
+        new THREE.ShaderMaterial({
+            uniforms,
+            vertexShader: DOME_VERTEX,
+            fragmentShader: DOME_FRAGMENT,
+            side: THREE.BackSide,
+            transparent: true,
+            premultipliedAlpha: true,
+            depthWrite: false
+        })
+    );
+    const plane = () => new THREE.PlaneGeometry(TERRAIN_SIZE, TERRAIN_SIZE, 160, 160).rotateX(-Math.PI / 2);
+    const terrain = new THREE.Mesh(plane(), new THREE.ShaderMaterial({
+        uniforms: { ...uniforms, opacity: { value: 0 } },
+        vertexShader: NOISE + TERRAIN_VERTEX,
+        fragmentShader: TERRAIN_FRAGMENT,
+        transparent: true,
+        premultipliedAlpha: true
+    }));
+    const clouds = new THREE.Mesh(new THREE.PlaneGeometry(TERRAIN_SIZE, TERRAIN_SIZE).rotateX(-Math.PI / 2), new THREE.ShaderMaterial({
+        uniforms: { ...uniforms, opacity: { value: 0 }, cloudScroll: { value: new THREE.Vector2() } },
+        vertexShader: CLOUD_VERTEX,
+        fragmentShader: NOISE + CLOUD_FRAGMENT,
+        transparent: true,
+        premultipliedAlpha: true,
+        depthWrite: false,
+        side: THREE.DoubleSide
+    }));
+    [dome, terrain, clouds].forEach((mesh, i) => {
+        mesh.name = `background:${['sky', 'terrain', 'clouds'][i]}`;
+        mesh.renderOrder = -10 + i;
+        mesh.frustumCulled = false;
+        mesh.visible = false;
+        mesh.raycast = () => {};
+        mesh.userData.helper = true;
+    });
+    return { dome, terrain, clouds, uniforms };
+}
+
+function updateSky(delta, camera, aircraft, speed) {
+    const k = 1 - Math.exp(-SKY_FADE_RATE * delta);
+    skyFade += ((skyParams ? 1 : 0) - skyFade) * k;
+    terrainFade += ((skyParams?.terrain ? 1 : 0) - terrainFade) * k;
+    cloudFade += ((skyParams?.clouds ? 1 : 0) - cloudFade) * k;
+    const { dome, terrain, clouds, uniforms } = sky;
+    dome.visible = skyFade > 0.005;
+    terrain.visible = dome.visible && terrainFade > 0.005;
+    clouds.visible = dome.visible && cloudFade > 0.005;
+    if (!dome.visible) {
+        terrainY = cloudY = null;
+        return;
+    }
+
+    if (skyParams) {
+        uniforms.topColor.value.lerp(tmpColor.set(skyParams.top), k);
+        uniforms.horizonColor.value.lerp(tmpColor.set(skyParams.horizon), k);
+        uniforms.groundColor.value.lerp(tmpColor.set(skyParams.ground), k);
+        const [elevation, azimuth] = skyParams.sun.map(THREE.MathUtils.degToRad);
+        tmp.setFromSphericalCoords(1, Math.PI / 2 - elevation, azimuth);
+        uniforms.sunDirection.value.lerp(tmp, k).normalize();
+    }
+    uniforms.opacity.value = skyFade;
+    terrain.material.uniforms.opacity.value = skyFade * terrainFade;
+    clouds.material.uniforms.opacity.value = skyFade * cloudFade;
+
+    // The ground streams backwards along the aircraft's heading (nose is +x in model space)
+    const params = skyParams || SKY_DEFAULTS;
+    if (aircraft) {
+        tmp.set(1, 0, 0).applyQuaternion(aircraft.quaternion);
+        if (tmp.x * tmp.x + tmp.z * tmp.z > 0.01) heading.set(tmp.x, tmp.z).normalize();
+    }
+    scroll.addScaledVector(heading, speed * params.speed * delta);
+    clouds.material.uniforms.cloudScroll.value.copy(scroll).multiplyScalar(1.4);
+
+    // Planes stay centred under the camera; altitude changes ease in with the fade
+    dome.position.copy(camera.position);
+    const y = (aircraft || camera).position.y;
+    terrainY = terrainY === null ? y - params.altitude : THREE.MathUtils.lerp(terrainY, y - params.altitude, k);
+    cloudY = cloudY === null ? y - params.cloudAltitude : THREE.MathUtils.lerp(cloudY, y - params.cloudAltitude, k);
+    terrain.position.set(camera.position.x, terrainY, camera.position.z);
+    clouds.position.set(camera.position.x, cloudY, camera.position.z);
+}
+
+const DOME_VERTEX = /* glsl */`
+    varying vec3 vDirection;
+    void main() {
+        vDirection = normalize(position);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }`;
+
+const DOME_FRAGMENT = /* glsl */`
+    uniform vec3 topColor;
+    uniform vec3 horizonColor;
+    uniform vec3 groundColor;
+    uniform vec3 sunDirection;
+    uniform float opacity;
+    varying vec3 vDirection;
+    void main() {
+        vec3 dir = normalize(vDirection);
+        float h = dir.y;
+        vec3 color = h > 0.0
+            ? mix(horizonColor, topColor, pow(h, 0.6))
+            : mix(horizonColor, groundColor, pow(min(-h * 4.0, 1.0), 0.5));
+        float sun = max(dot(dir, sunDirection), 0.0);
+        color += vec3(1.0, 0.95, 0.85) * (pow(sun, 800.0) * 3.0 + pow(sun, 12.0) * 0.25);
+        gl_FragColor = vec4(color * opacity, opacity);
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }`;
+
+const NOISE = /* glsl */`
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+    }
+    float noise(vec2 p) {
+        vec2 i = floor(p), f = fract(p);
+        vec2 u = f * f * (3.0 - 2.0 * f);
+        return mix(mix(hash(i), hash(i + vec2(1.0, 0.0)), u.x),
+                   mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x), u.y);
+    }
+    float fbm(vec2 p) {
+        float v = 0.0, a = 0.5;
+        for (int i = 0; i < 5; i++) {
+            v += a * noise(p);
+            p = p * 2.03 + 17.0;
+            a *= 0.5;
+        }
+        return v;
+    }
+`;
+
+const TERRAIN_VERTEX = /* glsl */`
+    uniform vec2 scroll;
+    varying float vHeight;
+    varying vec3 vNormal;
+    varying float vDistance;
+    float terrainHeight(vec2 p) {
+        return pow(fbm(p * 0.012), 2.0) * 45.0;
+    }
+    void main() {
+        vec4 world = modelMatrix * vec4(position, 1.0);
+        vec2 p = world.xz + scroll;
+        float h = terrainHeight(p);
+        vNormal = normalize(vec3(h - terrainHeight(p + vec2(1.0, 0.0)), 1.0, h - terrainHeight(p + vec2(0.0, 1.0))));
+        vHeight = h;
+        world.y += h;
+        vDistance = length(world.xz - cameraPosition.xz);
+        gl_Position = projectionMatrix * viewMatrix * world;
+    }`;
+
+const TERRAIN_FRAGMENT = /* glsl */`
+    uniform vec3 horizonColor;
+    uniform vec3 groundColor;
+    uniform vec3 sunDirection;
+    uniform float opacity;
+    varying float vHeight;
+    varying vec3 vNormal;
+    varying float vDistance;
+    void main() {
+        vec3 rock = vec3(0.42, 0.40, 0.38);
+        vec3 snow = vec3(0.95, 0.97, 1.0);
+        vec3 color = mix(groundColor, rock, smoothstep(12.0, 25.0, vHeight) * (1.0 - vNormal.y * 0.5));
+        color = mix(color, snow, smoothstep(30.0, 38.0, vHeight));
+        color *= 0.45 + 0.65 * max(dot(normalize(vNormal), sunDirection), 0.0);
+        float fog = smoothstep(60.0, ${(TERRAIN_SIZE / 2).toFixed(1)}, vDistance);
+        color = mix(color, horizonColor, fog);
+        float a = opacity * (1.0 - smoothstep(0.85, 1.0, fog));
+        gl_FragColor = vec4(color * a, a);
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }`;
+
+const CLOUD_VERTEX = /* glsl */`
+    varying vec2 vWorld;
+    varying float vDistance;
+    void main() {
+        vec4 world = modelMatrix * vec4(position, 1.0);
+        vWorld = world.xz;
+        vDistance = length(world.xz - cameraPosition.xz);
+        gl_Position = projectionMatrix * viewMatrix * world;
+    }`;
+
+const CLOUD_FRAGMENT = /* glsl */`
+    uniform vec3 horizonColor;
+    uniform vec3 sunDirection;
+    uniform vec2 cloudScroll;
+    uniform float opacity;
+    varying vec2 vWorld;
+    varying float vDistance;
+    void main() {
+        vec2 p = (vWorld + cloudScroll) * 0.02;
+        float density = smoothstep(0.45, 0.75, fbm(p));
+        float lit = 0.8 + 0.2 * fbm(p + sunDirection.xz * 0.3);
+        vec3 color = mix(horizonColor, vec3(1.0), 0.6) * lit;
+        float fade = 1.0 - smoothstep(80.0, ${(TERRAIN_SIZE / 2).toFixed(1)}, vDistance);
+        float a = density * fade * opacity * 0.85;
+        gl_FragColor = vec4(color * a, a);
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }`;
@@ -0,0 +1,289 @@
+import * as THREE from 'three';
+
+// ===== CAPTURE =====
+// Offscreen-sized renders for export, independent of the window. An image
+// larger than one tile is rendered tile by tile with camera.setViewOffset()
+// and stitched on a 2D canvas; each tile is rendered with a gutter of
+// neighbouring pixels that is cropped away, so screen-space effects (bloom,
+// depth of field, FXAA) don't leave seams. Frames go to a sink:
+//
+//   zip      PNG sequence in one stored (uncompressed) .zip
+//   folder   PNG files written straight into a folder the user picks (File System Access)
+//   webm     MediaRecorder on the stitched canvas; frames are fed at the export
+//            frame rate with the recorder paused in between, so the video's timing
+//            doesn't depend on how long a frame took to render
+
+export const MAX_EXPORT_SIZE = 16384;   // px per side; browsers cap 2D canvases around here
+const TILE_SIZE = 2048;
+const TILE_GUTTER = 64;                 // px rendered around each tile and cropped off
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const WEBM_BITS_PER_PIXEL = 0.2;        // per frame, for the recorder's bitrate
+const DOS_DATE = (((2020 - 1980) << 9 | 1 << 5 | 1) << 16) >>> 0;  // 2020-01-01 00:00: the same frames give the same zip
+
+export class CaptureError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'CaptureError';
+        this.reason = reason;
+    }
+}
+
+export function sequenceFormats() {
+    const formats = ['zip'];
+    if (typeof window.showDirectoryPicker === 'function') formats.push('folder');
+    if (webmType()) formats.push('webm');
+    return formats;
+}
+
+// Takes over the renderer until dispose(): pixel ratio 1, camera aspect width / height.
+// background: null for transparent or a CSS colour painted under every frame.
+// onResize() runs after each renderer resize (post-processing targets follow it).
+export function createTileRenderer({ renderer, camera, width, height, background = null, onResize }) {
+    if (!(width >= 1 && height >= 1 && width <= MAX_EXPORT_SIZE && height <= MAX_EXPORT_SIZE)) {
+        throw new CaptureError('size', `Export size must be between 1 and ${MAX_EXPORT_SIZE} px per side`);
+    }
+    width = Math.round(width);
+    height = Math.round(height);
+    const savedSize = renderer.getSize(new THREE.Vector2());
+    const savedPixelRatio = renderer.getPixelRatio();
+    const savedAspect = camera.aspect;
+
+    const maxTile = Math.min(TILE_SIZE, renderer.capabilities.maxTextureSize, ...renderer.getContext().getParameter(renderer.getContext().MAX_VIEWPORT_DIMS));
+    const tiled = width > maxTile || height > maxTile;
+    const gutter = tiled ? TILE_GUTTER : 0;
+    const step = maxTile - gutter * 2;
+    // Every tile renders at the same size, shifted to stay inside the image, so the renderer is resized once
+    const renderWidth = Math.min(width, maxTile);
+    const renderHeight = Math.min(height, maxTile);
+    const tiles = [];
+    for (let y = 0; y < height; y += tiled ? step : height) {
+        for (let x = 0; x < width; x += tiled ? step : width) {
+            const w = Math.min(tiled ? step : width, width - x);
+            const h = Math.min(tiled ? step : height, height - y);
+            const rx = THREE.MathUtils.clamp(x - gutter, 0, width - renderWidth);
+            const ry = THREE.MathUtils.clamp(y - gutter, 0, height - renderHeight);
+            tiles.push({ x, y, w, h, rx, ry });
+        }
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    renderer.setPixelRatio(1);
+    renderer.setSize(renderWidth, renderHeight, false);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    onResize?.();
+
+    return {
+        canvas,
+        width,
+        height,
+        tiles: tiles.length,
+        // render() draws the scene for the current camera; call after the frame's updates
+        render(render) {
+            ctx.clearRect(0, 0, width, height);
+            if (background) {
+                ctx.fillStyle = background;
+                ctx.fillRect(0, 0, width, height);
+            }
+            tiles.forEach(tile => {
+                if (tiled) camera.setViewOffset(width, height, tile.rx, tile.ry, renderWidth, renderHeight);
+                camera.updateProjectionMatrix();
+                render();
+                // Read back in the same task, before the drawing buffer is presented and cleared
+                ctx.drawImage(renderer.domElement, tile.x - tile.rx, tile.y - tile.ry, tile.w, tile.h, tile.x, tile.y, tile.w, tile.h);
+            });
+            camera.clearViewOffset();
+            return canvas;
+        },
+        dispose() {
+            camera.clearViewOffset();
+            camera.aspect = savedAspect;
+            camera.updateProjectionMatrix();
+            renderer.setPixelRatio(savedPixelRatio);
+            renderer.setSize(savedSize.x, savedSize.y, false);
+            onResize?.();
+        }
+    };
+}
+
+export function canvasToPNG(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new CaptureError('encode', 'The browser could not encode the PNG'))), 'image/png');
+    });
+}
+
+// ===== SINKS =====
+// { add(canvas) → Promise, finish() → Promise<Blob | null>, abort() }; finish() returns
+// null when the frames are already on disk (folder)
+export async function createFrameSink(format, { name, width, height, fps }) {
+    if (format === 'zip') return zipSink(name);
+    if (format === 'folder') return folderSink(name);
+    if (format === 'webm') return webmSink({ width, height, fps });
+    throw new CaptureError('format', `Unknown sequence format "${format}"`);
+}
+
+function frameName(name, index) {
+    return `${name}-${String(index).padStart(5, '0')}.png`;
+}
+
+function zipSink(name) {
+    const zip = createZipWriter();
+    let index = 0;
+    return {
+        async add(canvas) {
+            const png = await canvasToPNG(canvas);
+            zip.add(frameName(name, index++), new Uint8Array(await png.arrayBuffer()));
+        },
+        finish: async () => zip.blob(),
+        abort() {}
+    };
+}
+
+async function folderSink(name) {
+    let dir;
+    try {
+        dir = await window.showDirectoryPicker({ id: 'sukhoi3d-export', mode: 'readwrite' });
+    } catch (e) {
+        throw new CaptureError('cancelled', 'No folder chosen');
+    }
+    let index = 0;
+    return {
+        async add(canvas) {
+            const png = await canvasToPNG(canvas);
+            const file = await dir.getFileHandle(frameName(name, index++), { create: true });
+            const stream = await file.createWritable();
+            await stream.write(png);
+            await stream.close();
+        },
+        finish: async () => null,
+        abort() {}
+    };
+}
+
+function webmType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+async function webmSink({ width, height, fps }) {
+    const type = webmType();
+    if (!type) throw new CaptureError('format', 'This browser cannot record WebM');
+    // The recorder watches its own canvas: the stitched one is redrawn per tile
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, {
+        mimeType: type,
+        videoBitsPerSecond: Math.round(width * height * fps * WEBM_BITS_PER_PIXEL)
+    });
+    const chunks = [];
+    recorder.addEventListener('dataavailable', e => { if (e.data.size) chunks.push(e.data); });
+    recorder.start();
+    recorder.pause();
+    const frameTime = 1000 / fps;
+
+    return {
+        async add(source) {
+            ctx.clearRect(0, 0, width, height);
+            ctx.drawImage(source, 0, 0);
+            recorder.resume();
+            track.requestFrame();
+            await new Promise(resolve => setTimeout(resolve, frameTime));
+            recorder.pause();
+        },
+        finish() {
+            return new Promise((resolve, reject) => {
+                recorder.addEventListener('stop', () => resolve(new Blob(chunks, { type: 'video/webm' })), { once: true });
+                recorder.addEventListener('error', e => reject(e.error || new CaptureError('encode', 'Recording failed')), { once: true });
+                recorder.resume();
+                recorder.stop();
+                track.stop();
+            });
+        },
+        abort() {
+            if (recorder.state !== 'inactive') recorder.stop();
+            track.stop();
+        }
+    };
+}
+
+// ===== ZIP =====
+// Stored entries only: PNGs are already compressed. Kept as Blob parts, so
+// the browser can page a long sequence out of memory. Zip32: under 4 GB and 65535 files.
+export function createZipWriter() {
+    const parts = [];
+    const central = [];
+    let count = 0;
+    let offset = 0;
+    const encoder = new TextEncoder();
+
+    return {
+        add(name, data) {
+            if (count >= 0xffff || offset + data.length > 0xffffffff) {
+                throw new CaptureError('size', 'The sequence is too large for a zip; use fewer frames or a smaller size');
+            }
+            const nameBytes = encoder.encode(name);
+            const crc = crc32(data);
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);           // version needed
+            local.setUint16(6, 0x0800, true);       // UTF-8 names
+            local.setUint16(8, 0, true);            // stored
+            local.setUint32(10, DOS_DATE, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            parts.push(local, nameBytes, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);           // version made by
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint32(12, DOS_DATE, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, nameBytes.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(entry, nameBytes);
+            count++;
+            offset += 30 + nameBytes.length + data.length;
+        },
+        blob() {
+            const size = central.reduce((sum, part) => sum + part.byteLength, 0);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true);
+            end.setUint16(8, count, true);
+            end.setUint16(10, count, true);
+            end.setUint32(12, size, true);
+            end.setUint32(16, offset, true);
+            return new Blob([...parts, ...central, end], { type: 'application/zip' });
+        }
+    };
+}
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,148 @@
+import { compareSpecs, parseAircraftMetadata, COMPARE_COLORS, MAX_FLEET } from './aircraft.js';
+import { createPanel, panelHeader, panelMessage, button, el } from './ui.js';
+
+// ===== COMPARE PANEL =====
+// The tour's comparison aircraft (plus any metadata or .glb file the user
+// opens), side-by-side / overlay layout, and the generated spec table.
+
+let panel = null;
+let catalogList = null;
+let layoutButtons = null;
+let table = null;
+let message = null;
+let callbacks = {};
+
+// callbacks: onToggle(open), onAdd(meta), onRemove(id), onLayout(mode)
+export function createComparePanel(options = {}) {
+    panel?.remove();
+    callbacks = options;
+
+    panel = createPanel('compare', 'Compare aircraft');
+    const header = panelHeader('COMPARE', 'Close comparison', () => setComparePanelOpen(false));
+
+    catalogList = el('div', 'compare-catalog');
+    const layout = el('div', 'panel-actions');
+    layoutButtons = {
+        side: button('SIDE BY SIDE', () => callbacks.onLayout?.('side')),
+        overlay: button('OVERLAY', () => callbacks.onLayout?.('overlay'))
+    };
+    layout.append(layoutButtons.side, layoutButtons.overlay);
+
+    table = el('div', 'compare-specs');
+    message = panelMessage();
+
+    const actions = el('div', 'panel-actions');
+    const file = el('input');
+    file.type = 'file';
+    file.accept = 'application/json,.json,.glb,model/gltf-binary';
+    file.hidden = true;
+    file.addEventListener('change', () => {
+        if (file.files[0]) openFile(file.files[0]);
+        file.value = '';
+    });
+    actions.append(button('OPEN FILE…', () => file.click()), file);
+
+    panel.append(header, catalogList, layout, table, message, actions);
+    document.body.appendChild(panel);
+}
+
+export function setComparePanelOpen(open) {
+    if (!panel || panel.hidden === !open) return;
+    panel.hidden = !open;
+    if (open) panel.querySelector('button.panel-btn')?.focus();
+    if (callbacks.onToggle) callbacks.onToggle(open);
+}
+
+export function isComparePanelOpen() {
+    return !!panel && !panel.hidden;
+}
+
+// catalog: metadata on offer; fleet: metadata of the aircraft in the scene, the tour's first;
+// loading: ids still being fetched
+export function refreshComparePanel({ catalog, fleet, layout, loading }) {
+    if (!panel) return;
+    const shown = new Set(fleet.map(m => m.id));
+    const extra = fleet.filter(m => !catalog.some(c => c.id === m.id)).slice(1);
+    const offered = [...catalog, ...extra].filter(m => m.id !== fleet[0]?.id);
+    const rows = offered.map(meta => {
+        const row = el('div', 'panel-row');
+        const on = shown.has(meta.id);
+        const label = loading.has(meta.id) ? 'LOADING…' : on ? 'REMOVE' : 'ADD';
+        const btn = button(label, () => (on ? callbacks.onRemove?.(meta.id) : callbacks.onAdd?.(meta)));
+        btn.classList.add('compare-toggle');
+        btn.disabled = loading.has(meta.id) || (!on && fleet.length >= MAX_FLEET);
+        btn.setAttribute('aria-pressed', String(on));
+        btn.setAttribute('aria-label', `${label} ${meta.name}`);
+        const name = el('span', 'panel-label', meta.name);
+        const index = fleet.findIndex(m => m.id === meta.id);
+        if (index > 0) name.style.borderLeft = `4px solid #${COMPARE_COLORS[index - 1].toString(16).padStart(6, '0')}`;
+        row.append(name, btn);
+        return row;
+    });
+    // A tour may offer none; files can still be opened
+    catalogList.replaceChildren(...(rows.length ? rows : [el('p', 'compare-hint', 'No comparison aircraft in this tour. Open a metadata .json or a .glb file.')]));
+    Object.entries(layoutButtons).forEach(([mode, btn]) => {
+        btn.setAttribute('aria-pressed', String(mode === layout));
+        btn.disabled = fleet.length < 2;
+    });
+    table.replaceChildren(fleet.length > 1 ? createSpecTable(fleet) : el('p', 'compare-hint', 'Add an aircraft to compare it at true scale.'));
+}
+
+export function showCompareMessage(text) {
+    if (message) message.textContent = text;
+}
+
+// One column per aircraft; the best value of each comparable row is marked
+export function createSpecTable(metas) {
+    const node = el('table', 'compare-table');
+    const head = el('tr');
+    head.appendChild(el('th', null, ''));
+    metas.forEach(meta => {
+        const th = el('th', null, meta.name);
+        th.scope = 'col';
+        if (meta.note) th.title = meta.note;
+        head.appendChild(th);
+    });
+    node.appendChild(el('thead')).appendChild(head);
+    const body = node.appendChild(el('tbody'));
+    compareSpecs(metas).forEach(row => {
+        const tr = el('tr');
+        const th = el('th', null, row.label);
+        th.scope = 'row';
+        tr.appendChild(th);
+        row.values.forEach(value => {
+            const td = el('td', value.best ? 'best' : null, value.text);
+            if (value.best) td.title = 'Best of the compared aircraft';
+            tr.appendChild(td);
+        });
+        body.appendChild(tr);
+    });
+    const notes = metas.filter(m => m.note);
+    if (notes.length) {
+        const caption = el('caption', 'compare-note', notes.map(m => `${m.name}: ${m.note}`).join(' · '));
+        node.prepend(caption);
+    }
+    return node;
+}
+
+// A metadata .json (its model URL as written) or a self-contained .glb taken to be in metres
+async function openFile(file) {
+    try {
+        let meta;
+        if (/\.json$/i.test(file.name) || file.type === 'application/json') {
+            meta = parseAircraftMetadata(JSON.parse(await file.text()), file.name);
+        } else {
+            const stem = file.name.replace(/\.[^.]+$/, '');
+            meta = parseAircraftMetadata({
+                id: `file-${stem.replace(/[^A-Za-z0-9-]+/g, '-')}`,
+                name: stem.toUpperCase(),
+                model: URL.createObjectURL(file),
+                unitsPerMetre: 1
+            }, file.name);
+        }
+        showCompareMessage('');
+        callbacks.onAdd?.(meta);
+    } catch (e) {
+        showCompareMessage(`${file.name}: ${e.message}`);
+    }
+}
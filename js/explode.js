@@ -0,0 +1,148 @@
+import * as THREE from 'three';
+
+// ===== EXPLODED VIEW & ISOLATION =====
+// Exploded: every mesh of the aircraft slides outward along the direction from
+// the model centre to the centre of its geometry. With an axis only the parts
+// on that side of the model move, straight along the axis.
+// Isolation: every mesh outside the isolated set fades to a ghost wireframe.
+// Offsets are kept in aircraft space, so both modes ride along with the
+// scroll-driven pose and settle back to the untouched model when cleared.
+
+const GHOST_OPACITY = 0.12;
+const GHOST_START_OPACITY = 0.6;
+const SETTLE_RATE = 4; // per second
+
+let aircraft = null;
+let parts = [];
+let modelSize = 1;
+let ghostMaterial = null;
+let ghostFade = 0;
+let ghostTarget = 0;
+let isolated = null;
+let exploded = { amount: 0, axis: null };
+const tmp = new THREE.Vector3();
+
+export function setupExplode(model) {
+    aircraft = model;
+    parts = [];
+    aircraft.updateMatrixWorld(true);
+    const toAircraft = new THREE.Matrix4().copy(aircraft.matrixWorld).invert();
+
+    const meshes = [];
+    aircraft.traverse(child => { if (child.isMesh && !child.userData.helper) meshes.push(child); });
+
+    const box = new THREE.Box3();
+    const centres = meshes.map(mesh => {
+        if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+        const local = mesh.geometry.boundingBox.clone().applyMatrix4(mesh.matrixWorld).applyMatrix4(toAircraft);
+        box.union(local);
+        return local.getCenter(new THREE.Vector3());
+    });
+    const modelCentre = box.getCenter(new THREE.Vector3());
+    modelSize = box.getSize(new THREE.Vector3()).length() || 1;
+
+    meshes.forEach((mesh, i) => {
+        // Linear map from aircraft space into the mesh parent's space
+        const parentToAircraft = new THREE.Matrix4().multiplyMatrices(toAircraft, mesh.parent.matrixWorld);
+        const toParent = new THREE.Matrix3().setFromMatrix4(parentToAircraft).invert();
+        parts.push({
+            mesh,
+            material: mesh.material,
+            basePosition: mesh.position.clone(),
+            radial: centres[i].clone().sub(modelCentre),
+            toParent,
+            offset: new THREE.Vector3(),
+            target: new THREE.Vector3()
+        });
+    });
+
+    ghostMaterial = new THREE.MeshBasicMaterial({
+        color: 0x1a1a2e,
+        wireframe: true,
+        transparent: true,
+        opacity: 0,
+        depthWrite: false
+    });
+    ghostFade = 0;
+    ghostTarget = 0;
+    isolated = null;
+    exploded = { amount: 0, axis: null };
+}
+
+// amount: 0 = assembled, 1 = parts pushed out by their own distance from the centre
+export function setExplode(amount, axis = null) {
+    exploded = { amount, axis: axis ? [...axis] : null };
+    const dir = axis ? tmp.fromArray(axis).normalize() : null;
+    parts.forEach(part => {
+        if (!dir) {
+            part.target.copy(part.radial).multiplyScalar(amount);
+            return;
+        }
+        const along = part.radial.dot(dir);
+        if (along <= 0) part.target.set(0, 0, 0);
+        else part.target.copy(dir).multiplyScalar((along + modelSize * 0.05) * amount * 2);
+    });
+}
+
+// meshes: the parts to keep solid, or null to restore every material
+export function setIsolation(meshes) {
+    isolated = meshes && meshes.length > 0 ? new Set(meshes) : null;
+    if (isolated) {
+        parts.forEach(part => {
+            const ghosted = !isolated.has(part.mesh);
+            part.mesh.userData.ghosted = ghosted;
+            part.mesh.material = ghosted ? ghostMaterial : part.material;
+        });
+        ghostTarget = 1;
+    } else {
+        ghostTarget = 0;
+    }
+}
+
+export function isExploded() {
+    return parts.some(p => p.target.lengthSq() > 0);
+}
+
+// The last setExplode() arguments, for deep links
+export function getExplode() {
+    return { amount: exploded.amount, axis: exploded.axis ? [...exploded.axis] : null };
+}
+
+export function isIsolated() {
+    return isolated !== null;
+}
+
+// Meshes whose node, parent node or material name is in `names`
+export function findMeshes(names) {
+    const wanted = new Set(names);
+    return parts.filter(({ mesh, material }) => {
+        const mats = Array.isArray(material) ? material : [material];
+        return wanted.has(mesh.name) || wanted.has(mesh.parent?.name) || mats.some(m => wanted.has(m?.name));
+    }).map(p => p.mesh);
+}
+
+export function updateExplode(delta) {
+    if (!aircraft) return;
+    const k = 1 - Math.exp(-SETTLE_RATE * delta);
+    parts.forEach(part => {
+        if (part.offset.equals(part.target)) return;
+        part.offset.lerp(part.target, k);
+        if (part.offset.distanceToSquared(part.target) < 1e-8) part.offset.copy(part.target);
+        part.mesh.position.copy(part.basePosition).add(tmp.copy(part.offset).applyMatrix3(part.toParent));
+    });
+
+    if (ghostFade !== ghostTarget) {
+        ghostFade += (ghostTarget - ghostFade) * k;
+        if (Math.abs(ghostTarget - ghostFade) < 0.01) ghostFade = ghostTarget;
+        // Ghosting starts from a visible wireframe and leaving it ends on an opaque one,
+        // so neither reads as a pop
+        const from = ghostTarget === 1 ? GHOST_START_OPACITY : 1;
+        ghostMaterial.opacity = THREE.MathUtils.lerp(from, GHOST_OPACITY, ghostFade);
+        if (ghostFade === 0) {
+            parts.forEach(part => {
+                part.mesh.material = part.material;
+                part.mesh.userData.ghosted = false;
+            });
+        }
+    }
+}
@@ -0,0 +1,155 @@
+import { MAX_EXPORT_SIZE, sequenceFormats } from './capture.js';
+import { createPanel, panelHeader, panelMessage, row, section, button, el } from './ui.js';
+
+// ===== EXPORT PANEL =====
+// Output size (independent of the window) and background, a still of the
+// current view, and turntable / scroll-tour frame sequences with their frame
+// rate, length and format. The rendering itself is main.js's.
+
+const SIZE_PRESETS = [
+    ['WINDOW ×2', null],
+    ['1080p', [1920, 1080]],
+    ['4K', [3840, 2160]],
+    ['8K', [7680, 4320]],
+    ['SQUARE 4K', [4096, 4096]]
+];
+const FORMAT_LABELS = { zip: 'PNG SEQUENCE (ZIP)', folder: 'PNG SEQUENCE (FOLDER)', webm: 'WEBM VIDEO' };
+const SEQUENCE_SECONDS = { turntable: 8, tour: 20 };
+
+let panel = null;
+let controls = null;
+let message = null;
+let callbacks = {};
+let busy = false;
+
+// callbacks: onToggle(open), onStill(options), onSequence(options), onCancel(); options are
+// { width, height, background (CSS colour or null) } plus { kind, fps, seconds, format } for sequences
+export function createExportPanel(options = {}) {
+    panel?.remove();
+    callbacks = options;
+
+    panel = createPanel('export', 'Export renders');
+    const header = panelHeader('EXPORT', 'Close export', () => setExportPanelOpen(false));
+
+    const preset = el('select', 'panel-select');
+    preset.append(...SIZE_PRESETS.map(([label], i) => new Option(label, String(i))), new Option('CUSTOM', ''));
+    const width = number(1, MAX_EXPORT_SIZE, 1);
+    const height = number(1, MAX_EXPORT_SIZE, 1);
+    preset.addEventListener('change', applyPreset);
+    [width, height].forEach(input => input.addEventListener('input', () => { preset.value = ''; }));
+
+    const background = el('select', 'panel-select');
+    background.append(new Option('TRANSPARENT', 'transparent'), new Option('COLOUR', 'color'));
+    const color = el('input', 'panel-color');
+    color.type = 'color';
+    color.value = '#dfe9f2';
+    color.setAttribute('aria-label', 'Background colour');
+
+    const kind = el('select', 'panel-select');
+    kind.append(new Option('TURNTABLE', 'turntable'), new Option('SCROLL TOUR', 'tour'));
+    const fps = el('select', 'panel-select');
+    fps.append(...[24, 30, 60].map(f => new Option(`${f} FPS`, String(f))));
+    fps.value = '30';
+    const seconds = number(1, 600, 1);
+    seconds.value = SEQUENCE_SECONDS.turntable;
+    kind.addEventListener('change', () => { seconds.value = SEQUENCE_SECONDS[kind.value]; });
+    const format = el('select', 'panel-select');
+    format.append(...sequenceFormats().map(f => new Option(FORMAT_LABELS[f], f)));
+    // Video has no alpha here, so WebM always gets the colour
+    format.addEventListener('change', updateBackground);
+    background.addEventListener('change', updateBackground);
+
+    controls = { preset, width, height, background, color, kind, fps, seconds, format };
+    applyPreset();
+    updateBackground();
+
+    message = panelMessage();
+    message.setAttribute('aria-live', 'polite');
+
+    const still = el('div', 'panel-actions');
+    controls.still = button('RENDER STILL', () => callbacks.onStill?.(outputOptions()));
+    still.append(controls.still);
+    const sequence = el('div', 'panel-actions');
+    controls.sequence = button('RENDER SEQUENCE', () => callbacks.onSequence?.({
+        ...outputOptions(),
+        kind: kind.value,
+        fps: Number(fps.value),
+        seconds: Number(seconds.value),
+        format: format.value
+    }));
+    controls.cancel = button('CANCEL', () => callbacks.onCancel?.());
+    controls.cancel.disabled = true;
+    sequence.append(controls.sequence, controls.cancel);
+
+    panel.append(
+        header,
+        row('SIZE', preset), row('WIDTH', width), row('HEIGHT', height),
+        row('BACKGROUND', background), row('COLOUR', color),
+        still,
+        section('SEQUENCE'),
+        row('TYPE', kind), row('RATE', fps), row('SECONDS', seconds), row('FORMAT', format),
+        sequence,
+        message
+    );
+    document.body.appendChild(panel);
+}
+
+export function setExportPanelOpen(open) {
+    if (!panel || panel.hidden === !open || (!open && busy)) return;
+    panel.hidden = !open;
+    if (open) {
+        applyPreset();
+        controls.preset.focus();
+    }
+    if (callbacks.onToggle) callbacks.onToggle(open);
+}
+
+export function isExportPanelOpen() {
+    return !!panel && !panel.hidden;
+}
+
+// While a render runs only CANCEL stays live
+export function setExportBusy(on) {
+    busy = on;
+    if (!panel) return;
+    panel.querySelectorAll('select, input, button').forEach(node => { node.disabled = on; });
+    controls.cancel.disabled = !on;
+    if (!on) updateBackground();
+}
+
+export function showExportMessage(text) {
+    if (message) message.textContent = text;
+}
+
+function outputOptions() {
+    const transparent = controls.background.value === 'transparent' && controls.format.value !== 'webm';
+    return {
+        width: Number(controls.width.value),
+        height: Number(controls.height.value),
+        background: transparent ? null : controls.color.value
+    };
+}
+
+// The window preset follows the window as it is when the panel opens
+function applyPreset() {
+    const preset = SIZE_PRESETS[controls.preset.value];
+    if (!preset) return;
+    const [w, h] = preset[1] || [window.innerWidth * 2, window.innerHeight * 2];
+    controls.width.value = Math.min(w, MAX_EXPORT_SIZE);
+    controls.height.value = Math.min(h, MAX_EXPORT_SIZE);
+}
+
+function updateBackground() {
+    const webm = controls.format.value === 'webm';
+    controls.background.options[0].disabled = webm;
+    if (webm) controls.background.value = 'color';
+    controls.color.disabled = controls.background.value === 'transparent';
+}
+
+// ===== HELPERS =====
+function number(min, max, step) {
+    const input = el('input', 'panel-input');
+    input.type = 'number';
+    Object.assign(input, { min, max, step });
+    return input;
+}
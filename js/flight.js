@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+import { createFlightModel } from './flightmodel.js';
+
+// ===== FLIGHT MODE =====
+// Free flight, detached from the scroll keyframes. The aircraft stays at the
+// scene origin (a floating origin, so long flights don't lose float precision)
+// and the world moves instead: a grid ground plane sits `altitude` below it
+// and slides by the simulated position. The camera chases from behind.
+//
+// One scene unit is METERS_PER_UNIT metres, which puts the ~10-unit model at
+// the Su-35's real 22 m length.
+
+const METERS_PER_UNIT = 2.2;
+const GRID_CELL = 500 / METERS_PER_UNIT;    // 500 m squares, major lines every 5 km
+const GROUND_SIZE = 40000;
+const CHASE_DISTANCE = 28;
+const CHASE_HEIGHT = 6;
+const CHASE_LOOK_AHEAD = 10;
+const ENTRY_TIME = 1.5;                     // seconds to ease the model from its scroll pose
+const FAR_PLANE = 20000;
+
+let scene = null;
+let camera = null;
+let model = null;
+let aircraft = null;
+let ground = null;
+let flying = false;
+let entry = 0;
+let savedFar = 0;
+const forward = new THREE.Vector3();
+const anchor = new THREE.Vector3();
+
+export function setupFlight(targetScene, viewCamera) {
+    scene = targetScene;
+    camera = viewCamera;
+    model = createFlightModel();
+    ground = new THREE.Mesh(
+        new THREE.PlaneGeometry(GROUND_SIZE, GROUND_SIZE).rotateX(-Math.PI / 2),
+        new THREE.ShaderMaterial({
+            uniforms: {
+                offset: { value: new THREE.Vector2() },
+                cell: { value: GRID_CELL },
+                fadeDistance: { value: 6000 },
+                groundColor: { value: new THREE.Color(0x7d8c73) },
+                lineColor: { value: new THREE.Color(0xe8f1e0) }
+            },
+            vertexShader: GROUND_VERTEX,
+            fragmentShader: GROUND_FRAGMENT,
+            transparent: true,
+            premultipliedAlpha: true,
+            depthWrite: false
+        })
+    );
+    ground.name = 'flight:ground';
+    ground.renderOrder = -5;
+    ground.frustumCulled = false;
+    ground.visible = false;
+    ground.raycast = () => {};
+    ground.userData.helper = true;
+    scene.add(ground);
+}
+
+// start: optional { altitude, speed, heading, throttle } overrides
+export function startFlight(target, start) {
+    aircraft = target;
+    model.reset(start);
+    flying = true;
+    entry = 0;
+    ground.visible = true;
+    savedFar = camera.far;
+    camera.far = FAR_PLANE;
+    camera.updateProjectionMatrix();
+}
+
+export function stopFlight() {
+    if (!flying) return;
+    flying = false;
+    ground.visible = false;
+    camera.far = savedFar;
+    camera.updateProjectionMatrix();
+}
+
+export function resetFlight(start) {
+    model.reset(start);
+}
+
+export function isFlying() {
+    return flying;
+}
+
+export function getFlightModel() {
+    return model;
+}
+
+// Steps the simulation with the stick, moves the aircraft and the ground, and
+// writes the chase camera's position and look-at point. Returns HUD readouts.
+export function updateFlight(delta, controls, cameraPosition, cameraTarget) {
+    if (!flying) return null;
+    model.step(Math.min(delta, 0.1), controls);
+    const { state } = model;
+
+    // Ease from wherever the scroll pose left the model
+    entry = Math.min(1, entry + delta / ENTRY_TIME);
+    const k = entry < 1 ? entry * entry * (3 - 2 * entry) : 1;
+    aircraft.position.lerp(anchor, k);
+    aircraft.quaternion.slerp(state.quaternion, k);
+
+    ground.position.set(0, -state.position.y / METERS_PER_UNIT, 0);
+    // Wrap at the major-line spacing so the offset stays small
+    const wrap = GRID_CELL * 10;
+    ground.material.uniforms.offset.value.set(
+        (state.position.x / METERS_PER_UNIT) % wrap,
+        (state.position.z / METERS_PER_UNIT) % wrap
+    );
+    ground.material.uniforms.fadeDistance.value = 6000 + state.position.y / METERS_PER_UNIT * 2;
+
+    forward.set(1, 0, 0).applyQuaternion(aircraft.quaternion);
+    cameraPosition.copy(aircraft.position).addScaledVector(forward, -CHASE_DISTANCE);
+    cameraPosition.y += CHASE_HEIGHT;
+    cameraTarget.copy(aircraft.position).addScaledVector(forward, CHASE_LOOK_AHEAD);
+    return model.readouts();
+}
+
+const GROUND_VERTEX = /* glsl */`
+    uniform vec2 offset;
+    varying vec2 vGrid;
+    varying vec3 vWorld;
+    void main() {
+        vec4 world = modelMatrix * vec4(position, 1.0);
+        vWorld = world.xyz;
+        vGrid = position.xz + offset;
+        gl_Position = projectionMatrix * viewMatrix * world;
+    }`;
+
+const GROUND_FRAGMENT = /* glsl */`
+    uniform float cell;
+    uniform float fadeDistance;
+    uniform vec3 groundColor;
+    uniform vec3 lineColor;
+    varying vec2 vGrid;
+    varying vec3 vWorld;
+    float gridLine(vec2 p) {
+        vec2 d = abs(fract(p - 0.5) - 0.5) / fwidth(p);
+        return 1.0 - min(min(d.x, d.y), 1.0);
+    }
+    void main() {
+        float minor = gridLine(vGrid / cell) * 0.35;
+        float major = gridLine(vGrid / (cell * 10.0));
+        vec3 color = mix(groundColor, lineColor, max(minor, major));
+        float fade = 1.0 - smoothstep(fadeDistance * 0.3, fadeDistance, length(vWorld - cameraPosition));
+        gl_FragColor = vec4(color * fade, fade);
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }`;
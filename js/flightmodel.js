@@ -0,0 +1,215 @@
+import * as THREE from 'three';
+
+// ===== FLIGHT MODEL =====
+// A deliberately simple 6-DOF model: thrust along the nose, lift and induced
+// drag from angle of attack, a side force from sideslip, gravity, and body
+// rates that chase the stick with a short lag. The stick commands rates
+// (limited by the aircraft's rate and g limits); with the stick centred a
+// fly-by-wire style trim holds roughly 1 g, so hands-off flight stays level.
+//
+// SI units. World axes are the scene's: +y up, heading 0° along -z (north),
+// 90° along +x. Body axes match the model: nose +x, up +y, right wing +z.
+
+// Su-35 figures, rounded: AL-41F1S 86 kN dry / 142 kN with afterburner (each),
+// 62 m² wing, ~25 t take-off mass, 9 g
+export const SU35_FLIGHT = {
+    mass: 25300,
+    wingArea: 62,
+    thrustDry: 2 * 86300,
+    thrustAfterburner: 2 * 142000,
+    afterburnerFrom: 0.85,      // throttle setting where the afterburner lights
+    cd0: 0.021,
+    waveDrag: 0.025,            // extra zero-lift drag through transonic
+    inducedDrag: 0.12,
+    sideForce: 0.8,
+    liftSlope: 4.6,             // per radian
+    maxLift: 1.6,
+    maxRollRate: 3.5,           // rad/s (~200°/s)
+    maxPitchRate: 0.55,         // rad/s (~32°/s)
+    maxYawRate: 0.25,
+    gLimit: 9,
+    gMin: -3,
+    rateResponse: 5,            // 1/s
+    stability: 1.5
+};
+
+const G = 9.81;
+const SEA_LEVEL_DENSITY = 1.225;
+const SCALE_HEIGHT = 8500;      // m
+const MAX_STEP = 1 / 120;
+const CRASH_SINK_RATE = 12;     // m/s; touching down faster than this is a crash
+const REF_DYNAMIC_PRESSURE = 0.5 * SEA_LEVEL_DENSITY * 120 * 120; // full control authority above ~120 m/s
+
+export const FLIGHT_START = { altitude: 3000, speed: 220, heading: 90, throttle: 0.7 };
+
+export function createFlightModel(params = SU35_FLIGHT) {
+    const state = {
+        position: new THREE.Vector3(),
+        velocity: new THREE.Vector3(),
+        quaternion: new THREE.Quaternion(),
+        rates: new THREE.Vector3(),     // roll, yaw (nose right), pitch (nose up) in rad/s
+        throttle: 0,
+        loadFactor: 1,
+        alpha: 0,
+        beta: 0,
+        crashed: false
+    };
+    const forward = new THREE.Vector3();
+    const up = new THREE.Vector3();
+    const right = new THREE.Vector3();
+    const force = new THREE.Vector3();
+    const liftDir = new THREE.Vector3();
+    const vDir = new THREE.Vector3();
+    const delta = new THREE.Quaternion();
+    const euler = new THREE.Euler();
+
+    function reset(start = FLIGHT_START) {
+        const { altitude, speed, heading, throttle } = { ...FLIGHT_START, ...start };
+        // Heading 90° leaves the nose on +x, the model's own forward
+        state.quaternion.setFromAxisAngle(THREE.Object3D.DEFAULT_UP, THREE.MathUtils.degToRad(90 - heading));
+        state.position.set(0, altitude, 0);
+        state.velocity.set(1, 0, 0).applyQuaternion(state.quaternion).multiplyScalar(speed);
+        state.rates.set(0, 0, 0);
+        state.throttle = throttle;
+        state.loadFactor = 1;
+        state.crashed = false;
+    }
+
+    // controls: { pitch, roll, yaw } in -1..1, throttle 0..1
+    function step(dt, controls) {
+        if (state.crashed) return;
+        state.throttle = THREE.MathUtils.clamp(controls.throttle ?? state.throttle, 0, 1);
+        for (let left = dt; left > 1e-6; left -= MAX_STEP) integrate(Math.min(left, MAX_STEP), controls);
+    }
+
+    function integrate(dt, controls) {
+        const p = params;
+        const altitude = Math.max(state.position.y, 0);
+        const density = SEA_LEVEL_DENSITY * Math.exp(-altitude / SCALE_HEIGHT);
+        forward.set(1, 0, 0).applyQuaternion(state.quaternion);
+        up.set(0, 1, 0).applyQuaternion(state.quaternion);
+        right.set(0, 0, 1).applyQuaternion(state.quaternion);
+
+        const speed = state.velocity.length();
+        const dynamicPressure = 0.5 * density * speed * speed;
+        const mach = speed / speedOfSound(altitude);
+        const u = state.velocity.dot(forward);
+        state.alpha = Math.atan2(-state.velocity.dot(up), Math.max(u, 1));
+        state.beta = Math.atan2(state.velocity.dot(right), Math.max(u, 1));
+        const lift = liftCoefficient(state.alpha);
+
+        force.set(0, -p.mass * G, 0);
+        if (speed > 1) {
+            vDir.copy(state.velocity).divideScalar(speed);
+            // Lift acts along the body's up axis, square to the flight path
+            liftDir.copy(up).addScaledVector(vDir, -up.dot(vDir)).normalize();
+            force.addScaledVector(liftDir, dynamicPressure * p.wingArea * lift);
+            const wave = p.waveDrag * THREE.MathUtils.smoothstep(mach, 0.9, 1.2);
+            const drag = p.cd0 + wave + p.inducedDrag * lift * lift;
+            force.addScaledVector(vDir, -dynamicPressure * p.wingArea * drag);
+            force.addScaledVector(right, -dynamicPressure * p.wingArea * p.sideForce * state.beta);
+        }
+        force.addScaledVector(forward, thrust(state.throttle, density));
+
+        // Load factor as the pilot feels it: everything but gravity, along the body's up axis
+        state.loadFactor = (force.dot(up) + p.mass * G * up.y) / (p.mass * G);
+        state.velocity.addScaledVector(force, dt / p.mass);
+        state.position.addScaledVector(state.velocity, dt);
+
+        // Rates chase the stick; authority fades at low dynamic pressure
+        const authority = THREE.MathUtils.clamp(dynamicPressure / REF_DYNAMIC_PRESSURE, 0.1, 1);
+        const speedForG = Math.max(speed, 50);
+        const trimAlpha = THREE.MathUtils.clamp(
+            p.mass * G * Math.max(up.y, 0) / Math.max(dynamicPressure * p.wingArea * p.liftSlope, 1), 0, p.maxLift / p.liftSlope);
+        const pitchCommand = (controls.pitch || 0) * p.maxPitchRate;
+        const target = {
+            roll: (controls.roll || 0) * p.maxRollRate * authority,
+            yaw: (controls.yaw || 0) * p.maxYawRate * authority + state.beta * p.stability * authority,
+            pitch: THREE.MathUtils.clamp(
+                pitchCommand * authority - (state.alpha - trimAlpha) * p.stability * authority,
+                p.gMin * G / speedForG, p.gLimit * G / speedForG)
+        };
+        const k = 1 - Math.exp(-p.rateResponse * dt);
+        state.rates.x += (target.roll - state.rates.x) * k;
+        state.rates.y += (target.yaw - state.rates.y) * k;
+        state.rates.z += (target.pitch - state.rates.z) * k;
+        // Body-frame rotation: roll about +x, yaw right is about -y, pitch up about +z
+        euler.set(state.rates.x * dt, -state.rates.y * dt, state.rates.z * dt);
+        state.quaternion.multiply(delta.setFromEuler(euler)).normalize();
+
+        if (state.position.y <= 0) touchGround();
+    }
+
+    function touchGround() {
+        state.position.y = 0;
+        if (state.velocity.y < -CRASH_SINK_RATE || up.y < 0.7) {
+            state.crashed = true;
+            state.velocity.set(0, 0, 0);
+            state.rates.set(0, 0, 0);
+            return;
+        }
+        state.velocity.y = Math.max(state.velocity.y, 0);
+    }
+
+    function liftCoefficient(alpha) {
+        const p = params;
+        const stall = p.maxLift / p.liftSlope;
+        const a = Math.abs(alpha);
+        // Linear up to the stall, then the lift falls away
+        const cl = a <= stall ? p.liftSlope * a : p.maxLift * Math.max(0.3, 1 - (a - stall) / 0.6);
+        return Math.sign(alpha) * cl;
+    }
+
+    function thrust(throttle, density) {
+        const p = params;
+        const lapse = Math.pow(density / SEA_LEVEL_DENSITY, 0.7);
+        if (throttle <= p.afterburnerFrom) return throttle / p.afterburnerFrom * p.thrustDry * lapse;
+        const reheat = (throttle - p.afterburnerFrom) / (1 - p.afterburnerFrom);
+        return THREE.MathUtils.lerp(p.thrustDry, p.thrustAfterburner, reheat) * lapse;
+    }
+
+    // Instrument values for the HUD
+    function readouts() {
+        const altitude = state.position.y;
+        const speed = state.velocity.length();
+        return {
+            ...attitudeOf(state.quaternion),
+            altitude,
+            altitudeFt: altitude * 3.28084,
+            speed,
+            knots: speed * 1.94384,
+            mach: speed / speedOfSound(altitude),
+            verticalSpeed: state.velocity.y,
+            g: state.loadFactor,
+            alpha: THREE.MathUtils.radToDeg(state.alpha),
+            throttle: state.throttle,
+            afterburner: state.throttle > params.afterburnerFrom,
+            crashed: state.crashed
+        };
+    }
+
+    reset();
+    return { state, params, reset, step, readouts };
+}
+
+// Standard atmosphere, linear to the tropopause then constant
+export function speedOfSound(altitude) {
+    return altitude < 11000 ? 340.3 - 0.0041 * altitude : 295.1;
+}
+
+// Pitch, bank and heading in degrees of anything oriented like the model (nose +x, right wing +z)
+const attitudeForward = new THREE.Vector3();
+const attitudeUp = new THREE.Vector3();
+const attitudeRight = new THREE.Vector3();
+
+export function attitudeOf(quaternion) {
+    const forward = attitudeForward.set(1, 0, 0).applyQuaternion(quaternion);
+    const up = attitudeUp.set(0, 1, 0).applyQuaternion(quaternion);
+    const right = attitudeRight.set(0, 0, 1).applyQuaternion(quaternion);
+    const heading = THREE.MathUtils.radToDeg(Math.atan2(forward.x, -forward.z));
+    return {
+        pitch: THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(forward.y, -1, 1))),
+        bank: THREE.MathUtils.radToDeg(Math.atan2(-right.y, up.y)),
+        heading: (heading + 360) % 360
+    };
+}
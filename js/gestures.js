@@ -0,0 +1,331 @@
+// ===== HAND GESTURES =====
+// Turns MediaPipe hand landmarks into discrete gestures the viewer listens for:
+//
+//   grabstart / grab / grabend          pinch thumb and index, then move   { dx, dy }
+//   swipe                               flick an open hand                 { direction: left|right|up|down }
+//   fist                                close the hand and hold it
+//   spreadstart / spread / spreadend    two hands moving apart / together  { scale }
+//   hand / handlost                     every frame with a hand in view    { x, y, openness, pinching, grabbing, hands }
+//   calibration                         progress of calibrateHands()       { phase, progress }
+//
+// Positions are in mirrored screen space (0..1, x towards the user's right) so
+// they line up with the selfie preview. Landmark jitter goes through One-Euro
+// filters, and small movements fall inside dead-zones sized from how much the
+// user's hand jitters when held still. Hand openness is scaled by the hand's own
+// size and normalised against the open and closed hand; both come from a
+// per-user calibration kept in localStorage.
+
+const CALIBRATION_KEY = 'sukhoi3d.handCalibration';
+const DEFAULT_CALIBRATION = { closed: 0.45, open: 1.1, jitter: 0.004 };
+const CALIBRATION_TIME = 2;     // seconds of samples per pose
+
+const PINCH_ON = 0.3;           // thumb-index distance / hand size
+const PINCH_OFF = 0.45;
+const JITTER_MARGIN = 2;        // dead-zones are this many times the calibrated jitter
+const GRAB_DEADZONE = [0.004, 0.03];    // screen fraction the pinch point must move per step
+const SPREAD_DEADZONE = [0.01, 0.08];   // change in scale before a new spread event
+const FIST_OPENNESS = 0.15;
+const FIST_RELEASE = 0.5;
+const FIST_HOLD = 0.4;          // seconds
+const SWIPE_OPENNESS = 0.6;
+const SWIPE_SPEED = 1.6;        // screen fractions per second
+const SWIPE_DISTANCE = 0.18;
+const SWIPE_WINDOW = 0.25;      // seconds of palm history the swipe is judged on
+const SWIPE_COOLDOWN = 0.8;
+
+// MediaPipe landmark indices
+const WRIST = 0, THUMB_TIP = 4, INDEX_TIP = 8, MIDDLE_MCP = 9, MIDDLE_TIP = 12, RING_TIP = 16, PINKY_TIP = 20;
+
+const events = new EventTarget();
+let calibration = loadCalibration();
+let calibrating = null;
+let slots = [];
+let grabbing = false;
+let spread = null;
+let swipeCooldownUntil = 0;
+let handCount = 0;
+
+// One-Euro filter (Casiez et al.): smooths hard when the signal is slow and
+// follows closely when it moves fast, so there's little lag on quick gestures
+export function createOneEuroFilter({ minCutoff = 1, beta = 0, dCutoff = 1 } = {}) {
+    let value = null;
+    let derivative = 0;
+    let lastTime = 0;
+    const alpha = (cutoff, dt) => 1 / (1 + 1 / (2 * Math.PI * cutoff * dt));
+    return {
+        filter(x, time) {
+            if (value === null) {
+                value = x;
+                lastTime = time;
+                return x;
+            }
+            const dt = Math.max(time - lastTime, 1e-3);
+            lastTime = time;
+            derivative += alpha(dCutoff, dt) * ((x - value) / dt - derivative);
+            value += alpha(minCutoff + beta * Math.abs(derivative), dt) * (x - value);
+            return value;
+        },
+        reset() {
+            value = null;
+            derivative = 0;
+        }
+    };
+}
+
+// Subscribes to a gesture; returns a function that unsubscribes
+export function onGesture(type, listener) {
+    const handler = e => listener(e.detail);
+    events.addEventListener(type, handler);
+    return () => events.removeEventListener(type, handler);
+}
+
+export function getHandCalibration() {
+    return { ...calibration };
+}
+
+export function resetHandCalibration() {
+    calibration = { ...DEFAULT_CALIBRATION };
+    // Storage can be blocked (privacy modes); the defaults then simply aren't persisted
+    try { localStorage.removeItem(CALIBRATION_KEY); } catch (e) {}
+}
+
+// Records the open hand, then the fist, for CALIBRATION_TIME seconds each, with
+// the hand held still. Only frames with a hand in view count. Resolves with the
+// new calibration.
+export function calibrateHands() {
+    if (calibrating) calibrating.reject(new Error('Calibration restarted'));
+    return new Promise((resolve, reject) => {
+        calibrating = { phase: 'open', elapsed: 0, lastTime: null, open: [], closed: [], points: [], resolve, reject };
+        emit('calibration', { phase: 'open', progress: 0 });
+    });
+}
+
+export function cancelHandCalibration() {
+    if (!calibrating) return;
+    calibrating.reject(new Error('Calibration cancelled'));
+    calibrating = null;
+}
+
+// Drops all tracking state, ending any gesture in progress
+export function resetGestures() {
+    if (grabbing) emit('grabend');
+    if (spread) emit('spreadend');
+    grabbing = false;
+    spread = null;
+    slots = [];
+    if (handCount) emit('handlost');
+    handCount = 0;
+}
+
+// Feed every MediaPipe result through here. `time` is in seconds and `aspect`
+// is the camera image's width / height (landmarks are normalised per axis).
+export function processHandResults(results, time, aspect = 4 / 3) {
+    const hands = (results.multiHandLandmarks || []).slice(0, 2).map(lm => measureHand(lm, aspect));
+    if (hands.length !== handCount) {
+        // Hand indices aren't stable when one appears or leaves; start over
+        if (grabbing) emit('grabend');
+        if (spread) emit('spreadend');
+        grabbing = false;
+        spread = null;
+        slots = [];
+        if (!hands.length) emit('handlost');
+        handCount = hands.length;
+    }
+    if (!hands.length) return;
+
+    hands.forEach((hand, i) => filterHand(slots[i] ??= createSlot(), hand, time));
+
+    if (calibrating) {
+        sampleCalibration(hands[0], time);
+        return;
+    }
+    if (hands.length === 2) updateSpread(hands);
+    else updateSingleHand(slots[0], hands[0], time);
+
+    const main = hands[0];
+    emit('hand', {
+        x: main.pointX, y: main.pointY,
+        openness: main.openness,
+        pinching: slots[0].pinching,
+        grabbing,
+        hands: hands.length
+    });
+}
+
+function emit(type, detail = {}) {
+    events.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+function createSlot() {
+    return {
+        x: createOneEuroFilter({ minCutoff: 1.2, beta: 4 }),
+        y: createOneEuroFilter({ minCutoff: 1.2, beta: 4 }),
+        pointX: createOneEuroFilter({ minCutoff: 1.2, beta: 4 }),
+        pointY: createOneEuroFilter({ minCutoff: 1.2, beta: 4 }),
+        openness: createOneEuroFilter({ minCutoff: 1, beta: 0.5 }),
+        pinch: createOneEuroFilter({ minCutoff: 1.5, beta: 1 }),
+        pinching: false,
+        anchor: null,
+        history: [],
+        fistSince: null,
+        fistFired: false
+    };
+}
+
+// Raw per-hand measurements, scaled by the wrist to middle-knuckle length so
+// they don't change with distance from the camera
+function measureHand(lm, aspect) {
+    const dist = (a, b) => Math.hypot((a.x - b.x) * aspect, a.y - b.y);
+    const size = Math.max(dist(lm[WRIST], lm[MIDDLE_MCP]), 1e-3);
+    const palm = lm[MIDDLE_MCP];
+    const rawOpenness = [INDEX_TIP, MIDDLE_TIP, RING_TIP, PINKY_TIP]
+        .reduce((sum, i) => sum + dist(lm[i], palm), 0) / 4 / size;
+    const thumb = lm[THUMB_TIP], index = lm[INDEX_TIP];
+    return {
+        rawOpenness,
+        pinch: dist(thumb, index) / size,
+        // Mirrored so moving the hand right moves things right
+        x: 1 - palm.x,
+        y: palm.y,
+        pointX: 1 - (thumb.x + index.x) / 2,
+        pointY: (thumb.y + index.y) / 2
+    };
+}
+
+function filterHand(slot, hand, time) {
+    hand.x = slot.x.filter(hand.x, time);
+    hand.y = slot.y.filter(hand.y, time);
+    hand.pointX = slot.pointX.filter(hand.pointX, time);
+    hand.pointY = slot.pointY.filter(hand.pointY, time);
+    hand.pinch = slot.pinch.filter(hand.pinch, time);
+    hand.rawOpenness = slot.openness.filter(hand.rawOpenness, time);
+    const range = Math.max(calibration.open - calibration.closed, 0.05);
+    hand.openness = Math.min(1, Math.max(0, (hand.rawOpenness - calibration.closed) / range));
+    // Hysteresis so a pinch held near the threshold doesn't flicker
+    slot.pinching = slot.pinching ? hand.pinch < PINCH_OFF : hand.pinch < PINCH_ON && hand.openness > FIST_OPENNESS;
+}
+
+function updateSingleHand(slot, hand, time) {
+    // Pinch-grab: the pinch point drags in steps of at least the dead-zone
+    if (slot.pinching && !grabbing) {
+        grabbing = true;
+        slot.anchor = { x: hand.pointX, y: hand.pointY };
+        emit('grabstart', { x: hand.pointX, y: hand.pointY });
+    } else if (!slot.pinching && grabbing) {
+        grabbing = false;
+        slot.anchor = null;
+        emit('grabend');
+    } else if (grabbing) {
+        const dx = hand.pointX - slot.anchor.x;
+        const dy = hand.pointY - slot.anchor.y;
+        if (Math.hypot(dx, dy) > deadzone(GRAB_DEADZONE, calibration.jitter)) {
+            slot.anchor = { x: hand.pointX, y: hand.pointY };
+            emit('grab', { dx, dy });
+        }
+    }
+
+    // Fist: closed and held, fired once until the hand opens again
+    if (hand.openness < FIST_OPENNESS && !slot.pinching) {
+        slot.fistSince ??= time;
+        if (!slot.fistFired && time - slot.fistSince >= FIST_HOLD) {
+            slot.fistFired = true;
+            emit('fist');
+        }
+    } else if (hand.openness > FIST_RELEASE) {
+        slot.fistSince = null;
+        slot.fistFired = false;
+    } else {
+        slot.fistSince = null;
+    }
+
+    // Swipe: a fast, long enough movement of the open palm
+    slot.history.push({ x: hand.x, y: hand.y, time });
+    while (slot.history.length && time - slot.history[0].time > SWIPE_WINDOW) slot.history.shift();
+    if (grabbing || hand.openness < SWIPE_OPENNESS || time < swipeCooldownUntil || slot.history.length < 3) return;
+    const first = slot.history[0];
+    const dt = time - first.time;
+    const dx = hand.x - first.x;
+    const dy = hand.y - first.y;
+    const horizontal = Math.abs(dx) > Math.abs(dy);
+    const distance = horizontal ? Math.abs(dx) : Math.abs(dy);
+    if (dt <= 0 || distance < SWIPE_DISTANCE || distance / dt < SWIPE_SPEED) return;
+    swipeCooldownUntil = time + SWIPE_COOLDOWN;
+    slot.history = [];
+    emit('swipe', { direction: horizontal ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'down' : 'up') });
+}
+
+// Two-hand spread: scale is the palm distance relative to when both hands appeared
+function updateSpread(hands) {
+    const distance = Math.hypot(hands[0].x - hands[1].x, hands[0].y - hands[1].y);
+    if (!spread) {
+        spread = { start: Math.max(distance, 1e-3), scale: 1 };
+        emit('spreadstart');
+        return;
+    }
+    const scale = distance / spread.start;
+    // Both palms jitter, and the scale divides their distance by the starting one
+    if (Math.abs(scale - spread.scale) < deadzone(SPREAD_DEADZONE, calibration.jitter * 2 / spread.start)) return;
+    spread.scale = scale;
+    emit('spread', { scale });
+}
+
+function sampleCalibration(hand, time) {
+    const c = calibrating;
+    if (c.lastTime !== null) c.elapsed += Math.min(time - c.lastTime, 0.1);
+    c.lastTime = time;
+    c[c.phase].push(hand.rawOpenness);
+    if (c.phase === 'open') c.points.push({ x: hand.pointX, y: hand.pointY });
+    const progress = Math.min(1, c.elapsed / CALIBRATION_TIME);
+    emit('calibration', { phase: c.phase, progress });
+    if (progress < 1) return;
+
+    if (c.phase === 'open') {
+        c.phase = 'closed';
+        c.elapsed = 0;
+        emit('calibration', { phase: 'closed', progress: 0 });
+        return;
+    }
+    calibrating = null;
+    const open = median(c.open);
+    const closed = median(c.closed);
+    if (open - closed < 0.2) {
+        emit('calibration', { phase: 'failed', progress: 1 });
+        c.reject(new Error('Open and closed hand measured too alike; try again with the whole hand in view'));
+        return;
+    }
+    calibration = { closed, open, jitter: measureJitter(c.points) };
+    // Storage can be blocked (privacy modes); the calibration then lasts for this visit only
+    try { localStorage.setItem(CALIBRATION_KEY, JSON.stringify(calibration)); } catch (e) {}
+    emit('calibration', { phase: 'done', progress: 1 });
+    c.resolve({ ...calibration });
+}
+
+// Typical distance of the (filtered) pinch point from where the still hand
+// rests; medians, so a brief twitch during calibration doesn't widen the dead-zones
+function measureJitter(points) {
+    const centre = { x: median(points.map(p => p.x)), y: median(points.map(p => p.y)) };
+    return median(points.map(p => Math.hypot(p.x - centre.x, p.y - centre.y)));
+}
+
+function deadzone([min, max], jitter) {
+    return Math.min(max, Math.max(min, jitter * JITTER_MARGIN));
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)] ?? 0;
+}
+
+function loadCalibration() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CALIBRATION_KEY));
+        if (Number.isFinite(saved?.open) && Number.isFinite(saved?.closed) && saved.open > saved.closed) {
+            // Calibrations saved before jitter was measured keep the default dead-zones
+            const jitter = Number.isFinite(saved.jitter) ? saved.jitter : DEFAULT_CALIBRATION.jitter;
+            return { closed: saved.closed, open: saved.open, jitter };
+        }
+    } catch (e) {
+        // Blocked storage or a corrupt entry: fall back to the defaults below
+    }
+    return { ...DEFAULT_CALIBRATION };
+}
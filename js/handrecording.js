@@ -0,0 +1,150 @@
+import { downloadBlob } from './ui.js';
+
+// ===== HAND RECORDING & REPLAY =====
+// Records the landmark stream hand control receives and plays it back as a
+// drop-in replacement for the webcam. Recordings are JSON:
+//
+//   { "version": 1, "aspect": 1.333,
+//     "frames": [ { "t": 0.033, "hands": [ [[x, y, z], ... 21 landmarks] ], "handedness": ["Left"] }, ... ] }
+//
+// `t` is seconds since recording started. Playback hands onResults the same
+// shape MediaPipe does, plus the recorded time, so a replay drives gestures
+// exactly as the live session did. A playback can run on its own clock
+// (start) or be stepped by hand (advance), which is what headless runs use.
+// tools/check-hand-replay.mjs steps tools/fixtures/hand-gestures.json through
+// the gesture layer in Node.
+
+const VERSION = 1;
+const LANDMARKS = 21;
+const PRECISION = 1e4; // landmarks are stored to 4 decimals
+
+export function createHandRecorder(aspect = 4 / 3) {
+    let frames = [];
+    let startTime = null;
+    let recording = false;
+
+    return {
+        get recording() { return recording; },
+        get frameCount() { return frames.length; },
+        start() {
+            frames = [];
+            startTime = null;
+            recording = true;
+        },
+        // Call with every MediaPipe result while recording; time in seconds
+        add(results, time) {
+            if (!recording) return;
+            startTime ??= time;
+            frames.push({
+                t: round(time - startTime),
+                hands: (results.multiHandLandmarks || []).map(lm => lm.map(p => [round(p.x), round(p.y), round(p.z || 0)])),
+                handedness: (results.multiHandedness || []).map(h => h.label)
+            });
+        },
+        stop() {
+            recording = false;
+            return { version: VERSION, aspect, frames };
+        }
+    };
+}
+
+// Throws with the first problem found, so a bad file says what's wrong with it
+export function validateRecording(data) {
+    if (!data || typeof data !== 'object') throw new Error('Recording is not a JSON object');
+    if (data.version !== VERSION) throw new Error(`Unsupported recording version ${data.version} (expected ${VERSION})`);
+    if (!Array.isArray(data.frames) || !data.frames.length) throw new Error('Recording has no frames');
+    let last = -Infinity;
+    data.frames.forEach((frame, i) => {
+        if (!Number.isFinite(frame.t) || frame.t < last) throw new Error(`frames[${i}].t must be a time in seconds, in order`);
+        last = frame.t;
+        if (!Array.isArray(frame.hands)) throw new Error(`frames[${i}].hands must be an array`);
+        frame.hands.forEach((hand, h) => {
+            if (!Array.isArray(hand) || hand.length !== LANDMARKS || !hand.every(p => Array.isArray(p) && p.length === 3 && p.every(Number.isFinite))) {
+                throw new Error(`frames[${i}].hands[${h}] must be ${LANDMARKS} [x, y, z] landmarks`);
+            }
+        });
+    });
+    return data;
+}
+
+export async function loadRecording(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+    return validateRecording(await res.json());
+}
+
+export function downloadRecording(data, filename = `hand-recording-${Date.now()}.json`) {
+    downloadBlob(new Blob([JSON.stringify(data)], { type: 'application/json' }), filename);
+}
+
+// onResults(results, time) receives each frame as its time is reached.
+// options.loop restarts at the end; options.onEnd fires when a non-looping playback finishes.
+export function createHandPlayback(data, onResults, { loop = false, onEnd = null } = {}) {
+    const frames = data.frames;
+    const duration = frames[frames.length - 1].t;
+    let time = 0;
+    let index = 0;
+    let offset = 0;     // added to recorded times so looped passes keep counting up
+    let rafId = null;
+    let lastNow = null;
+    let ended = false;
+
+    function advance(seconds) {
+        if (ended) return;
+        time += seconds;
+        while (index < frames.length && frames[index].t <= time) {
+            onResults(toResults(frames[index]), frames[index].t + offset);
+            index++;
+        }
+        if (index < frames.length) return;
+        if (loop) {
+            // Leave a frame's gap so the loop seam doesn't read as a zero-length step
+            const gap = frames.length > 1 ? duration / (frames.length - 1) : 1 / 30;
+            offset += duration + gap;
+            time -= duration + gap;
+            index = 0;
+        } else {
+            ended = true;
+            stop();
+            onResults({ multiHandLandmarks: [], multiHandedness: [] }, duration + offset);
+            if (onEnd) onEnd();
+        }
+    }
+
+    function tick(now) {
+        if (lastNow !== null) advance(Math.min((now - lastNow) / 1000, 0.1));
+        lastNow = now;
+        if (rafId !== null) rafId = requestAnimationFrame(tick);
+    }
+
+    function stop() {
+        if (rafId !== null) cancelAnimationFrame(rafId);
+        rafId = null;
+        lastNow = null;
+    }
+
+    return {
+        duration,
+        aspect: data.aspect || 4 / 3,
+        get time() { return time + offset; },
+        get ended() { return ended; },
+        // Plays in real time on animation frames
+        start() {
+            if (rafId === null && !ended) rafId = requestAnimationFrame(tick);
+        },
+        stop,
+        // Steps playback manually (fixed-timestep / headless runs)
+        advance
+    };
+}
+
+function toResults(frame) {
+    return {
+        multiHandLandmarks: frame.hands.map(hand => hand.map(([x, y, z]) => ({ x, y, z }))),
+        multiHandedness: frame.hands.map((_, i) => ({ index: i, label: frame.handedness?.[i] || 'Unknown', score: 1 }))
+    };
+}
+
+function round(v) {
+    return Math.round(v * PRECISION) / PRECISION;
+}
@@ -0,0 +1,96 @@
+// ===== HAND TRACKING =====
+// Loads MediaPipe Hands from wherever js/runtime.js resolved it (the project's
+// vendor/ folder, or the CDN when that fallback is allowed) and opens the
+// camera. Every failure becomes a HandTrackingError whose `reason` says what
+// actually went wrong, so the UI can tell a missing library from a denied
+// camera; the underlying error (if any) is its `cause`.
+
+export class HandTrackingError extends Error {
+    // reason: 'runtime' | 'model' | 'insecure' | 'denied' | 'no-camera' | 'camera-busy' | 'camera'
+    constructor(reason, message, cause) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'HandTrackingError';
+        this.reason = reason;
+    }
+}
+
+const SCRIPTS = ['hands/hands.js', 'drawing_utils/drawing_utils.js'];
+
+let handsPromise = null;
+
+// Resolves with an initialised Hands instance feeding onResults
+export function loadHands(onResults, options = {}) {
+    if (handsPromise) return handsPromise;
+    handsPromise = createHands(onResults, options);
+    // A failed attempt can be retried from scratch
+    handsPromise.catch(() => { handsPromise = null; });
+    return handsPromise;
+}
+
+async function createHands(onResults, options) {
+    let base;
+    try {
+        base = await window.RUNTIME.resolve('mediapipe');
+    } catch (e) {
+        throw new HandTrackingError('runtime', `MediaPipe is not available. ${e.message}`, e);
+    }
+    for (const path of SCRIPTS) await loadScript(base + path);
+
+    const hands = new window.Hands({ locateFile: f => `${base}hands/${f}` });
+    hands.setOptions({ maxNumHands: 2, modelComplexity: 1, minDetectionConfidence: 0.7, minTrackingConfidence: 0.5, ...options });
+    hands.onResults(onResults);
+    try {
+        // Fetches the wasm runtime and model weights up front so a missing file shows here
+        await hands.initialize();
+    } catch (e) {
+        throw new HandTrackingError('model', `The hand model failed to load from ${base}hands/`, e);
+    }
+    return hands;
+}
+
+function loadScript(src) {
+    if (document.querySelector(`script[src="${src}"]`)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const s = document.createElement('script');
+        s.src = src;
+        s.crossOrigin = 'anonymous';
+        s.onload = resolve;
+        s.onerror = () => {
+            s.remove();
+            reject(new HandTrackingError('runtime', `Could not load ${src}`));
+        };
+        document.head.appendChild(s);
+    });
+}
+
+// Starts the user-facing camera on the video element; resolves with the stream
+export async function startCamera(video, constraints = { width: 640, height: 480, facingMode: 'user' }) {
+    if (!window.isSecureContext || !navigator.mediaDevices?.getUserMedia) {
+        throw new HandTrackingError('insecure', 'The camera needs a secure page (https:// or localhost)');
+    }
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: constraints });
+    } catch (e) {
+        throw cameraError(e);
+    }
+    video.srcObject = stream;
+    await video.play();
+    return stream;
+}
+
+function cameraError(e) {
+    switch (e.name) {
+        case 'NotAllowedError':
+        case 'SecurityError':
+            return new HandTrackingError('denied', 'Camera access was denied', e);
+        case 'NotFoundError':
+        case 'OverconstrainedError':
+            return new HandTrackingError('no-camera', 'No suitable camera was found', e);
+        case 'NotReadableError':
+        case 'AbortError':
+            return new HandTrackingError('camera-busy', 'The camera is in use by another application', e);
+        default:
+            return new HandTrackingError('camera', `The camera could not be started (${e.name || e.message})`, e);
+    }
+}
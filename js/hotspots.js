@@ -0,0 +1,185 @@
+import * as THREE from 'three';
+import { setOutlineTargets } from './postfx.js';
+import { isUiTarget } from './ui.js';
+
+// ===== HOTSPOTS =====
+// Clickable annotations on parts of the model. Each definition (from the tour)
+// matches meshes by glTF node and/or material name and is anchored either at
+// the centre of those meshes (following them when the model is exploded) or
+// at an explicit point in model space:
+//
+//   { "id": "radar", "label": "IRBIS-E RADAR", "section": "avionics",
+//     "material": "frontal_cone", "node": "Object_6", "anchor": [x, y, z] }
+
+let camera = null;
+let aircraft = null;
+let hotspots = [];
+let meshToHotspot = new Map();
+let pickables = [];
+let layer = null;
+let hovered = null;
+let selected = null;
+let onSelectHotspot = null;
+let pointerDirty = false;
+const pointer = new THREE.Vector2();
+const raycaster = new THREE.Raycaster();
+const projected = new THREE.Vector3();
+
+export function setupHotspots(cam, model, definitions, onSelect) {
+    disposeHotspots();
+    camera = cam;
+    aircraft = model;
+    onSelectHotspot = onSelect;
+
+    aircraft.updateMatrixWorld(true);
+    aircraft.traverse(child => { if (child.isMesh && !child.userData.helper) pickables.push(child); });
+
+    layer = document.createElement('div');
+    layer.id = 'hotspot-layer';
+    document.body.appendChild(layer);
+
+    definitions.forEach(def => {
+        const meshes = pickables.filter(m => matches(m, def));
+        if ((def.node || def.material) && meshes.length === 0) {
+            console.warn(`Hotspot "${def.id}" matches no mesh (node: ${def.node}, material: ${def.material})`);
+        }
+        const anchorObject = def.anchor ? aircraft : meshes[0];
+        const anchor = def.anchor ? new THREE.Vector3().fromArray(def.anchor) : meshCentre(meshes);
+        if (!anchor) return;
+        const hotspot = { ...def, meshes, anchor, anchorObject, marker: createMarker(def) };
+        meshes.forEach(m => meshToHotspot.set(m, hotspot));
+        hotspot.marker.addEventListener('click', e => { e.stopPropagation(); selectHotspot(hotspot); });
+        hotspot.marker.addEventListener('pointerenter', () => setHovered(hotspot));
+        hotspot.marker.addEventListener('pointerleave', () => setHovered(null));
+        layer.appendChild(hotspot.marker);
+        hotspots.push(hotspot);
+    });
+
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('click', onClick);
+}
+
+export function disposeHotspots() {
+    window.removeEventListener('pointermove', onPointerMove);
+    window.removeEventListener('click', onClick);
+    setHovered(null);
+    selectHotspot(null, false);
+    layer?.remove();
+    layer = null;
+    hotspots = [];
+    pickables = [];
+    meshToHotspot = new Map();
+}
+
+export function getSelectedHotspot() {
+    return selected;
+}
+
+export function getHotspots() {
+    return hotspots;
+}
+
+// World position of a hotspot anchor, following the aircraft's current pose
+export function getHotspotWorldPosition(hotspot, target = new THREE.Vector3()) {
+    return hotspot.anchorObject.localToWorld(target.copy(hotspot.anchor));
+}
+
+// Called every frame: keep markers glued to the model and resolve hover picks
+export function updateHotspots() {
+    if (!layer) return;
+    if (pointerDirty) {
+        pointerDirty = false;
+        setHovered(pickAt(pointer));
+    }
+    const w = window.innerWidth, h = window.innerHeight;
+    hotspots.forEach(hotspot => {
+        getHotspotWorldPosition(hotspot, projected).project(camera);
+        const onScreen = projected.z < 1 && Math.abs(projected.x) < 1.1 && Math.abs(projected.y) < 1.1;
+        hotspot.marker.style.display = onScreen ? '' : 'none';
+        if (onScreen) {
+            hotspot.marker.style.transform = `translate(${(projected.x + 1) / 2 * w}px, ${(1 - projected.y) / 2 * h}px)`;
+        }
+    });
+}
+
+export function selectHotspot(hotspot, notify = true) {
+    if (selected === hotspot) return;
+    selected?.marker.classList.remove('selected');
+    selected = hotspot;
+    selected?.marker.classList.add('selected');
+    updateOutlines();
+    if (notify && onSelectHotspot) onSelectHotspot(selected);
+}
+
+function setHovered(hotspot) {
+    if (hovered === hotspot) return;
+    hovered?.marker.classList.remove('hovered');
+    hovered = hotspot;
+    hovered?.marker.classList.add('hovered');
+    updateOutlines();
+    document.body.classList.toggle('hotspot-hover', !!hovered);
+}
+
+function pickAt(ndc) {
+    if (!camera || pickables.length === 0) return null;
+    raycaster.setFromCamera(ndc, camera);
+    // Ghosted parts (isolation mode) must not block picks on the isolated ones
+    const hit = raycaster.intersectObjects(pickables, false).find(h => !h.object.userData.ghosted);
+    return hit ? meshToHotspot.get(hit.object) || null : null;
+}
+
+function onPointerMove(e) {
+    if (isUiTarget(e.target)) {
+        pointerDirty = false;
+        if (!e.target.closest('.hotspot-marker')) setHovered(null);
+        return;
+    }
+    pointer.set(e.clientX / window.innerWidth * 2 - 1, -(e.clientY / window.innerHeight) * 2 + 1);
+    pointerDirty = true;
+}
+
+function onClick(e) {
+    if (isUiTarget(e.target)) return;
+    pointer.set(e.clientX / window.innerWidth * 2 - 1, -(e.clientY / window.innerHeight) * 2 + 1);
+    selectHotspot(pickAt(pointer));
+}
+
+// The picked part is outlined (see postfx.js), the hovered one more faintly;
+// anchor-only hotspots have no meshes and rely on their marker
+function updateOutlines() {
+    setOutlineTargets({
+        hovered: hovered && hovered !== selected ? hovered.meshes : [],
+        selected: selected ? selected.meshes : []
+    });
+}
+
+function matches(mesh, def) {
+    const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+    if (def.node && mesh.name !== def.node && mesh.parent?.name !== def.node) return false;
+    if (def.material && !materials.some(m => m?.name === def.material)) return false;
+    return !!(def.node || def.material);
+}
+
+// Centre of the meshes' geometry, in the local space of the first mesh
+function meshCentre(meshes) {
+    if (meshes.length === 0) return null;
+    const centre = new THREE.Vector3();
+    const p = new THREE.Vector3();
+    meshes.forEach(mesh => {
+        if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+        centre.add(mesh.geometry.boundingBox.getCenter(p).applyMatrix4(mesh.matrixWorld));
+    });
+    return meshes[0].worldToLocal(centre.divideScalar(meshes.length));
+}
+
+function createMarker(def) {
+    const marker = document.createElement('button');
+    marker.className = 'hotspot-marker';
+    marker.dataset.hotspot = def.id;
+    marker.setAttribute('aria-label', def.label);
+    const label = document.createElement('span');
+    label.className = 'hotspot-label';
+    label.textContent = def.label;
+    marker.appendChild(label);
+    return marker;
+}
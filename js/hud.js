@@ -0,0 +1,333 @@
+import * as THREE from 'three';
+import { attitudeOf } from './flightmodel.js';
+
+// ===== HUD =====
+// A fighter-style head-up display drawn on a 2D canvas over the WebGL view:
+// pitch ladder with waterline and flight path marker, bank scale, heading
+// tape, speed and altitude tapes, and a G meter. drawHUD() takes the readout
+// object flightmodel.js produces; in the scroll tour createMotionSampler()
+// fills in attitude, G and climb rate from how the posed aircraft actually
+// moves. The symbology colour comes from a theme, per tour or per section:
+//
+//   "hud": { "theme": "amber" }
+
+export const HUD_THEMES = {
+    green: { color: '#3dff8b', shadow: 'rgba(0, 30, 10, 0.6)' },
+    amber: { color: '#ffb347', shadow: 'rgba(40, 20, 0, 0.6)' },
+    cyan: { color: '#52e0ff', shadow: 'rgba(0, 20, 40, 0.6)' },
+    white: { color: '#f2f6ff', shadow: 'rgba(0, 0, 0, 0.7)' }
+};
+
+export const DEFAULT_HUD_THEME = 'green';
+
+const VISIBLE_KEY = 'sukhoi3d.hud';
+const DEG = Math.PI / 180;
+const G = 9.81;
+const LADDER_STEP = 5;          // degrees between pitch bars
+const LADDER_RANGE = 30;        // degrees drawn either side of the nose
+const BANK_TICKS = [-60, -45, -30, -20, -10, 0, 10, 20, 30, 45, 60];
+const HEADING_SPAN = 60;        // degrees across the heading tape
+const G_RANGE = [-3, 9];
+const MOTION_SMOOTHING = 4;     // 1/s
+const FONT = '"Share Tech Mono", monospace';
+
+let canvas = null;
+let ctx = null;
+let theme = HUD_THEMES[DEFAULT_HUD_THEME];
+let visible = true;
+let width = 0;
+let height = 0;
+let maxG = 1;
+
+export function setupHUD(target) {
+    canvas = target;
+    ctx = canvas.getContext('2d');
+    try { visible = localStorage.getItem(VISIBLE_KEY) !== 'off'; } catch (e) {}
+    canvas.hidden = !visible;
+    resizeHUD();
+}
+
+export function resizeHUD() {
+    if (!canvas) return;
+    const dpr = Math.min(window.devicePixelRatio || 1, 2);
+    width = window.innerWidth;
+    height = window.innerHeight;
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+}
+
+export function setHUDTheme(name) {
+    theme = HUD_THEMES[name] || HUD_THEMES[DEFAULT_HUD_THEME];
+}
+
+export function setHUDVisible(on) {
+    visible = on;
+    canvas.hidden = !on;
+    try { localStorage.setItem(VISIBLE_KEY, on ? 'on' : 'off'); } catch (e) {}
+}
+
+export function isHUDVisible() {
+    return visible;
+}
+
+// The G meter keeps the peak until reset (a new flight)
+export function resetHUDMaxG() {
+    maxG = 1;
+}
+
+// fov: the camera's vertical field of view, so a degree on the ladder spans a degree of the view
+export function drawHUD(r, fov) {
+    if (!visible || !ctx) return;
+    maxG = Math.max(maxG, r.g);
+    ctx.clearRect(0, 0, width, height);
+    ctx.save();
+    ctx.strokeStyle = ctx.fillStyle = theme.color;
+    ctx.shadowColor = theme.shadow;
+    ctx.shadowBlur = 4;
+    ctx.lineWidth = 1.5;
+    ctx.font = `13px ${FONT}`;
+    ctx.textBaseline = 'middle';
+
+    const cx = width / 2;
+    const cy = height / 2;
+    const size = Math.min(width, height);
+    const tapeX = Math.min(size * 0.5, width * 0.38);
+    drawLadder(r, cx, cy, height / fov, size * 0.3);
+    drawWaterline(cx, cy);
+    drawFlightPathMarker(cx, cy + (r.alpha || 0) * height / fov);
+    drawBankScale(r.bank, cx, cy, size * 0.33);
+    drawHeadingTape(r.heading, cx, cy - size * 0.42, size * 0.5);
+    drawTape(r.knots, cx - tapeX, cy, size * 0.5, { span: 100, step: 10, label: 50, side: -1 });
+    drawTape(r.altitudeFt, cx + tapeX, cy, size * 0.5, { span: 1000, step: 100, label: 500, side: 1 });
+
+    // Under the tapes: Mach and alpha on the left, climb rate and throttle on the right
+    const below = cy + size * 0.25 + 24;
+    ctx.textAlign = 'left';
+    ctx.fillText(`M ${r.mach.toFixed(2)}`, cx - tapeX - 40, below);
+    if (r.alpha !== undefined) ctx.fillText(`α ${r.alpha.toFixed(1)}`, cx - tapeX - 40, below + 18);
+    ctx.textAlign = 'right';
+    ctx.fillText(`VS ${formatSigned(Math.round(r.verticalSpeed * 196.85 / 10) * 10)}`, cx + tapeX + 40, below);
+    ctx.fillText(`THR ${Math.round(r.throttle * 100)}%${r.afterburner ? ' AB' : ''}`, cx + tapeX + 40, below + 18);
+    drawGMeter(r.g, cx - tapeX - 40, below + 48);
+
+    const warning = r.crashed ? 'CRASHED - PRESS R TO RESTART'
+        : r.altitude < 300 && r.verticalSpeed < -20 ? 'PULL UP' : '';
+    if (warning && (r.crashed || Math.floor(performance.now() / 400) % 2 === 0)) {
+        ctx.font = `bold 22px ${FONT}`;
+        ctx.textAlign = 'center';
+        ctx.fillText(warning, cx, cy + size * 0.16);
+    }
+    ctx.restore();
+}
+
+// Bars every LADDER_STEP degrees, turned with the bank; climb bars solid, dive bars dashed,
+// their end ticks pointing at the horizon
+function drawLadder(r, cx, cy, pxPerDeg, radius) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.clip();
+    ctx.translate(cx, cy);
+    ctx.rotate(-r.bank * DEG);
+    const half = radius * 0.45;
+    const gap = radius * 0.15;
+    const first = Math.ceil((r.pitch - LADDER_RANGE) / LADDER_STEP) * LADDER_STEP;
+    for (let deg = Math.max(first, -90); deg <= Math.min(r.pitch + LADDER_RANGE, 90); deg += LADDER_STEP) {
+        const y = (r.pitch - deg) * pxPerDeg;
+        ctx.beginPath();
+        if (deg === 0) {
+            ctx.moveTo(-radius, y);
+            ctx.lineTo(-gap, y);
+            ctx.moveTo(gap, y);
+            ctx.lineTo(radius, y);
+            ctx.stroke();
+            continue;
+        }
+        const tick = deg > 0 ? 8 : -8;
+        ctx.setLineDash(deg < 0 ? [8, 5] : []);
+        ctx.moveTo(-half, y + tick);
+        ctx.lineTo(-half, y);
+        ctx.lineTo(-gap, y);
+        ctx.moveTo(gap, y);
+        ctx.lineTo(half, y);
+        ctx.lineTo(half, y + tick);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.textAlign = 'right';
+        ctx.fillText(String(Math.abs(deg)), -half - 6, y);
+        ctx.textAlign = 'left';
+        ctx.fillText(String(Math.abs(deg)), half + 6, y);
+    }
+    ctx.restore();
+}
+
+// The nose: a fixed "W" at the centre
+function drawWaterline(cx, cy) {
+    ctx.beginPath();
+    ctx.moveTo(cx - 30, cy);
+    ctx.lineTo(cx - 12, cy);
+    ctx.lineTo(cx - 6, cy + 8);
+    ctx.lineTo(cx, cy);
+    ctx.lineTo(cx + 6, cy + 8);
+    ctx.lineTo(cx + 12, cy);
+    ctx.lineTo(cx + 30, cy);
+    ctx.stroke();
+}
+
+// Where the aircraft is actually going: alpha below the nose
+function drawFlightPathMarker(x, y) {
+    ctx.beginPath();
+    ctx.arc(x, y, 6, 0, Math.PI * 2);
+    ctx.moveTo(x - 18, y);
+    ctx.lineTo(x - 6, y);
+    ctx.moveTo(x + 6, y);
+    ctx.lineTo(x + 18, y);
+    ctx.moveTo(x, y - 6);
+    ctx.lineTo(x, y - 14);
+    ctx.stroke();
+}
+
+// Arc under the ladder with a pointer that swings with the bank
+function drawBankScale(bank, cx, cy, radius) {
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, (90 - 60) * DEG, (90 + 60) * DEG);
+    BANK_TICKS.forEach(t => {
+        const a = (90 + t) * DEG;
+        const length = t % 30 === 0 ? 12 : 7;
+        ctx.moveTo(cx + Math.cos(a) * radius, cy + Math.sin(a) * radius);
+        ctx.lineTo(cx + Math.cos(a) * (radius + length), cy + Math.sin(a) * (radius + length));
+    });
+    ctx.stroke();
+    const a = (90 - THREE.MathUtils.clamp(bank, -70, 70)) * DEG;
+    const tip = radius - 3;
+    ctx.beginPath();
+    ctx.moveTo(cx + Math.cos(a) * tip, cy + Math.sin(a) * tip);
+    ctx.lineTo(cx + Math.cos(a + 0.03) * (tip - 12), cy + Math.sin(a + 0.03) * (tip - 12));
+    ctx.lineTo(cx + Math.cos(a - 0.03) * (tip - 12), cy + Math.sin(a - 0.03) * (tip - 12));
+    ctx.closePath();
+    ctx.fill();
+}
+
+// Ticks every 5°, labelled every 10° in tens of degrees ("09" is east), current heading boxed
+function drawHeadingTape(heading, cx, y, length) {
+    const pxPerDeg = length / HEADING_SPAN;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(cx - length / 2, y - 30, length, 60);
+    ctx.clip();
+    ctx.beginPath();
+    ctx.textAlign = 'center';
+    const first = Math.ceil((heading - HEADING_SPAN / 2) / 5) * 5;
+    for (let deg = first; deg <= heading + HEADING_SPAN / 2; deg += 5) {
+        const x = cx + (deg - heading) * pxPerDeg;
+        const major = deg % 10 === 0;
+        ctx.moveTo(x, y);
+        ctx.lineTo(x, y + (major ? 10 : 5));
+        if (major) ctx.fillText(String(Math.round(wrapDegrees(deg) / 10) % 36).padStart(2, '0'), x, y - 10);
+    }
+    ctx.stroke();
+    ctx.restore();
+    ctx.beginPath();
+    ctx.moveTo(cx, y + 14);
+    ctx.lineTo(cx - 5, y + 22);
+    ctx.lineTo(cx + 5, y + 22);
+    ctx.closePath();
+    ctx.fill();
+    drawValueBox(String(Math.round(wrapDegrees(heading)) % 360).padStart(3, '0'), cx, y + 36, 'center');
+}
+
+// A vertical tape scrolling past a boxed current value; side -1 puts the scale left of the line
+function drawTape(value, x, cy, length, { span, step, label, side }) {
+    const pxPerUnit = length / span;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x - 80, cy - length / 2, 160, length);
+    ctx.clip();
+    ctx.beginPath();
+    ctx.moveTo(x, cy - length / 2);
+    ctx.lineTo(x, cy + length / 2);
+    ctx.textAlign = side < 0 ? 'right' : 'left';
+    const first = Math.ceil((value - span / 2) / step) * step;
+    for (let v = first; v <= value + span / 2; v += step) {
+        const y = cy - (v - value) * pxPerUnit;
+        const major = v % label === 0;
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + side * (major ? 12 : 6), y);
+        if (major) ctx.fillText(String(v), x + side * 16, y);
+    }
+    ctx.stroke();
+    ctx.restore();
+    drawValueBox(String(Math.round(value)), x - side * 8, cy, side < 0 ? 'left' : 'right');
+}
+
+function drawValueBox(text, x, y, align) {
+    const w = Math.max(ctx.measureText(text).width + 12, 44);
+    const left = align === 'center' ? x - w / 2 : align === 'left' ? x : x - w;
+    ctx.clearRect(left, y - 10, w, 20);
+    ctx.strokeRect(left, y - 10, w, 20);
+    ctx.textAlign = 'center';
+    ctx.fillText(text, left + w / 2, y);
+}
+
+// Load factor on a -3..9 scale with the peak marked
+function drawGMeter(g, x, y) {
+    const w = 120;
+    const at = v => x + (THREE.MathUtils.clamp(v, ...G_RANGE) - G_RANGE[0]) / (G_RANGE[1] - G_RANGE[0]) * w;
+    ctx.textAlign = 'left';
+    ctx.fillText(`G ${g.toFixed(1)}  MAX ${maxG.toFixed(1)}`, x, y - 14);
+    ctx.strokeRect(x, y - 4, w, 8);
+    ctx.fillRect(Math.min(at(0), at(g)), y - 4, Math.abs(at(g) - at(0)), 8);
+    ctx.beginPath();
+    ctx.moveTo(at(maxG), y - 8);
+    ctx.lineTo(at(maxG), y + 8);
+    ctx.stroke();
+}
+
+function wrapDegrees(deg) {
+    return ((deg % 360) + 360) % 360;
+}
+
+function formatSigned(v) {
+    return v > 0 ? `+${v}` : String(v);
+}
+
+// ===== MOTION SAMPLER =====
+// The scroll tour poses the aircraft rather than flying it, so its HUD reads
+// the pose: attitude straight from the orientation, load factor from the pitch
+// rate at the readout's speed, climb rate from the readout's altitude changes.
+export function createMotionSampler() {
+    const last = new THREE.Quaternion();
+    const turn = new THREE.Quaternion();
+    const up = new THREE.Vector3();
+    let sampled = false;
+    let lastAltitude = 0;
+    let g = 1;
+    let verticalSpeed = 0;
+
+    return {
+        sample(object, delta, readout) {
+            const q = object.quaternion;
+            let pitchRate = 0;
+            if (sampled && delta > 0) {
+                // Body-frame rotation since the last frame; small angles, so its z is half the pitch angle
+                turn.copy(last).invert().multiply(q);
+                pitchRate = 2 * Math.sign(turn.w || 1) * turn.z / delta;
+                const k = 1 - Math.exp(-MOTION_SMOOTHING * delta);
+                up.set(0, 1, 0).applyQuaternion(q);
+                const target = THREE.MathUtils.clamp(up.y + readout.speed * pitchRate / G, ...G_RANGE);
+                g += (target - g) * k;
+                verticalSpeed += ((readout.altitude - lastAltitude) / delta - verticalSpeed) * k;
+            }
+            last.copy(q);
+            lastAltitude = readout.altitude;
+            sampled = true;
+            return { ...readout, ...attitudeOf(q), g, verticalSpeed };
+        },
+        reset() {
+            sampled = false;
+            g = 1;
+            verticalSpeed = 0;
+        }
+    };
+}
@@ -0,0 +1,407 @@
+import * as THREE from 'three';
+import { isUiTarget } from './ui.js';
+
+// ===== INPUT =====
+// Direct control of the aircraft from every source (mouse drag, two-finger
+// touch, keyboard, gamepad and hand gestures) goes into one pose offset layered
+// on top of the scroll-driven pose: a rotation about the world axes and a zoom
+// factor on the camera's field of view.
+//
+//   mouse      drag to orbit, ctrl + wheel (trackpad pinch) to zoom
+//   touch      two fingers: drag to orbit, pinch to zoom (one finger still scrolls)
+//   keyboard   with the viewer focused (dragging it or tabbing to it focuses it): arrows
+//              rotate, Q/E roll, +/- zoom, PageUp/PageDown or 1-9 jump sections, 0 resets,
+//              H toggles the HUD. Elsewhere keys keep their usual meaning: the arrows
+//              scroll, and links, buttons and screen readers get their own keys
+//   gamepad    left stick pitch/roll, right stick yaw, triggers zoom, bumpers change section, B resets
+//
+// Sources can hold the offset (hand control while it's on, a drag in
+// progress); otherwise it eases back to the scroll pose after a few idle
+// seconds or as soon as releaseInput() is called (e.g. on a section change).
+//
+// In flight mode the same sources fly the aircraft instead, through a stick
+// (pitch/roll/yaw in -1..1, summed across sources) and a throttle. The page is
+// parked then, so the keys are taken wherever focus is:
+//
+//   keyboard   arrows pitch (up = nose down) and roll, Q/E or A/D rudder, W/S or +/- throttle, R restarts, Esc exits
+//   gamepad    left stick pitch/roll, right stick rudder, triggers throttle, B restarts
+
+const ZOOM_RANGE = [0.5, 2];
+const ROTATE_PER_SCREEN = Math.PI * 2;  // radians per screen width of drag
+const KEY_ROTATE_SPEED = 1.5;           // radians per second
+const KEY_ZOOM_SPEED = 1;               // zoom factor per second
+const PAD_ROTATE_SPEED = 2;
+const PAD_ZOOM_SPEED = 1.5;
+const PAD_DEADZONE = 0.15;
+const DRAG_THRESHOLD = 4;               // px before a press becomes a drag (below it, it's a click)
+const IDLE_RELEASE = 4;                 // seconds without input before easing back
+const RELEASE_RATE = 3;                 // per second
+const KEY_STICK_RATE = 4;               // stick travel per second while a key is held
+const THROTTLE_RATE = 0.5;              // throttle travel per second
+
+const offset = { pitch: 0, yaw: 0, roll: 0, zoom: 1 };
+const holds = new Set();
+const keys = new Set();
+const pointers = new Map();
+const euler = new THREE.Euler(0, 0, 0, 'YXZ');
+let callbacks = {};
+let viewer = null;
+let activeSource = null;
+let idleTime = 0;
+let releasing = false;
+let drag = null;
+let suppressClick = false;
+let pinch = null;
+let padButtons = [];
+let mode = 'pose';
+let throttle = 0.7;
+const stick = { pitch: 0, roll: 0, yaw: 0, throttle };
+const sourceAxes = {};                  // per-source stick axes, summed into `stick`
+
+// viewer: the focusable element that takes the steering keys (the WebGL canvas)
+// callbacks: stepSection(±1), goToSection(index), resetFlight(), exitFlight(), toggleHUD()
+export function setupInput({ viewer: viewerElement = null, ...options } = {}) {
+    callbacks = options;
+    viewer = viewerElement;
+    viewer?.addEventListener('blur', () => keys.clear());
+    window.addEventListener('pointerdown', onPointerDown);
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+    window.addEventListener('pointercancel', onPointerUp);
+    // Capture phase, ahead of hotspot picking: a drag must not end in a pick
+    window.addEventListener('click', onClickCapture, true);
+    window.addEventListener('wheel', onWheel, { passive: false });
+    window.addEventListener('keydown', onKeyDown);
+    window.addEventListener('keyup', e => keys.delete(e.code));
+    window.addEventListener('blur', () => keys.clear());
+}
+
+export function rotateInput(pitch, yaw, roll, source) {
+    offset.pitch = THREE.MathUtils.clamp(offset.pitch + pitch, -Math.PI / 2, Math.PI / 2);
+    offset.yaw += yaw;
+    offset.roll = THREE.MathUtils.clamp(offset.roll + roll, -Math.PI, Math.PI);
+    touch(source);
+}
+
+export function setInputZoom(zoom, source) {
+    offset.zoom = THREE.MathUtils.clamp(zoom, ...ZOOM_RANGE);
+    touch(source);
+}
+
+// Sets the whole offset at once, e.g. from a deep link or a presenter
+export function setInputOffset({ pitch = 0, yaw = 0, roll = 0, zoom = 1 }, source) {
+    offset.pitch = THREE.MathUtils.clamp(pitch, -Math.PI / 2, Math.PI / 2);
+    offset.yaw = yaw;
+    offset.roll = THREE.MathUtils.clamp(roll, -Math.PI, Math.PI);
+    setInputZoom(zoom, source);
+}
+
+export function getInputZoom() {
+    return offset.zoom;
+}
+
+// Snaps straight back to the scroll pose
+export function resetInput() {
+    offset.pitch = offset.yaw = offset.roll = 0;
+    offset.zoom = 1;
+    releasing = false;
+    activeSource = null;
+}
+
+// Eases back to the scroll pose unless a source is holding on
+export function releaseInput() {
+    if (!holds.size && activeSource) releasing = true;
+}
+
+// A held source keeps its offset however long it stays idle
+export function holdInput(source, held) {
+    if (held) holds.add(source);
+    else holds.delete(source);
+}
+
+// 'pose' offsets the scroll pose, 'flight' flies the aircraft with the stick
+export function setInputMode(next) {
+    mode = next;
+    resetInput();
+    Object.keys(sourceAxes).forEach(source => { sourceAxes[source] = { pitch: 0, roll: 0, yaw: 0 }; });
+}
+
+export function getInputMode() {
+    return mode;
+}
+
+// Stick axes from one source, e.g. the hand's grab offset; the sources add up
+export function setFlightStick(axes, source) {
+    sourceAxes[source] = { pitch: 0, roll: 0, yaw: 0, ...axes };
+    activeSource = source;
+}
+
+export function setFlightThrottle(value) {
+    throttle = THREE.MathUtils.clamp(value, 0, 1);
+}
+
+export function getFlightStick() {
+    stick.pitch = stick.roll = stick.yaw = 0;
+    Object.values(sourceAxes).forEach(a => {
+        stick.pitch += a.pitch;
+        stick.roll += a.roll;
+        stick.yaw += a.yaw;
+    });
+    stick.pitch = THREE.MathUtils.clamp(stick.pitch, -1, 1);
+    stick.roll = THREE.MathUtils.clamp(stick.roll, -1, 1);
+    stick.yaw = THREE.MathUtils.clamp(stick.yaw, -1, 1);
+    stick.throttle = throttle;
+    return stick;
+}
+
+// Source that last moved the aircraft, or null while the scroll pose rules
+export function getActiveInput() {
+    return activeSource;
+}
+
+export function getInputState() {
+    return { ...offset, source: activeSource };
+}
+
+// Rotation offset as a quaternion; the caller premultiplies the posed rotation
+export function getInputRotation(target) {
+    euler.set(offset.pitch, offset.yaw, offset.roll);
+    return target.setFromEuler(euler);
+}
+
+// Called every frame from animate()
+export function updateInput(delta) {
+    if (mode === 'flight') {
+        updateFlightKeyboard(delta);
+        updateGamepad(delta);
+        return;
+    }
+    updateKeyboard(delta);
+    updateGamepad(delta);
+
+    if (!activeSource) return;
+    idleTime += delta;
+    if (idleTime > IDLE_RELEASE) releaseInput();
+    if (!releasing) return;
+    const k = 1 - Math.exp(-RELEASE_RATE * delta);
+    offset.pitch -= offset.pitch * k;
+    offset.yaw -= offset.yaw * k;
+    offset.roll -= offset.roll * k;
+    offset.zoom += (1 - offset.zoom) * k;
+    if (Math.abs(offset.pitch) + Math.abs(offset.yaw) + Math.abs(offset.roll) + Math.abs(offset.zoom - 1) < 1e-3) resetInput();
+}
+
+function touch(source) {
+    activeSource = source;
+    idleTime = 0;
+    releasing = false;
+}
+
+function isTyping(target) {
+    return target instanceof Element && !!target.closest('input, select, textarea, [contenteditable="true"]');
+}
+
+function isControl(target) {
+    return target instanceof Element && !!target.closest('a[href], button, [role="button"]');
+}
+
+// ===== POINTER =====
+function onPointerDown(e) {
+    suppressClick = false;
+    if (isUiTarget(e.target)) return;
+    if (mode === 'flight') return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, type: e.pointerType });
+    if (e.pointerType === 'mouse' && e.button === 0) {
+        drag = { id: e.pointerId, x: e.clientX, y: e.clientY, moved: false };
+    }
+    if (e.pointerType === 'touch' && pointers.size === 2) startTouchPinch();
+}
+
+function onPointerMove(e) {
+    const p = pointers.get(e.pointerId);
+    if (!p) return;
+    p.x = e.clientX;
+    p.y = e.clientY;
+    if (pinch) return updateTouchPinch();
+    if (!drag || drag.id !== e.pointerId) return;
+    const dx = e.clientX - drag.x;
+    const dy = e.clientY - drag.y;
+    if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+    if (!drag.moved) {
+        drag.moved = true;
+        holdInput('pointer', true);
+        document.body.classList.add('input-dragging');
+        window.getSelection()?.removeAllRanges();
+        focusViewer();
+    }
+    drag.x = e.clientX;
+    drag.y = e.clientY;
+    const scale = ROTATE_PER_SCREEN / window.innerWidth;
+    rotateInput(dy * scale, dx * scale, 0, 'pointer');
+}
+
+function onPointerUp(e) {
+    pointers.delete(e.pointerId);
+    if (drag?.id === e.pointerId) {
+        suppressClick = drag.moved;
+        drag = null;
+        holdInput('pointer', false);
+        document.body.classList.remove('input-dragging');
+    }
+    if (pinch && pointers.size < 2) {
+        pinch = null;
+        holdInput('pointer', false);
+    }
+}
+
+function onClickCapture(e) {
+    if (!suppressClick) return;
+    suppressClick = false;
+    e.stopPropagation();
+}
+
+// Two fingers: the spread zooms, the midpoint orbits
+function startTouchPinch() {
+    const [a, b] = [...pointers.values()];
+    pinch = {
+        distance: Math.max(Math.hypot(a.x - b.x, a.y - b.y), 1),
+        zoom: offset.zoom,
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2
+    };
+    drag = null;
+    holdInput('pointer', true);
+    focusViewer();
+}
+
+function updateTouchPinch() {
+    const [a, b] = [...pointers.values()];
+    const x = (a.x + b.x) / 2;
+    const y = (a.y + b.y) / 2;
+    const scale = ROTATE_PER_SCREEN / window.innerWidth;
+    rotateInput((y - pinch.y) * scale, (x - pinch.x) * scale, 0, 'touch');
+    pinch.x = x;
+    pinch.y = y;
+    setInputZoom(pinch.zoom * Math.hypot(a.x - b.x, a.y - b.y) / pinch.distance, 'touch');
+}
+
+// Browsers report trackpad pinches as ctrl + wheel; plain wheel keeps scrolling the page
+function onWheel(e) {
+    if (!e.ctrlKey || mode === 'flight' || isUiTarget(e.target)) return;
+    e.preventDefault();
+    setInputZoom(offset.zoom * Math.exp(-e.deltaY * 0.01), 'pointer');
+}
+
+// ===== KEYBOARD =====
+// A drag leaves the keys steering what was just dragged
+function focusViewer() {
+    if (viewer && document.activeElement !== viewer) viewer.focus({ preventScroll: true });
+}
+
+function onKeyDown(e) {
+    if (isTyping(e.target) || e.altKey || e.ctrlKey || e.metaKey) return;
+    if (mode !== 'flight' && !(viewer && document.activeElement === viewer)) return;
+    if (e.code === 'KeyH') {
+        if (!e.repeat) callbacks.toggleHUD?.();
+        return;
+    }
+    if (mode === 'flight') return onFlightKeyDown(e);
+    switch (e.code) {
+        case 'ArrowLeft': case 'ArrowRight': case 'ArrowUp': case 'ArrowDown':
+        case 'KeyQ': case 'KeyE': case 'Equal': case 'Minus': case 'NumpadAdd': case 'NumpadSubtract':
+            keys.add(e.code);
+            e.preventDefault();
+            return;
+        case 'PageDown': case 'PageUp':
+            e.preventDefault();
+            if (!e.repeat) callbacks.stepSection?.(e.code === 'PageDown' ? 1 : -1);
+            return;
+        case 'Digit0': case 'Numpad0':
+            resetInput();
+            return;
+    }
+    const digit = /^(Digit|Numpad)([1-9])$/.exec(e.code);
+    if (digit && !e.repeat) callbacks.goToSection?.(Number(digit[2]) - 1);
+}
+
+function updateKeyboard(delta) {
+    if (!keys.size) return;
+    const axis = (neg, pos) => (keys.has(pos) ? 1 : 0) - (keys.has(neg) ? 1 : 0);
+    const pitch = axis('ArrowUp', 'ArrowDown');
+    const yaw = axis('ArrowLeft', 'ArrowRight');
+    const roll = axis('KeyQ', 'KeyE');
+    const zoom = axis('Minus', 'Equal') || axis('NumpadSubtract', 'NumpadAdd');
+    if (pitch || yaw || roll) rotateInput(pitch * KEY_ROTATE_SPEED * delta, yaw * KEY_ROTATE_SPEED * delta, roll * KEY_ROTATE_SPEED * delta, 'keyboard');
+    if (zoom) setInputZoom(offset.zoom * Math.exp(zoom * KEY_ZOOM_SPEED * delta), 'keyboard');
+}
+
+const FLIGHT_KEYS = [
+    'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'KeyQ', 'KeyE', 'KeyA', 'KeyD',
+    'KeyW', 'KeyS', 'Equal', 'Minus', 'NumpadAdd', 'NumpadSubtract'
+];
+
+function onFlightKeyDown(e) {
+    if (FLIGHT_KEYS.includes(e.code)) {
+        keys.add(e.code);
+        e.preventDefault();
+    } else if (e.code === 'KeyR' && !e.repeat) {
+        callbacks.resetFlight?.();
+    } else if (e.code === 'Escape') {
+        callbacks.exitFlight?.();
+    } else if (e.code === 'PageUp' || e.code === 'PageDown' || e.code === 'Space') {
+        // The page is parked while flying; a focused button or link still takes its keys
+        if (!isControl(e.target)) e.preventDefault();
+    }
+}
+
+// Digital keys ramp the stick so taps give small inputs and it recentres on release
+function updateFlightKeyboard(delta) {
+    const axis = (neg, pos) => (keys.has(pos) ? 1 : 0) - (keys.has(neg) ? 1 : 0);
+    const target = {
+        pitch: axis('ArrowUp', 'ArrowDown'),
+        roll: axis('ArrowLeft', 'ArrowRight'),
+        yaw: axis('KeyQ', 'KeyE') || axis('KeyA', 'KeyD')
+    };
+    const current = sourceAxes.keyboard || { pitch: 0, roll: 0, yaw: 0 };
+    const ramp = (from, to) => from + THREE.MathUtils.clamp(to - from, -KEY_STICK_RATE * delta, KEY_STICK_RATE * delta);
+    sourceAxes.keyboard = {
+        pitch: ramp(current.pitch, target.pitch),
+        roll: ramp(current.roll, target.roll),
+        yaw: ramp(current.yaw, target.yaw)
+    };
+    const power = axis('KeyS', 'KeyW') || axis('Minus', 'Equal') || axis('NumpadSubtract', 'NumpadAdd');
+    if (power) setFlightThrottle(throttle + power * THROTTLE_RATE * delta);
+    if (target.pitch || target.roll || target.yaw || power) activeSource = 'keyboard';
+}
+
+// ===== GAMEPAD =====
+// Standard mapping: axes 0/1 left stick, 2/3 right stick; buttons 1 B, 4/5 bumpers, 6/7 triggers
+function updateGamepad(delta) {
+    const pad = navigator.getGamepads ? [...navigator.getGamepads()].find(p => p && p.connected) : null;
+    if (!pad) return;
+    const axis = i => {
+        const v = pad.axes[i] || 0;
+        return Math.abs(v) < PAD_DEADZONE ? 0 : (v - Math.sign(v) * PAD_DEADZONE) / (1 - PAD_DEADZONE);
+    };
+    const value = i => pad.buttons[i]?.value || 0;
+    const pressed = i => !!pad.buttons[i]?.pressed && !padButtons[i];
+
+    if (mode === 'flight') {
+        // Stick pulled back (positive y) is nose up
+        sourceAxes.gamepad = { pitch: axis(1), roll: axis(0), yaw: axis(2) };
+        const power = value(7) - value(6);
+        if (Math.abs(power) > 0.05) setFlightThrottle(throttle + power * THROTTLE_RATE * delta);
+        if (pressed(1)) callbacks.resetFlight?.();
+        if (Math.abs(power) > 0.05 || axis(0) || axis(1) || axis(2)) activeSource = 'gamepad';
+        padButtons = pad.buttons.map(b => b.pressed);
+        return;
+    }
+    const roll = axis(0), pitch = axis(1), yaw = axis(2);
+    if (pitch || yaw || roll) rotateInput(pitch * PAD_ROTATE_SPEED * delta, yaw * PAD_ROTATE_SPEED * delta, roll * PAD_ROTATE_SPEED * delta, 'gamepad');
+    const zoom = value(7) - value(6);
+    if (Math.abs(zoom) > 0.05) setInputZoom(offset.zoom * Math.exp(zoom * PAD_ZOOM_SPEED * delta), 'gamepad');
+    if (pressed(5)) callbacks.stepSection?.(1);
+    if (pressed(4)) callbacks.stepSection?.(-1);
+    if (pressed(1)) resetInput();
+    padButtons = pad.buttons.map(b => b.pressed);
+}
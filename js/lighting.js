@@ -0,0 +1,272 @@
+import * as THREE from 'three';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { fetchTracked } from './loading.js';
+
+// ===== LIGHTING =====
+// Image-based lighting from a PMREM-filtered environment (the procedural room,
+// or an equirectangular .hdr), a shadow-casting key light whose shadow camera
+// is fitted around the aircraft every frame, and a shadow-catcher ground plane
+// under it. Presets blend over ~1s when a section switches them:
+//
+//   "lighting": "dawn"                          (section or tour default)
+//   "lightingPresets": { "hangar": { "extends": "overcast", "environment": "./assets/hdr/hangar.hdr",
+//                                    "key": { "intensity": 2 } } }
+//
+// Colours are 0xRRGGBB numbers or "#rrggbb" strings; directions point from the
+// aircraft towards the light, in world space.
+
+export const LIGHTING_PRESETS = {
+    studio: {
+        environment: 'room', envIntensity: 1, exposure: 1.2, shadowOpacity: 0.25,
+        ambient: { color: 0x4488ff, intensity: 0.4 },
+        key: { color: 0xffffff, intensity: 1.2, direction: [50, 50, 50] },
+        fill: { color: 0x4488ff, intensity: 0.6, direction: [-50, 30, -50] },
+        rim: { color: 0x00f0ff, intensity: 0.4, direction: [0, -20, -50] }
+    },
+    dawn: {
+        environment: 'room', envIntensity: 0.7, exposure: 1.1, shadowOpacity: 0.35,
+        ambient: { color: 0xffb38a, intensity: 0.3 },
+        key: { color: 0xffa060, intensity: 1.6, direction: [60, 15, -30] },
+        fill: { color: 0x6a7bd8, intensity: 0.4, direction: [-50, 25, 40] },
+        rim: { color: 0xff7040, intensity: 0.6, direction: [-20, 5, -50] }
+    },
+    overcast: {
+        environment: 'room', envIntensity: 1.3, exposure: 1.15, shadowOpacity: 0.12,
+        ambient: { color: 0xcfd8e0, intensity: 0.7 },
+        key: { color: 0xe8eef5, intensity: 0.5, direction: [10, 60, 10] },
+        fill: { color: 0xb0c0d0, intensity: 0.5, direction: [-40, 30, -40] },
+        rim: { color: 0xffffff, intensity: 0.2, direction: [0, -20, -50] }
+    },
+    night: {
+        environment: 'room', envIntensity: 0.25, exposure: 0.9, shadowOpacity: 0.3,
+        ambient: { color: 0x1a2a5a, intensity: 0.25 },
+        key: { color: 0x8fa8ff, intensity: 0.5, direction: [-40, 50, 20] },
+        fill: { color: 0x203060, intensity: 0.3, direction: [50, 20, -30] },
+        rim: { color: 0x00f0ff, intensity: 0.8, direction: [0, -20, -50] }
+    }
+};
+
+export const DEFAULT_LIGHTING = 'studio';
+
+const BLEND_TIME = 1;        // seconds
+const BASE_ENV_INTENSITY = 1.5;
+const GROUND_SIZE = 80;
+
+let renderer = null;
+let scene = null;
+let tracker = null;
+let pmrem = null;
+let presets = LIGHTING_PRESETS;
+let ambient, keyLight, fillLight, rimLight, ground;
+let subject = null;
+let subjectRadius = 1;
+let materials = [];
+let blend = 1;
+let environments = new Map();
+let from = null;
+let to = null;
+const subjectCentre = new THREE.Vector3();
+const centre = new THREE.Vector3();
+const tmpVector = new THREE.Vector3();
+const tmpColor = new THREE.Color();
+
+// options.tracker: loading tracker for .hdr downloads
+export function setupLighting(webglRenderer, targetScene, options = {}) {
+    renderer = webglRenderer;
+    scene = targetScene;
+    tracker = options.tracker || null;
+    pmrem = new THREE.PMREMGenerator(renderer);
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+    ambient = new THREE.AmbientLight();
+    keyLight = new THREE.DirectionalLight();
+    keyLight.userData.shadowCaster = true;
+    keyLight.shadow.bias = -0.0005;
+    keyLight.shadow.normalBias = 0.02;
+    keyLight.shadow.radius = 4;
+    fillLight = new THREE.DirectionalLight();
+    rimLight = new THREE.DirectionalLight();
+    scene.add(ambient, keyLight, keyLight.target, fillLight, fillLight.target, rimLight, rimLight.target);
+
+    ground = new THREE.Mesh(
+        new THREE.PlaneGeometry(GROUND_SIZE, GROUND_SIZE).rotateX(-Math.PI / 2),
+        new THREE.ShadowMaterial({ opacity: 0, depthWrite: false })
+    );
+    ground.name = 'lighting:ground';
+    ground.receiveShadow = true;
+    ground.visible = false;
+    ground.userData.helper = true;
+    ground.raycast = () => {};
+    scene.add(ground);
+
+    from = to = resolvePreset(DEFAULT_LIGHTING);
+    blend = 1;
+    applyBlend(to, to, 1);
+    useEnvironment(to.environment);
+}
+
+// Extra presets from the tour; each fills what it leaves out from the preset it extends
+export function setLightingPresets(custom = {}) {
+    presets = { ...LIGHTING_PRESETS };
+    Object.entries(custom).forEach(([name, p]) => {
+        const base = LIGHTING_PRESETS[p.extends] || LIGHTING_PRESETS[DEFAULT_LIGHTING];
+        presets[name] = {
+            ...base,
+            ...p,
+            ambient: { ...base.ambient, ...p.ambient },
+            key: { ...base.key, ...p.key },
+            fill: { ...base.fill, ...p.fill },
+            rim: { ...base.rim, ...p.rim }
+        };
+    });
+}
+
+// The model whose bounds the key light and ground plane follow
+export function setLightingSubject(model) {
+    subject = model;
+    materials = [];
+    const sphere = new THREE.Box3().setFromObject(model).getBoundingSphere(new THREE.Sphere());
+    subjectRadius = Math.max(sphere.radius, 0.1);
+    subjectCentre.copy(model.worldToLocal(sphere.center));
+    model.traverse(child => {
+        if (!child.isMesh || child.userData.helper) return;
+        child.castShadow = true;
+        child.receiveShadow = true;
+        [].concat(child.material || []).forEach(m => {
+            if ('envMapIntensity' in m && !materials.includes(m)) materials.push(m);
+        });
+    });
+    ground.visible = true;
+    applyBlend(from, to, smooth(blend));
+}
+
+// The shadow catcher only makes sense near the ground; flight mode turns it off
+export function setShadowGroundVisible(visible) {
+    ground.visible = visible && !!subject;
+}
+
+export function setLightingPreset(name) {
+    const next = resolvePreset(name);
+    if (next === to) return;
+    // Start from wherever the running blend is, so quick scrolls don't jump
+    from = snapshot(from, to, smooth(blend));
+    to = next;
+    blend = 0;
+    useEnvironment(to.environment);
+}
+
+export function updateLighting(delta) {
+    if (!renderer) return;
+    if (blend < 1) {
+        blend = Math.min(1, blend + delta / BLEND_TIME);
+        applyBlend(from, to, smooth(blend));
+    }
+    if (subject) fitToSubject();
+}
+
+function smooth(t) {
+    return t * t * (3 - 2 * t);
+}
+
+function resolvePreset(name) {
+    const preset = presets[name];
+    if (!preset) {
+        console.warn(`Unknown lighting preset "${name}", using "${DEFAULT_LIGHTING}"`);
+        return presets[DEFAULT_LIGHTING];
+    }
+    return preset;
+}
+
+// Key light and its shadow camera hug the aircraft's bounding sphere
+function fitToSubject() {
+    subject.localToWorld(centre.copy(subjectCentre));
+    [keyLight, fillLight, rimLight].forEach(light => {
+        light.target.position.copy(centre);
+        light.position.copy(centre).addScaledVector(light.userData.direction, subjectRadius * 3);
+    });
+    const cam = keyLight.shadow.camera;
+    if (cam.right !== subjectRadius) {
+        cam.left = cam.bottom = -subjectRadius;
+        cam.right = cam.top = subjectRadius;
+        cam.near = subjectRadius * 0.5;
+        cam.far = subjectRadius * 12; // long enough to reach the ground under low sun angles
+        cam.updateProjectionMatrix();
+    }
+    // Fixed drop below the centre (not the rotated bounds) so the plane doesn't bob with every roll
+    ground.position.set(centre.x, centre.y - subjectRadius, centre.z);
+}
+
+function applyBlend(a, b, t) {
+    lerpLight(ambient, a.ambient, b.ambient, t);
+    lerpLight(keyLight, a.key, b.key, t);
+    lerpLight(fillLight, a.fill, b.fill, t);
+    lerpLight(rimLight, a.rim, b.rim, t);
+    renderer.toneMappingExposure = THREE.MathUtils.lerp(a.exposure, b.exposure, t);
+    ground.material.opacity = THREE.MathUtils.lerp(a.shadowOpacity, b.shadowOpacity, t);
+    const env = THREE.MathUtils.lerp(a.envIntensity, b.envIntensity, t) * BASE_ENV_INTENSITY;
+    materials.forEach(m => { m.envMapIntensity = env; });
+}
+
+function lerpLight(light, a, b, t) {
+    light.color.set(a.color).lerp(tmpColor.set(b.color), t);
+    light.intensity = THREE.MathUtils.lerp(a.intensity, b.intensity, t);
+    if (light.target && a.direction) {
+        light.userData.direction ??= new THREE.Vector3();
+        light.userData.direction.fromArray(a.direction).normalize()
+            .lerp(tmpVector.fromArray(b.direction).normalize(), t).normalize();
+    }
+}
+
+// Frozen copy of a partially blended state, used as the start of the next blend
+function snapshot(a, b, t) {
+    const light = (la, lb) => ({
+        color: tmpColor.set(la.color).lerp(new THREE.Color(lb.color), t).getHex(),
+        intensity: THREE.MathUtils.lerp(la.intensity, lb.intensity, t),
+        direction: la.direction && new THREE.Vector3().fromArray(la.direction).lerp(new THREE.Vector3().fromArray(lb.direction), t).toArray()
+    });
+    const lerp = k => THREE.MathUtils.lerp(a[k], b[k], t);
+    return {
+        environment: b.environment,
+        envIntensity: lerp('envIntensity'),
+        exposure: lerp('exposure'),
+        shadowOpacity: lerp('shadowOpacity'),
+        ambient: light(a.ambient, b.ambient),
+        key: light(a.key, b.key),
+        fill: light(a.fill, b.fill),
+        rim: light(a.rim, b.rim)
+    };
+}
+
+// 'room' or an .hdr URL; PMREM results are cached per source
+function useEnvironment(source = 'room') {
+    if (!environments.has(source)) environments.set(source, loadEnvironment(source));
+    environments.get(source).then(texture => {
+        if ((to.environment || 'room') === source) scene.environment = texture;
+    });
+}
+
+async function loadEnvironment(source) {
+    if (source === 'room') {
+        const room = new RoomEnvironment(renderer);
+        const texture = pmrem.fromScene(room, 0.04).texture;
+        room.dispose();
+        return texture;
+    }
+    let url = null;
+    try {
+        const buffer = await fetchTracked(source, tracker);
+        url = URL.createObjectURL(new Blob([buffer]));
+        const hdr = await new RGBELoader().loadAsync(url);
+        hdr.mapping = THREE.EquirectangularReflectionMapping;
+        const texture = pmrem.fromEquirectangular(hdr).texture;
+        hdr.dispose();
+        return texture;
+    } catch (e) {
+        console.warn(`Environment ${source} failed, using the room environment`, e);
+        if (!environments.has('room')) environments.set('room', loadEnvironment('room'));
+        return environments.get('room');
+    } finally {
+        if (url) URL.revokeObjectURL(url);
+    }
+}
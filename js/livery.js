@@ -0,0 +1,840 @@
+import * as THREE from 'three';
+import { DecalGeometry } from 'three/addons/geometries/DecalGeometry.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+
+// ===== LIVERY =====
+// Paint on top of the shipped materials, addressed by material name:
+//
+//   {
+//       "name": "SEA BLUE",
+//       "materials": {
+//           "Su35_L": {
+//               "map": "./assets/liveries/blue.jpg",           (optional baseColor swap, glTF UVs)
+//               "pattern": { "style": "blotch|splinter|digital", (optional camouflage painted over the
+//                            "colors": ["#rrggbb", ...],          base map, keeping its panel lines as
+//                            "scale": 1, "seed": 7 },             shading; first colour is the ground)
+//               "hue": 0,                                       (degrees, rotates the base colour)
+//               "tint": "#rrggbb", "tintAmount": 0.5            (recolours towards tint, keeping shading)
+//           }
+//       },
+//       "decals": [{
+//           "type": "text|star|roundel|image",
+//           "text": "01", "color": "#rrggbb", "outline": "#rrggbb", (text)
+//           "colors": ["#rrggbb", ...],                      (star: fill, border, edge; roundel: outside in)
+//           "image": "./assets/liveries/badge.png",          (image)
+//           "position": [x, y, z], "direction": [x, y, z],   (model space; direction points out of the
+//                                                             surface, the decal is projected along -direction)
+//           "size": [w, h], "angle": 0                       (model units; degrees about direction)
+//       }]
+//   }
+//
+// Hue and tint are uniforms patched into the materials' shaders, so they
+// change without recompiling. Tours add presets under "liveries" (see
+// tour.js); files saved from the viewer carry { "version": 1, "aircraft" }
+// as well. GLB export bakes hue and tint into the textures.
+
+const FIN_STAR = { type: 'star', size: [0.5, 0.5] };
+const WING_STAR = { type: 'star', size: [0.6, 0.6], direction: [0, 1, 0] };
+
+function markings(number, color = '#c62828') {
+    return [
+        { ...FIN_STAR, position: [-8.1, 1.15, 1.03], direction: [0, 0, 1] },
+        { ...FIN_STAR, position: [-8.1, 1.15, -1.03], direction: [0, 0, -1] },
+        { ...WING_STAR, position: [-6.6, 0.34, 2.5] },
+        { ...WING_STAR, position: [-6.6, 0.34, -2.5] },
+        { type: 'text', text: number, color, outline: '#ffffff', position: [-1.6, 0.3, 0.27], direction: [0, 0, 1], size: [0.55, 0.26] },
+        { type: 'text', text: number, color, outline: '#ffffff', position: [-1.6, 0.3, -0.27], direction: [0, 0, -1], size: [0.55, 0.26] }
+    ];
+}
+
+function airframe(settings) {
+    return { Su35_L: settings, Su35_R: settings };
+}
+
+export const LIVERY_PRESETS = {
+    factory: { name: 'FACTORY', materials: {}, decals: [] },
+    vvs: {
+        name: 'VVS GREY',
+        materials: airframe({ tint: '#9aa6ae', tintAmount: 0.35 }),
+        decals: markings('01')
+    },
+    'sea-blue': {
+        name: 'SEA BLUE',
+        materials: airframe({ pattern: { style: 'blotch', colors: ['#8fb0c8', '#5f7f9f', '#3e5a78'], scale: 1.2, seed: 7 } }),
+        decals: markings('02', '#1f3a93')
+    },
+    desert: {
+        name: 'DESERT',
+        materials: airframe({ pattern: { style: 'splinter', colors: ['#c8a878', '#9c7a52', '#6f5a3e'], scale: 1, seed: 3 } }),
+        decals: markings('03')
+    },
+    winter: {
+        name: 'WINTER',
+        materials: airframe({ pattern: { style: 'blotch', colors: ['#e8ecef', '#9aa3a8', '#5c6468'], scale: 0.8, seed: 11 } }),
+        decals: markings('04')
+    },
+    digital: {
+        name: 'DIGITAL',
+        materials: airframe({ pattern: { style: 'digital', colors: ['#8b9ba3', '#6b7d86', '#4a5a62'], scale: 1, seed: 5 } }),
+        decals: markings('05')
+    }
+};
+
+// The built-in schemes plus a tour's "liveries"; "extends" starts from a
+// built-in scheme, whose decals stay unless the new one lists its own
+export function liveryPresets(custom = {}) {
+    const presets = { ...LIVERY_PRESETS };
+    Object.entries(custom).forEach(([id, l]) => {
+        const base = l.extends ? LIVERY_PRESETS[l.extends] : {};
+        presets[id] = {
+            name: l.name || base.name || id.toUpperCase(),
+            materials: { ...base.materials, ...l.materials },
+            decals: l.decals || base.decals || []
+        };
+    });
+    return presets;
+}
+
+export const DEFAULT_LIVERY = 'factory';
+export const PATTERN_STYLES = ['blotch', 'splinter', 'digital'];
+export const DECAL_TYPES = ['text', 'star', 'roundel', 'image'];
+
+export class LiveryError extends Error {
+    // reason: unknown-material, image, decal or format
+    constructor(reason, message) {
+        super(message);
+        this.name = 'LiveryError';
+        this.reason = reason;
+    }
+}
+
+const VERSION = 1;
+const PATTERN_SIZE = 512;       // camouflage is drawn at this size, then scaled to the base map
+const DECAL_RESOLUTION = 512;   // decal canvas width in pixels
+const DECAL_RAY_START = 1;      // model units outside the surface the placement ray starts from
+const DECAL_FACING = 0.3;       // cosine below which triangles facing away from the projector are dropped
+const LUMA = new THREE.Vector3(0.2126, 0.7152, 0.0722);
+const WHITE = new THREE.Color(1, 1, 1);
+
+const LIVERY_GLSL = `
+uniform float liveryHue;
+uniform vec4 liveryTint;
+vec3 liveryAdjust(vec3 c) {
+    const vec3 axis = vec3(0.57735027);
+    float s = sin(liveryHue);
+    float k = cos(liveryHue);
+    c = max(c * k + cross(axis, c) * s + axis * dot(axis, c) * (1.0 - k), 0.0);
+    float lum = dot(c, vec3(${LUMA.toArray().join(', ')}));
+    vec3 tinted = liveryTint.rgb * (lum / max(dot(liveryTint.rgb, vec3(${LUMA.toArray().join(', ')})), 0.001));
+    return mix(c, clamp(tinted, 0.0, 1.0), liveryTint.a);
+}`;
+
+let aircraft = null;
+let camera = null;
+let domElement = null;
+let onChange = null;
+let livery = emptyLivery();
+const entries = new Map();      // material name -> { materials, map, color, uniforms, texture, source, generation }
+const meshMaterials = new Map(); // mesh -> its own material, whatever isolation swapped in
+const decals = [];              // { definition, mesh }
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+const tmp = new THREE.Vector3();
+const tmpNormal = new THREE.Vector3();
+
+// domElement: the canvas clicks are picked on; onChange() fires after the livery changes
+export function setupLivery(model, viewCamera, options = {}) {
+    disposeLivery();
+    aircraft = model;
+    camera = viewCamera;
+    domElement = options.domElement || document.body;
+    onChange = options.onChange || null;
+    aircraft.traverse(child => {
+        if (!child.isMesh || child.userData.helper) return;
+        meshMaterials.set(child, child.material);
+        [].concat(child.material).forEach(material => {
+            if (!material?.name || !material.color) return;
+            if (!entries.has(material.name)) {
+                entries.set(material.name, {
+                    materials: [],
+                    map: null,
+                    color: null,
+                    uniforms: { liveryHue: { value: 0 }, liveryTint: { value: new THREE.Vector4(1, 1, 1, 0) } },
+                    texture: null,
+                    source: null,
+                    generation: 0
+                });
+            }
+            const entry = entries.get(material.name);
+            if (entry.materials.includes(material)) return;
+            if (!entry.materials.length) {
+                entry.map = material.map;
+                entry.color = material.color.clone();
+            }
+            entry.materials.push(material);
+            patchMaterial(material, entry.uniforms);
+        });
+    });
+}
+
+export function disposeLivery() {
+    clearDecals();
+    entries.forEach(entry => {
+        entry.generation++;
+        entry.source = null;
+        setMap(entry, null);
+        entry.materials.forEach(material => {
+            delete material.onBeforeCompile;
+            delete material.customProgramCacheKey;
+            material.needsUpdate = true;
+        });
+    });
+    entries.clear();
+    meshMaterials.clear();
+    livery = emptyLivery();
+    aircraft = null;
+}
+
+export function hasLivery() {
+    return !!aircraft;
+}
+
+// Names of the materials a livery can paint, in model order
+export function getLiveryMaterials() {
+    return [...entries.keys()];
+}
+
+// A copy of the current definition, ready to save or edit
+export function getLivery() {
+    return structuredClone(livery);
+}
+
+// Replaces the whole livery; materials and decals that can't be applied are skipped and returned as LiveryErrors
+export async function applyLivery(definition) {
+    clearDecals();
+    livery = { name: definition.name || '', materials: {}, decals: [] };
+    const errors = [];
+    const jobs = [...entries.keys()].map(name => {
+        const settings = definition.materials?.[name];
+        if (settings) livery.materials[name] = structuredClone(settings);
+        return paintMaterial(name, settings || {}).catch(e => {
+            if (!(e instanceof LiveryError)) throw e;
+            errors.push(e);
+        });
+    });
+    Object.keys(definition.materials || {}).filter(name => !entries.has(name)).forEach(name => {
+        errors.push(new LiveryError('unknown-material', `No material "${name}" on this aircraft`));
+    });
+    (definition.decals || []).forEach(decal => {
+        try {
+            placeDecal(decal);
+        } catch (e) {
+            if (!(e instanceof LiveryError)) throw e;
+            errors.push(e);
+        }
+    });
+    if (onChange) onChange();
+    await Promise.all(jobs);
+    if (onChange) onChange();
+    return errors;
+}
+
+// settings replace the material's current ones; {} puts it back to the shipped look
+export async function setMaterialLivery(name, settings) {
+    if (!entries.has(name)) throw new LiveryError('unknown-material', `No material "${name}" on this aircraft`);
+    if (Object.keys(settings).length) livery.materials[name] = structuredClone(settings);
+    else delete livery.materials[name];
+    if (onChange) onChange();
+    await paintMaterial(name, settings);
+}
+
+// Throws LiveryError when the decal misses the aircraft
+export function addDecal(definition) {
+    placeDecal(structuredClone(definition));
+    if (onChange) onChange();
+}
+
+export function removeDecal(index) {
+    const decal = decals[index];
+    if (!decal) return;
+    disposeDecal(decal);
+    decals.splice(index, 1);
+    livery.decals.splice(index, 1);
+    if (onChange) onChange();
+}
+
+// Where a click lands on the aircraft, as a decal { position, direction } in model space, or null
+export function decalAnchorAt(clientX, clientY) {
+    if (!aircraft) return null;
+    const rect = domElement.getBoundingClientRect();
+    pointer.set((clientX - rect.left) / rect.width * 2 - 1, -(clientY - rect.top) / rect.height * 2 + 1);
+    raycaster.setFromCamera(pointer, camera);
+    const hit = raycaster.intersectObjects([...meshMaterials.keys()], false).find(h => h.face);
+    if (!hit) return null;
+    aircraft.updateMatrixWorld(true);
+    const inverse = new THREE.Matrix4().copy(aircraft.matrixWorld).invert();
+    const position = aircraft.worldToLocal(hit.point.clone());
+    // Double-sided parts can be hit from behind their normal
+    const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+    if (normal.dot(raycaster.ray.direction) > 0) normal.negate();
+    const direction = normal.transformDirection(inverse);
+    return { position: round(position.toArray()), direction: round(direction.toArray()) };
+}
+
+// ===== SAVE / LOAD =====
+export function liveryToJSON(aircraftId) {
+    return { version: VERSION, aircraft: aircraftId, ...getLivery() };
+}
+
+// Checks the file's shape and returns its definition; whether it fits the aircraft is applyLivery's job
+export function liveryFromJSON(data) {
+    if (!data || typeof data !== 'object') throw new LiveryError('format', 'Livery is not a JSON object');
+    if (data.version !== VERSION) throw new LiveryError('format', `Unsupported livery version ${data.version} (expected ${VERSION})`);
+    const errors = [];
+    validateLivery(data, 'livery', (path, msg) => errors.push(`${path}: ${msg}`));
+    if (errors.length) throw new LiveryError('format', errors[0]);
+    return { name: data.name || '', materials: data.materials || {}, decals: data.decals || [] };
+}
+
+// Shared with tour.js, which reports through the same err(path, msg)
+export function validateLivery(l, path, err) {
+    if (!isObject(l)) { err(path, 'expected an object'); return; }
+    if (l.name !== undefined && typeof l.name !== 'string') err(`${path}.name`, 'expected a string');
+    if (l.materials !== undefined) {
+        if (!isObject(l.materials)) err(`${path}.materials`, 'expected an object of material names');
+        else Object.entries(l.materials).forEach(([name, m]) => validateMaterial(m, `${path}.materials.${name}`, err));
+    }
+    if (l.decals !== undefined) {
+        if (!Array.isArray(l.decals)) err(`${path}.decals`, 'expected an array');
+        else l.decals.forEach((d, i) => validateDecal(d, `${path}.decals[${i}]`, err));
+    }
+}
+
+function validateMaterial(m, path, err) {
+    if (!isObject(m)) { err(path, 'expected an object'); return; }
+    if (m.map !== undefined && !(typeof m.map === 'string' && m.map)) err(`${path}.map`, 'expected an image URL');
+    if (m.pattern !== undefined) {
+        const p = m.pattern;
+        if (!isObject(p)) {
+            err(`${path}.pattern`, 'expected { style, colors, scale, seed }');
+        } else {
+            if (!PATTERN_STYLES.includes(p.style)) err(`${path}.pattern.style`, `expected one of ${PATTERN_STYLES.join(', ')}`);
+            if (!(Array.isArray(p.colors) && p.colors.length >= 2 && p.colors.every(isHex))) {
+                err(`${path}.pattern.colors`, 'expected at least two "#rrggbb" colours');
+            }
+            if (p.scale !== undefined && !(isNumber(p.scale) && p.scale > 0)) err(`${path}.pattern.scale`, 'expected a number > 0');
+            if (p.seed !== undefined && !isNumber(p.seed)) err(`${path}.pattern.seed`, 'expected a number');
+        }
+    }
+    if (m.hue !== undefined && !(isNumber(m.hue) && Math.abs(m.hue) <= 180)) err(`${path}.hue`, 'expected degrees between -180 and 180');
+    if (m.tint !== undefined && !isHex(m.tint)) err(`${path}.tint`, 'expected "#rrggbb"');
+    if (m.tintAmount !== undefined && !(isNumber(m.tintAmount) && m.tintAmount >= 0 && m.tintAmount <= 1)) {
+        err(`${path}.tintAmount`, 'expected a number between 0 and 1');
+    }
+}
+
+function validateDecal(d, path, err) {
+    if (!isObject(d)) { err(path, 'expected an object'); return; }
+    if (!DECAL_TYPES.includes(d.type)) err(`${path}.type`, `expected one of ${DECAL_TYPES.join(', ')}`);
+    if (d.type === 'text' && !(typeof d.text === 'string' && d.text)) err(`${path}.text`, 'expected a non-empty string');
+    if (d.type === 'image' && !(typeof d.image === 'string' && d.image)) err(`${path}.image`, 'expected an image URL');
+    if (!isVec3(d.position)) err(`${path}.position`, 'expected [x, y, z] numbers in model space');
+    if (!isVec3(d.direction) || d.direction.every(v => v === 0)) err(`${path}.direction`, 'expected a non-zero [x, y, z]');
+    if (!(Array.isArray(d.size) && d.size.length === 2 && d.size.every(v => isNumber(v) && v > 0))) err(`${path}.size`, 'expected [width, height] > 0');
+    if (d.angle !== undefined && !isNumber(d.angle)) err(`${path}.angle`, 'expected degrees');
+    ['color', 'outline'].forEach(k => { if (d[k] !== undefined && !isHex(d[k])) err(`${path}.${k}`, 'expected "#rrggbb"'); });
+    if (d.colors !== undefined && !(Array.isArray(d.colors) && d.colors.length > 0 && d.colors.every(isHex))) {
+        err(`${path}.colors`, 'expected a non-empty array of "#rrggbb" colours');
+    }
+}
+
+// ===== MATERIALS =====
+// Hue and tint act on the base colour after the map is sampled
+function patchMaterial(material, uniforms) {
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>\n${LIVERY_GLSL}`)
+            .replace('#include <map_fragment>', '#include <map_fragment>\n\tdiffuseColor.rgb = liveryAdjust(diffuseColor.rgb);');
+    };
+    material.customProgramCacheKey = () => 'livery';
+    material.needsUpdate = true;
+}
+
+async function paintMaterial(name, settings) {
+    const entry = entries.get(name);
+    entry.uniforms.liveryHue.value = THREE.MathUtils.degToRad(settings.hue || 0);
+    const tint = new THREE.Color(settings.tint || '#ffffff');
+    entry.uniforms.liveryTint.value.set(tint.r, tint.g, tint.b, settings.tint ? settings.tintAmount ?? 1 : 0);
+
+    // Hue and tint alone (the sliders) leave the texture as it is
+    const source = JSON.stringify([settings.map, settings.pattern]);
+    if (source === entry.source) return;
+    entry.source = source;
+    const generation = ++entry.generation;
+    let texture = null;
+    if (settings.map || settings.pattern) {
+        try {
+            const swapped = settings.map ? await loadTexture(settings.map, entry.map) : null;
+            texture = settings.pattern ? paintPattern(settings.pattern, (swapped || entry.map)?.image, swapped || entry.map) : swapped;
+            if (texture !== swapped) swapped?.dispose();
+        } catch (e) {
+            if (generation === entry.generation) entry.source = null;
+            throw e;
+        }
+    }
+    if (generation !== entry.generation) {
+        texture?.dispose();
+        return;
+    }
+    setMap(entry, texture);
+}
+
+// texture: a replacement baseColor owned by the livery, or null for the shipped one
+function setMap(entry, texture) {
+    if (entry.texture !== texture) entry.texture?.dispose();
+    entry.texture = texture;
+    const map = texture || entry.map;
+    entry.materials.forEach(material => {
+        if (!!material.map !== !!map) material.needsUpdate = true;
+        material.map = map;
+        material.color.copy(texture ? WHITE : entry.color);
+    });
+}
+
+async function loadTexture(url, template) {
+    let texture;
+    try {
+        texture = await new THREE.TextureLoader().loadAsync(url);
+    } catch (e) {
+        throw new LiveryError('image', `Could not load image ${url.startsWith('data:') ? '(embedded)' : url}`);
+    }
+    return matchTexture(texture, template);
+}
+
+// glTF textures aren't flipped and may repeat; replacements follow the original
+function matchTexture(texture, template) {
+    texture.flipY = false;
+    texture.colorSpace = THREE.SRGBColorSpace;
+    if (template) {
+        texture.wrapS = template.wrapS;
+        texture.wrapT = template.wrapT;
+        texture.anisotropy = template.anisotropy;
+        texture.channel = template.channel;
+    }
+    return texture;
+}
+
+// ===== CAMOUFLAGE =====
+// Colour layers drawn at PATTERN_SIZE, scaled up to the base map and shaded by its luminance
+function paintPattern(pattern, baseImage, template) {
+    const rand = seededRandom(pattern.seed ?? 1);
+    const features = 6 / (pattern.scale ?? 1);
+    const layer = canvasOf(PATTERN_SIZE, PATTERN_SIZE);
+    const ctx = layer.getContext('2d');
+    ctx.fillStyle = pattern.colors[0];
+    ctx.fillRect(0, 0, PATTERN_SIZE, PATTERN_SIZE);
+    if (pattern.style === 'splinter') drawSplinters(ctx, pattern.colors.slice(1), features, rand);
+    else drawNoiseLayers(ctx, pattern.colors.slice(1), features, pattern.style === 'digital' ? 4 : 1, rand);
+
+    const width = baseImage?.width || 1024;
+    const height = baseImage?.height || 1024;
+    const out = canvasOf(width, height);
+    const octx = out.getContext('2d');
+    octx.imageSmoothingEnabled = pattern.style !== 'digital';
+    octx.drawImage(layer, 0, 0, width, height);
+    if (baseImage) {
+        const paint = octx.getImageData(0, 0, width, height);
+        const shade = pixelsOf(baseImage, width, height);
+        let mean = 0;
+        for (let i = 0; i < shade.length; i += 4) mean += luma(shade, i);
+        mean = Math.max(mean / (shade.length / 4), 1);
+        for (let i = 0; i < shade.length; i += 4) {
+            const k = THREE.MathUtils.clamp(luma(shade, i) / mean, 0.4, 1.6);
+            paint.data[i] = paint.data[i] * k;
+            paint.data[i + 1] = paint.data[i + 1] * k;
+            paint.data[i + 2] = paint.data[i + 2] * k;
+        }
+        octx.putImageData(paint, 0, 0);
+    }
+    return matchTexture(new THREE.CanvasTexture(out), template);
+}
+
+// Blotch and digital: one thresholded value-noise field per colour, digital quantised to cells
+function drawNoiseLayers(ctx, colors, features, cell, rand) {
+    const image = ctx.getImageData(0, 0, PATTERN_SIZE, PATTERN_SIZE);
+    const data = image.data;
+    colors.forEach(hex => {
+        const noise = valueNoise(rand);
+        const value = parseInt(hex.slice(1), 16);
+        const rgb = [value >> 16, (value >> 8) & 255, value & 255];
+        for (let y = 0; y < PATTERN_SIZE; y++) {
+            const v = Math.floor(y / cell) * cell / PATTERN_SIZE * features;
+            for (let x = 0; x < PATTERN_SIZE; x++) {
+                const u = Math.floor(x / cell) * cell / PATTERN_SIZE * features;
+                if (noise(u, v) * 0.7 + noise(u * 2.7 + 17, v * 2.7 + 5) * 0.3 < 0.56) continue;
+                const i = (y * PATTERN_SIZE + x) * 4;
+                data[i] = rgb[0];
+                data[i + 1] = rgb[1];
+                data[i + 2] = rgb[2];
+            }
+        }
+    });
+    ctx.putImageData(image, 0, 0);
+}
+
+// Splinter: hard-edged random polygons per colour
+function drawSplinters(ctx, colors, features, rand) {
+    const radius = PATTERN_SIZE / features;
+    colors.forEach(hex => {
+        ctx.fillStyle = hex;
+        const count = Math.round(features * features * 0.45);
+        for (let i = 0; i < count; i++) {
+            const cx = rand() * PATTERN_SIZE;
+            const cy = rand() * PATTERN_SIZE;
+            const sides = 3 + Math.floor(rand() * 3);
+            const start = rand() * Math.PI * 2;
+            ctx.beginPath();
+            for (let k = 0; k < sides; k++) {
+                const angle = start + k / sides * Math.PI * 2 + (rand() - 0.5) * 0.8;
+                const r = radius * (0.3 + rand() * 0.9);
+                ctx.lineTo(cx + Math.cos(angle) * r * 1.6, cy + Math.sin(angle) * r * 0.7);
+            }
+            ctx.fill();
+        }
+    });
+}
+
+function valueNoise(rand) {
+    const size = 64;
+    const grid = Float32Array.from({ length: size * size }, rand);
+    const at = (i, j) => grid[(((j % size) + size) % size) * size + (((i % size) + size) % size)];
+    return (x, y) => {
+        const xi = Math.floor(x);
+        const yi = Math.floor(y);
+        const fx = x - xi;
+        const fy = y - yi;
+        const sx = fx * fx * (3 - 2 * fx);
+        const sy = fy * fy * (3 - 2 * fy);
+        const top = at(xi, yi) + (at(xi + 1, yi) - at(xi, yi)) * sx;
+        const bottom = at(xi, yi + 1) + (at(xi + 1, yi + 1) - at(xi, yi + 1)) * sx;
+        return top + (bottom - top) * sy;
+    };
+}
+
+// mulberry32, so a seed always paints the same scheme
+function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ===== DECALS =====
+// Projected along -direction onto the first surface behind the anchor, then
+// parented to that mesh so it follows the rig, explode and the aircraft pose
+function placeDecal(definition) {
+    aircraft.updateMatrixWorld(true);
+    const normal = tmpNormal.fromArray(definition.direction).transformDirection(aircraft.matrixWorld);
+    const origin = aircraft.localToWorld(tmp.fromArray(definition.position)).addScaledVector(normal, DECAL_RAY_START);
+    raycaster.set(origin, normal.clone().negate());
+    const hit = raycaster.intersectObjects([...meshMaterials.keys()], false)[0];
+    if (!hit) {
+        throw new LiveryError('decal', `${describeDecal(definition)} at [${definition.position.join(', ')}] misses the aircraft`);
+    }
+
+    const up = Math.abs(normal.y) > 0.9
+        ? new THREE.Vector3(1, 0, 0).transformDirection(aircraft.matrixWorld)
+        : new THREE.Vector3(0, 1, 0).transformDirection(aircraft.matrixWorld);
+    const rotation = new THREE.Matrix4()
+        .lookAt(hit.point.clone().add(normal), hit.point, up)
+        .multiply(new THREE.Matrix4().makeRotationZ(THREE.MathUtils.degToRad(definition.angle || 0)));
+    const [width, height] = definition.size;
+    const geometry = new DecalGeometry(hit.object, hit.point, new THREE.Euler().setFromRotationMatrix(rotation),
+        new THREE.Vector3(width, height, Math.max(width, height)));
+    keepFacing(geometry, normal);
+    geometry.applyMatrix4(new THREE.Matrix4().copy(hit.object.matrixWorld).invert());
+
+    const material = new THREE.MeshStandardMaterial({
+        name: `decal:${describeDecal(definition)}`,
+        transparent: true,
+        depthWrite: false,
+        polygonOffset: true,
+        polygonOffsetFactor: -4,
+        roughness: 0.5,
+        metalness: 0
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = material.name;
+    mesh.receiveShadow = true;
+    mesh.userData.helper = true;
+    mesh.userData.exportable = true;
+    mesh.raycast = () => {};
+    hit.object.add(mesh);
+    const decal = { definition, mesh };
+    decals.push(decal);
+    livery.decals.push(definition);
+
+    if (definition.type === 'image') {
+        mesh.visible = false;
+        loadTexture(definition.image, null).then(texture => {
+            if (!decals.includes(decal)) { texture.dispose(); return; }
+            texture.flipY = true;
+            material.map = texture;
+            material.needsUpdate = true;
+            mesh.visible = true;
+        }).catch(e => console.warn(`Livery: ${e.message}`));
+    } else {
+        const texture = new THREE.CanvasTexture(drawDecal(definition));
+        texture.colorSpace = THREE.SRGBColorSpace;
+        material.map = texture;
+    }
+}
+
+// The projector box also catches the far side of thin parts like the fins
+function keepFacing(geometry, normal) {
+    const position = geometry.getAttribute('position');
+    const attributes = Object.entries(geometry.attributes);
+    const kept = attributes.map(() => []);
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    for (let i = 0; i < position.count; i += 3) {
+        a.fromBufferAttribute(position, i);
+        b.fromBufferAttribute(position, i + 1).sub(a);
+        c.fromBufferAttribute(position, i + 2).sub(a);
+        if (b.cross(c).normalize().dot(normal) < DECAL_FACING) continue;
+        attributes.forEach(([, attribute], k) => {
+            for (let j = i; j < i + 3; j++) {
+                for (let n = 0; n < attribute.itemSize; n++) kept[k].push(attribute.array[j * attribute.itemSize + n]);
+            }
+        });
+    }
+    attributes.forEach(([name, attribute], k) => {
+        geometry.setAttribute(name, new THREE.Float32BufferAttribute(kept[k], attribute.itemSize));
+    });
+}
+
+function drawDecal(definition) {
+    const [width, height] = definition.size;
+    const canvas = canvasOf(DECAL_RESOLUTION, Math.max(16, Math.round(DECAL_RESOLUTION * height / width)));
+    const ctx = canvas.getContext('2d');
+    const cx = canvas.width / 2;
+    const cy = canvas.height / 2;
+    const radius = Math.min(canvas.width, canvas.height) / 2;
+
+    if (definition.type === 'text') {
+        let size = canvas.height * 0.8;
+        ctx.font = `bold ${size}px sans-serif`;
+        const measured = ctx.measureText(definition.text).width;
+        if (measured > canvas.width * 0.9) size *= canvas.width * 0.9 / measured;
+        ctx.font = `bold ${size}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+        if (definition.outline) {
+            ctx.lineWidth = size * 0.12;
+            ctx.strokeStyle = definition.outline;
+            ctx.strokeText(definition.text, cx, cy);
+        }
+        ctx.fillStyle = definition.color || '#c62828';
+        ctx.fillText(definition.text, cx, cy);
+    } else if (definition.type === 'star') {
+        const [fill, border, edge] = definition.colors || ['#d52b1e', '#ffffff', '#d52b1e'];
+        ctx.beginPath();
+        for (let i = 0; i < 10; i++) {
+            const angle = -Math.PI / 2 + i * Math.PI / 5;
+            const r = radius * 0.8 * (i % 2 ? 0.4 : 1);
+            ctx.lineTo(cx + Math.cos(angle) * r, cy + Math.sin(angle) * r);
+        }
+        ctx.closePath();
+        ctx.lineJoin = 'miter';
+        if (edge) {
+            ctx.lineWidth = radius * 0.22;
+            ctx.strokeStyle = edge;
+            ctx.stroke();
+        }
+        if (border) {
+            ctx.lineWidth = radius * 0.14;
+            ctx.strokeStyle = border;
+            ctx.stroke();
+        }
+        ctx.fillStyle = fill;
+        ctx.fill();
+    } else {
+        const colors = definition.colors || ['#0039a6', '#ffffff', '#d52b1e'];
+        colors.forEach((color, i) => {
+            ctx.beginPath();
+            ctx.arc(cx, cy, radius * (1 - i / colors.length), 0, Math.PI * 2);
+            ctx.fillStyle = color;
+            ctx.fill();
+        });
+    }
+    return canvas;
+}
+
+function clearDecals() {
+    decals.forEach(disposeDecal);
+    decals.length = 0;
+    livery.decals = [];
+}
+
+function disposeDecal({ mesh }) {
+    mesh.removeFromParent();
+    mesh.geometry.dispose();
+    mesh.material.map?.dispose();
+    mesh.material.dispose();
+}
+
+function describeDecal(d) {
+    return d.type === 'text' ? `"${d.text}"` : d.type;
+}
+
+// ===== EXPORT =====
+// The aircraft in model space with the livery baked into plain glTF
+// materials; stores and decals come along, other helpers don't
+export async function exportLiveryGLB() {
+    const sources = [];
+    aircraft.traverse(child => sources.push(child));
+    const copy = aircraft.clone();
+    copy.position.set(0, 0, 0);
+    copy.quaternion.identity();
+    copy.scale.set(1, 1, 1);
+
+    const baked = new Map();    // source material -> baked copy
+    const textures = [];
+    const drop = [];
+    let index = 0;
+    copy.traverse(child => {
+        const source = sources[index++];
+        if (!child.isMesh) return;
+        if (child.userData.helper && !child.userData.exportable) {
+            drop.push(child);
+            return;
+        }
+        child.material = [].concat(meshMaterials.get(source) || source.material).map(material => {
+            if (!baked.has(material)) baked.set(material, bakeMaterial(material, textures));
+            return baked.get(material);
+        });
+        if (child.material.length === 1) child.material = child.material[0];
+    });
+    drop.forEach(child => child.removeFromParent());
+    try {
+        return await new GLTFExporter().parseAsync(copy, { binary: true });
+    } finally {
+        textures.forEach(t => t.dispose());
+        baked.forEach(material => material.dispose());
+    }
+}
+
+function bakeMaterial(material, textures) {
+    const entry = entries.get(material.name);
+    const copy = material.clone();
+    if (!entry || !entry.materials.includes(material)) return copy;
+    const hue = entry.uniforms.liveryHue.value;
+    const tint = entry.uniforms.liveryTint.value;
+    if (hue === 0 && tint.w === 0) return copy;
+
+    const color = material.color;
+    if (!material.map?.image) {
+        const c = new THREE.Vector3(color.r, color.g, color.b);
+        adjust(c, hue, tint);
+        copy.color.setRGB(c.x, c.y, c.z);
+        return copy;
+    }
+    const { width, height } = material.map.image;
+    const canvas = canvasOf(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(material.map.image, 0, 0);
+    const image = ctx.getImageData(0, 0, width, height);
+    const data = image.data;
+    const toLinear = Float32Array.from({ length: 256 }, (_, i) => srgbToLinear(i / 255));
+    const c = new THREE.Vector3();
+    for (let i = 0; i < data.length; i += 4) {
+        c.set(toLinear[data[i]] * color.r, toLinear[data[i + 1]] * color.g, toLinear[data[i + 2]] * color.b);
+        adjust(c, hue, tint);
+        data[i] = linearToSrgb(c.x) * 255;
+        data[i + 1] = linearToSrgb(c.y) * 255;
+        data[i + 2] = linearToSrgb(c.z) * 255;
+    }
+    ctx.putImageData(image, 0, 0);
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.flipY = material.map.flipY;
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = material.map.wrapS;
+    texture.wrapT = material.map.wrapT;
+    textures.push(texture);
+    copy.map = texture;
+    copy.color.set(1, 1, 1);
+    return copy;
+}
+
+// The same maths as LIVERY_GLSL, for baking
+const AXIS = new THREE.Vector3(1, 1, 1).normalize();
+const crossTmp = new THREE.Vector3();
+function adjust(c, hue, tint) {
+    const s = Math.sin(hue);
+    const k = Math.cos(hue);
+    const d = AXIS.dot(c) * (1 - k);
+    crossTmp.crossVectors(AXIS, c).multiplyScalar(s);
+    c.multiplyScalar(k).add(crossTmp).addScaledVector(AXIS, d).max(new THREE.Vector3());
+    const lum = c.dot(LUMA);
+    const scale = lum / Math.max(tint.x * LUMA.x + tint.y * LUMA.y + tint.z * LUMA.z, 0.001);
+    c.x += (Math.min(tint.x * scale, 1) - c.x) * tint.w;
+    c.y += (Math.min(tint.y * scale, 1) - c.y) * tint.w;
+    c.z += (Math.min(tint.z * scale, 1) - c.z) * tint.w;
+}
+
+// ===== HELPERS =====
+function emptyLivery() {
+    return { name: '', materials: {}, decals: [] };
+}
+
+function canvasOf(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function pixelsOf(image, width, height) {
+    const ctx = canvasOf(width, height).getContext('2d');
+    ctx.drawImage(image, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height).data;
+}
+
+function luma(data, i) {
+    return data[i] * LUMA.x + data[i + 1] * LUMA.y + data[i + 2] * LUMA.z;
+}
+
+function srgbToLinear(c) {
+    return c < 0.04045 ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4);
+}
+
+function linearToSrgb(c) {
+    return c < 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 0.41666) - 0.055;
+}
+
+function round(values) {
+    return values.map(v => Math.round(v * 1000) / 1000);
+}
+
+function isObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isNumber(v) {
+    return typeof v === 'number' && Number.isFinite(v);
+}
+
+function isVec3(v) {
+    return Array.isArray(v) && v.length === 3 && v.every(isNumber);
+}
+
+function isHex(v) {
+    return typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v);
+}
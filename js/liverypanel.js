@@ -0,0 +1,270 @@
+import {
+    getLivery, getLiveryMaterials, applyLivery, setMaterialLivery, addDecal, removeDecal, decalAnchorAt,
+    liveryToJSON, liveryFromJSON, exportLiveryGLB, LiveryError, PATTERN_STYLES
+} from './livery.js';
+import { isUiTarget, createPanel, panelHeader, panelMessage, row, section, button, el, downloadBlob } from './ui.js';
+
+// ===== LIVERY PANEL =====
+// Preset schemes, per-material paint (hue, tint, camouflage pattern or an
+// uploaded baseColor), decals placed by clicking the aircraft, and
+// save / load of the livery file plus GLB export of the painted model.
+
+const PATTERN_COLORS = ['#8b9ba3', '#6b7d86', '#4a5a62'];   // a new pattern's colours until the tint changes them
+
+let panel = null;
+let presets = {};
+let aircraftId = '';
+let onToggle = null;
+let controls = null;
+let decalList = null;
+let message = null;
+let placing = null;             // decal definition waiting for a click on the aircraft
+
+// presets: { id: definition }; options.preset: the one applied at start;
+// onToggle() fires when the panel opens or closes itself
+export function createLiveryPanel(id, liveryPresets, options = {}) {
+    panel?.remove();
+    aircraftId = id || 'aircraft';
+    presets = liveryPresets;
+    onToggle = options.onToggle || null;
+
+    panel = createPanel('livery', 'Livery editor');
+    const header = panelHeader('LIVERY', 'Close livery editor', () => setLiveryPanelOpen(false));
+
+    const preset = el('select', 'panel-select');
+    preset.append(new Option('— CUSTOM —', ''), ...Object.entries(presets).map(([key, p]) => new Option(p.name || key, key)));
+    preset.addEventListener('change', () => {
+        if (!preset.value) return;
+        const name = preset.options[preset.selectedIndex].text;
+        applyLivery(presets[preset.value]).then(errors => reportLiverySkipped(errors, name), e => showLiveryMessage(`${name}: ${e.message}`));
+    });
+    preset.value = options.preset || '';
+    controls = { preset };
+
+    panel.append(header, row('SCHEME', preset), section('MATERIAL'), ...materialRows(), section('DECALS'), ...decalRows());
+
+    message = panelMessage();
+    const actions = el('div', 'panel-actions');
+    const file = el('input');
+    file.type = 'file';
+    file.accept = 'application/json,.json';
+    file.hidden = true;
+    file.addEventListener('change', () => {
+        if (file.files[0]) loadFile(file.files[0]);
+        file.value = '';
+    });
+    actions.append(button('SAVE', saveFile), button('LOAD', () => file.click()), button('EXPORT GLB', exportGLB), file);
+    panel.append(message, actions);
+    document.body.appendChild(panel);
+
+    window.addEventListener('click', onPlaceClick, true);
+    window.addEventListener('keydown', onPlaceKey);
+    refreshLiveryPanel();
+}
+
+export function setLiveryPanelOpen(open) {
+    if (!panel || panel.hidden === !open) return;
+    panel.hidden = !open;
+    if (open) controls.preset.focus();
+    else setPlacing(null);
+    if (onToggle) onToggle(open);
+}
+
+export function isLiveryPanelOpen() {
+    return !!panel && !panel.hidden;
+}
+
+// Mirrors the current livery in the controls (the livery's onChange)
+export function refreshLiveryPanel() {
+    if (!panel) return;
+    const livery = getLivery();
+    const settings = livery.materials[controls.material.value] || {};
+    controls.hue.value = settings.hue || 0;
+    controls.tint.value = settings.tint || '#ffffff';
+    controls.tintAmount.value = settings.tint ? settings.tintAmount ?? 1 : 0;
+    controls.pattern.value = settings.pattern?.style || '';
+    controls.texture.textContent = settings.map ? 'REPLACE IMAGE' : 'IMAGE…';
+
+    decalList.replaceChildren(...livery.decals.map((decal, i) => {
+        const item = el('div', 'livery-decal');
+        const remove = el('button', 'panel-close', '×');
+        remove.setAttribute('aria-label', `Remove decal ${i + 1}`);
+        remove.addEventListener('click', () => {
+            controls.preset.value = '';
+            removeDecal(i);
+        });
+        item.append(el('span', '', `${decal.type.toUpperCase()}${decal.text ? ` "${decal.text}"` : ''}  [${decal.position.map(v => v.toFixed(1)).join(', ')}]`), remove);
+        return item;
+    }));
+}
+
+export function showLiveryMessage(text) {
+    if (message) message.textContent = text;
+}
+
+// Materials and decals a loaded livery couldn't apply are listed rather than silently dropped
+export function reportLiverySkipped(errors, done) {
+    errors.forEach(e => console.warn(`Livery: ${e.message}`));
+    showLiveryMessage(errors.length ? `${done} - SKIPPED: ${errors.map(e => e.message).join('; ')}` : done);
+}
+
+// ===== MATERIAL =====
+function materialRows() {
+    const material = el('select', 'panel-select');
+    material.append(...getLiveryMaterials().map(name => new Option(name, name)));
+    material.addEventListener('change', refreshLiveryPanel);
+
+    const hue = slider(-180, 180, 1);
+    const tint = el('input', 'panel-color');
+    tint.type = 'color';
+    const tintAmount = slider(0, 1, 0.05);
+    const pattern = el('select', 'panel-select');
+    pattern.append(new Option('NONE', ''), ...PATTERN_STYLES.map(s => new Option(s.toUpperCase(), s)));
+
+    const file = el('input');
+    file.type = 'file';
+    file.accept = 'image/*';
+    file.hidden = true;
+    file.addEventListener('change', () => {
+        if (file.files[0]) loadImage(file.files[0]);
+        file.value = '';
+    });
+    const texture = button('IMAGE…', () => file.click());
+    const reset = button('RESET', () => paint({}));
+
+    [hue, tint, tintAmount].forEach(input => input.addEventListener('input', () => paint(currentSettings())));
+    pattern.addEventListener('change', () => paint(currentSettings()));
+    Object.assign(controls, { material, hue, tint, tintAmount, pattern, texture });
+
+    const buttons = el('div', 'panel-actions');
+    buttons.append(texture, reset, file);
+    return [row('NAME', material), row('HUE', hue), row('TINT', tint), row('TINT AMOUNT', tintAmount), row('PATTERN', pattern), buttons];
+}
+
+// The controls' values over whatever else the material already has (its image, pattern seed...)
+function currentSettings() {
+    const settings = { ...getLivery().materials[controls.material.value] };
+    const hue = Number(controls.hue.value);
+    const tintAmount = Number(controls.tintAmount.value);
+    if (hue) settings.hue = hue;
+    else delete settings.hue;
+    if (tintAmount > 0) Object.assign(settings, { tint: controls.tint.value, tintAmount });
+    else { delete settings.tint; delete settings.tintAmount; }
+    const style = controls.pattern.value;
+    if (!style) delete settings.pattern;
+    else if (settings.pattern?.style !== style) settings.pattern = { ...settings.pattern, style, colors: settings.pattern?.colors || PATTERN_COLORS };
+    return settings;
+}
+
+function paint(settings) {
+    controls.preset.value = '';
+    setMaterialLivery(controls.material.value, settings).then(() => showLiveryMessage(''), e => {
+        if (!(e instanceof LiveryError)) throw e;
+        showLiveryMessage(e.message);
+    });
+}
+
+// Uploaded images are embedded as data URLs so saved liveries stay self-contained
+function loadImage(file) {
+    const reader = new FileReader();
+    reader.addEventListener('load', () => paint({ ...currentSettings(), map: reader.result }));
+    reader.addEventListener('error', () => showLiveryMessage(`${file.name}: could not read the image`));
+    reader.readAsDataURL(file);
+}
+
+// ===== DECALS =====
+function decalRows() {
+    const type = el('select', 'panel-select');
+    type.append(new Option('TEXT', 'text'), new Option('STAR', 'star'), new Option('ROUNDEL', 'roundel'));
+    const text = el('input', 'panel-input');
+    text.type = 'text';
+    text.value = '01';
+    text.maxLength = 8;
+    text.setAttribute('aria-label', 'Decal text');
+    const color = el('input', 'panel-color');
+    color.type = 'color';
+    color.value = '#c62828';
+    const size = slider(0.2, 1.5, 0.05);
+    size.value = 0.5;
+    type.addEventListener('change', () => { text.disabled = type.value !== 'text'; });
+
+    const place = button('PLACE', () => {
+        if (placing) { setPlacing(null); return; }
+        const s = Number(size.value);
+        const decal = { type: type.value, size: type.value === 'text' ? [s, s * 0.45] : [s, s] };
+        if (type.value === 'text') Object.assign(decal, { text: text.value.trim() || '01', color: color.value, outline: '#ffffff' });
+        else if (type.value === 'star') decal.colors = [color.value, '#ffffff', color.value];
+        setPlacing(decal);
+    });
+    controls.place = place;
+    decalList = el('div', 'livery-decals');
+
+    const buttons = el('div', 'panel-actions');
+    buttons.append(place);
+    return [row('TYPE', type), row('TEXT', text), row('COLOUR', color), row('SIZE', size), buttons, decalList];
+}
+
+function onPlaceKey(e) {
+    if (e.key === 'Escape' && placing) setPlacing(null);
+}
+
+function setPlacing(decal) {
+    placing = decal;
+    controls.place.textContent = decal ? 'CANCEL' : 'PLACE';
+    controls.place.setAttribute('aria-pressed', String(!!decal));
+    document.body.classList.toggle('livery-placing', !!decal);
+    showLiveryMessage(decal ? 'CLICK THE AIRCRAFT TO PLACE THE DECAL (ESC CANCELS)' : '');
+}
+
+// Captures the click before hotspot picking sees it
+function onPlaceClick(e) {
+    if (!placing || isUiTarget(e.target)) return;
+    const anchor = decalAnchorAt(e.clientX, e.clientY);
+    if (!anchor) return;
+    e.stopPropagation();
+    e.preventDefault();
+    try {
+        addDecal({ ...placing, ...anchor });
+        controls.preset.value = '';
+        setPlacing(null);
+    } catch (err) {
+        if (!(err instanceof LiveryError)) throw err;
+        showLiveryMessage(err.message);
+    }
+}
+
+// ===== FILES =====
+function saveFile() {
+    const livery = liveryToJSON(aircraftId);
+    downloadBlob(new Blob([JSON.stringify(livery, null, 2)], { type: 'application/json' }), `${aircraftId}-livery.json`);
+}
+
+async function loadFile(file) {
+    try {
+        const errors = await applyLivery(liveryFromJSON(JSON.parse(await file.text())));
+        controls.preset.value = '';
+        reportLiverySkipped(errors, `LOADED ${file.name}`);
+    } catch (e) {
+        showLiveryMessage(`${file.name}: ${e.message}`);
+    }
+}
+
+async function exportGLB() {
+    showLiveryMessage('EXPORTING...');
+    try {
+        const glb = await exportLiveryGLB();
+        downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), `${aircraftId}.glb`);
+        showLiveryMessage('');
+    } catch (e) {
+        console.error('GLB export failed', e);
+        showLiveryMessage(`EXPORT FAILED: ${e.message}`);
+    }
+}
+
+// ===== HELPERS =====
+function slider(min, max, step) {
+    const input = el('input', 'livery-slider');
+    input.type = 'range';
+    Object.assign(input, { min, max, step });
+    return input;
+}
@@ -0,0 +1,201 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+
+// ===== ASSET LOADING =====
+// Every file the viewer needs (glTF, its buffers and textures, environment
+// maps...) is fetched through a tracker so progress covers all of them:
+// byte-weighted while every size is known, item-weighted otherwise (servers
+// that omit Content-Length). glTF dependencies are prefetched and handed to
+// GLTFLoader as blob URLs so the loader never goes back to the network.
+
+export class AssetLoadError extends Error {
+    constructor(url, reason) {
+        super(`${url}: ${reason}`);
+        this.name = 'AssetLoadError';
+        this.url = url;
+        this.reason = reason;
+    }
+}
+
+// onProgress(percent, item, items) fires whenever any tracked item advances
+export function createLoadingTracker(onProgress) {
+    let items = [];
+
+    function report(item) {
+        // Failed items never count as progress; their fallback (if any) replaces them
+        const active = items.filter(i => !i.failed);
+        let percent = 0;
+        if (active.length && active.every(i => i.total > 0)) {
+            const total = active.reduce((sum, i) => sum + i.total, 0);
+            percent = active.reduce((sum, i) => sum + (i.done ? i.total : Math.min(i.loaded, i.total)), 0) / total * 100;
+        } else if (active.length) {
+            percent = active.reduce((sum, i) => sum + (i.done ? 1 : i.total > 0 ? Math.min(i.loaded / i.total, 1) : 0), 0) / active.length * 100;
+        }
+        onProgress(Math.min(percent, 100), item, items);
+    }
+
+    function track(url, expectedBytes = 0, group = null) {
+        const item = { url, name: url.split('/').pop(), loaded: 0, total: expectedBytes, done: false, failed: false, group };
+        items.push(item);
+        return {
+            progress(loaded, total) {
+                item.loaded = loaded;
+                if (total > 0) item.total = total;
+                report(item);
+            },
+            done() {
+                item.done = true;
+                if (!item.total) item.total = item.loaded;
+                report(item);
+            },
+            fail() {
+                item.failed = true;
+                item.done = true;
+                report(item);
+            }
+        };
+    }
+
+    return {
+        // expectedBytes lets glTF buffers count before their response arrives
+        track,
+        // A sub-tracker whose items can be dropped again, e.g. a failed source
+        // that is replaced by its fallback
+        group() {
+            const group = {
+                track: (url, expectedBytes) => track(url, expectedBytes, group),
+                discard() {
+                    items = items.filter(i => i.group !== group);
+                }
+            };
+            return group;
+        },
+        get items() {
+            return items;
+        }
+    };
+}
+
+// Stand-in progress item for untracked fetches
+const UNTRACKED = { progress() {}, done() {}, fail() {} };
+
+// fetch() with streamed byte progress; throws AssetLoadError with the cause.
+// Without a tracker it's a plain fetch with the same error handling.
+export async function fetchTracked(url, tracker, expectedBytes = 0) {
+    const item = tracker ? tracker.track(url, expectedBytes) : UNTRACKED;
+    let res;
+    try {
+        res = await fetch(url);
+    } catch (e) {
+        item.fail();
+        throw new AssetLoadError(url, `network error (${e.message})`);
+    }
+    if (!res.ok) {
+        item.fail();
+        throw new AssetLoadError(url, `HTTP ${res.status} ${res.statusText}`.trim());
+    }
+
+    const total = parseInt(res.headers.get('Content-Length'), 10) || expectedBytes;
+    if (!res.body) {
+        const buffer = await res.arrayBuffer();
+        item.progress(buffer.byteLength, total);
+        item.done();
+        return buffer;
+    }
+
+    const reader = res.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.byteLength;
+            item.progress(loaded, total);
+        }
+    } catch (e) {
+        item.fail();
+        throw new AssetLoadError(url, `download interrupted (${e.message})`);
+    }
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    chunks.forEach(c => { bytes.set(c, offset); offset += c.byteLength; });
+    item.done();
+    return bytes.buffer;
+}
+
+// Loads a .gltf (with every external buffer and image) or a .glb.
+// configure(loader) can register extensions such as Draco or KTX2.
+export async function loadGLTF(url, tracker, configure) {
+    const data = await fetchTracked(url, tracker);
+    const base = THREE.LoaderUtils.extractUrlBase(url);
+    const manager = new THREE.LoadingManager();
+    const loader = new GLTFLoader(manager);
+    if (configure) configure(loader);
+
+    if (isGLB(data)) return parseGLTF(loader, data, base, url);
+
+    let json;
+    try {
+        json = JSON.parse(new TextDecoder().decode(data));
+    } catch (e) {
+        throw new AssetLoadError(url, `not a glTF file (${e.message})`);
+    }
+
+    // Buffers are required, images degrade to untextured materials
+    const blobUrls = new Map();
+    const external = uri => uri && !uri.startsWith('data:');
+    const buffers = (json.buffers || []).filter(b => external(b.uri));
+    const images = (json.images || []).filter(i => external(i.uri));
+    const loads = [
+        ...buffers.map(b => fetchDependency(base + b.uri, tracker, b.byteLength, blobUrls, true)),
+        ...images.map(i => fetchDependency(base + i.uri, tracker, 0, blobUrls, false))
+    ];
+    try {
+        await Promise.all(loads);
+        manager.setURLModifier(u => blobUrls.get(u) || u);
+        return await parseGLTF(loader, data, base, url);
+    } finally {
+        // Let every dependency settle before the blob URLs go away
+        await Promise.allSettled(loads);
+        blobUrls.forEach(u => URL.revokeObjectURL(u));
+    }
+}
+
+// Tries each URL in turn; throws an AggregateError listing every failure
+export async function loadFirstAvailable(urls, load, onFallback) {
+    const errors = [];
+    for (const url of urls) {
+        try {
+            return await load(url);
+        } catch (e) {
+            console.warn(`Could not load ${url}`, e);
+            errors.push(e);
+            if (onFallback && url !== urls[urls.length - 1]) onFallback(url, e);
+        }
+    }
+    throw new AggregateError(errors, `None of ${urls.length} source(s) could be loaded`);
+}
+
+async function fetchDependency(url, tracker, expectedBytes, blobUrls, required) {
+    try {
+        const buffer = await fetchTracked(url, tracker, expectedBytes);
+        blobUrls.set(url, URL.createObjectURL(new Blob([buffer])));
+    } catch (e) {
+        if (required) throw e;
+        console.warn(`Optional asset missing, continuing without it: ${e.message}`);
+    }
+}
+
+function parseGLTF(loader, data, base, url) {
+    return new Promise((resolve, reject) => {
+        loader.parse(data, base, resolve, e => {
+            reject(e instanceof AssetLoadError ? e : new AssetLoadError(url, `could not parse (${e.message || e})`));
+        });
+    });
+}
+
+function isGLB(buffer) {
+    return buffer.byteLength >= 4 && new TextDecoder().decode(new Uint8Array(buffer, 0, 4)) === 'glTF';
+}
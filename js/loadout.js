@@ -0,0 +1,340 @@
+import * as THREE from 'three';
+import { loadGLTF } from './loading.js';
+
+// ===== WEAPONS LOADOUT =====
+// Stores hung on named pylon anchors of the aircraft. The tour describes the
+// pylons in model space, what each one accepts and how much it can carry:
+//
+//   "loadout": {
+//       "scale": 0.47,                  (model units per metre, for sizing stores)
+//       "maxPayload": 8000, "emptyMass": 19000, "fuelMass": 11500, "maxTakeoffMass": 34500,   (kg)
+//       "pylons": [{ "id": "1", "label": "LEFT WINGTIP", "anchor": [x, y, z],
+//                    "accepts": ["r73"], "maxMass": 150 }]
+//   },
+//   "stores": { "r74m": { "extends": "r73", "name": "R-74M", "mass": 110, "model": "./assets/r74m.glb" } }
+//
+// Stores are built procedurally from their dimensions, or loaded from a glTF
+// "model" (in metres, nose along +x, origin at the lug) that replaces the
+// stand-in once it arrives. Drag index is relative: 0 is a clean aircraft.
+//
+// A loadout is { pylonId: storeId }. Saved as JSON:
+//
+//   { "version": 1, "aircraft": "su35", "pylons": { "1": "r73", "4": "kab500" } }
+//
+// and shared in the URL as ?loadout=1_r73.4_kab500
+
+export const STORES = {
+    r73: {
+        name: 'R-73', mass: 105, drag: 4, length: 2.9, diameter: 0.17, span: 0.51,
+        nose: 'ogive', fins: 'cruciform', canards: true, color: 0xdfe3e6
+    },
+    r77: {
+        name: 'R-77', mass: 175, drag: 6, length: 3.6, diameter: 0.2, span: 0.4,
+        nose: 'ogive', fins: 'grid', wings: true, color: 0xe8ebec
+    },
+    r27er: {
+        name: 'R-27ER', mass: 350, drag: 9, length: 4.78, diameter: 0.26, span: 0.8,
+        nose: 'ogive', fins: 'cruciform', wings: true, canards: true, color: 0xe4e6e2
+    },
+    kh31: {
+        name: 'KH-31P', mass: 600, drag: 12, length: 4.7, diameter: 0.36, span: 0.9,
+        nose: 'ogive', fins: 'cruciform', wings: true, color: 0xc9cdc4
+    },
+    kab500: {
+        name: 'KAB-500KR', mass: 520, drag: 10, length: 3.05, diameter: 0.35, span: 0.75,
+        nose: 'round', tail: 'boat', fins: 'cruciform', canards: true, color: 0x5b6b4f
+    },
+    kab1500: {
+        name: 'KAB-1500L', mass: 1525, drag: 18, length: 4.6, diameter: 0.58, span: 0.85,
+        nose: 'round', tail: 'boat', fins: 'cruciform', canards: true, color: 0x56624a
+    },
+    ptb2000: {
+        name: 'PTB-2000', mass: 1760, drag: 14, length: 5.2, diameter: 0.75, span: 0,
+        nose: 'round', tail: 'boat', fins: 'none', color: 0x9aa3a8
+    }
+};
+
+export class LoadoutError extends Error {
+    // reason: unknown-pylon, unknown-store, incompatible, pylon-limit, payload-limit, format or aircraft
+    constructor(reason, message) {
+        super(message);
+        this.name = 'LoadoutError';
+        this.reason = reason;
+    }
+}
+
+const VERSION = 1;
+const PYLON_DROP = 0.03;        // model units between the anchor and the top of a store
+const LATHE_SEGMENTS = 16;
+
+let aircraft = null;
+let config = null;
+let stores = STORES;
+let tracker = null;
+let onChange = null;
+let root = null;
+const mounted = new Map();      // pylon id -> { storeId, store, object }
+const modelCache = new Map();   // glTF URL -> Promise<Object3D>
+
+// definition: the tour's "loadout"; customStores: the tour's "stores"
+export function setupLoadout(model, definition, customStores = {}, options = {}) {
+    disposeLoadout();
+    aircraft = model;
+    config = definition;
+    tracker = options.tracker || null;
+    onChange = options.onChange || null;
+    stores = { ...STORES };
+    Object.entries(customStores).forEach(([id, s]) => {
+        stores[id] = { ...(s.extends ? STORES[s.extends] : {}), ...s };
+    });
+    root = new THREE.Group();
+    root.name = 'loadout';
+    aircraft.add(root);
+}
+
+export function disposeLoadout() {
+    root?.removeFromParent();
+    root = null;
+    mounted.clear();
+}
+
+export function hasLoadout() {
+    return !!config;
+}
+
+export function getLoadoutConfig() {
+    return config;
+}
+
+export function getStores() {
+    return stores;
+}
+
+// { pylonId: storeId } for every loaded pylon, in pylon order
+export function getLoadout() {
+    const loadout = {};
+    config.pylons.forEach(p => { if (mounted.has(p.id)) loadout[p.id] = mounted.get(p.id).storeId; });
+    return loadout;
+}
+
+// Null when the store can go on the pylon (replacing whatever is there), otherwise the LoadoutError saying why not
+export function checkMount(pylonId, storeId) {
+    const pylon = config?.pylons.find(p => p.id === pylonId);
+    if (!pylon) return new LoadoutError('unknown-pylon', `No pylon "${pylonId}"`);
+    const store = stores[storeId];
+    if (!store) return new LoadoutError('unknown-store', `No store "${storeId}"`);
+    if (!pylon.accepts.includes(storeId)) return new LoadoutError('incompatible', `${store.name} cannot go on ${pylon.label}`);
+    if (store.mass > pylon.maxMass) {
+        return new LoadoutError('pylon-limit', `${store.name} (${store.mass} kg) is over the ${pylon.maxMass} kg limit of ${pylon.label}`);
+    }
+    const current = mounted.get(pylonId)?.store.mass || 0;
+    const payload = getLoadoutTotals().payload - current + store.mass;
+    if (payload > config.maxPayload) {
+        return new LoadoutError('payload-limit', `${store.name} would take the payload to ${payload} kg (limit ${config.maxPayload} kg)`);
+    }
+    return null;
+}
+
+// storeId null empties the pylon; throws LoadoutError when the store can't go there
+export function setPylonStore(pylonId, storeId) {
+    if (!storeId) {
+        unmount(pylonId);
+    } else {
+        const error = checkMount(pylonId, storeId);
+        if (error) throw error;
+        unmount(pylonId);
+        mount(config.pylons.find(p => p.id === pylonId), storeId);
+    }
+    if (onChange) onChange(getLoadout());
+}
+
+export function clearLoadout() {
+    [...mounted.keys()].forEach(unmount);
+    if (onChange) onChange(getLoadout());
+}
+
+// Replaces the whole loadout; entries that can't be mounted are skipped and returned as LoadoutErrors
+export function applyLoadout(loadout) {
+    [...mounted.keys()].forEach(unmount);
+    const errors = [];
+    Object.entries(loadout).forEach(([pylonId, storeId]) => {
+        const error = checkMount(pylonId, storeId);
+        if (error) errors.push(error);
+        else mount(config.pylons.find(p => p.id === pylonId), storeId);
+    });
+    if (onChange) onChange(getLoadout());
+    return errors;
+}
+
+export function getLoadoutTotals() {
+    let payload = 0;
+    let drag = 0;
+    mounted.forEach(({ store }) => {
+        payload += store.mass;
+        drag += store.drag;
+    });
+    const gross = config.emptyMass + config.fuelMass + payload;
+    return {
+        count: mounted.size,
+        payload,
+        maxPayload: config.maxPayload,
+        gross,
+        maxTakeoffMass: config.maxTakeoffMass,
+        overweight: gross > config.maxTakeoffMass,
+        drag
+    };
+}
+
+// ===== SAVE / LOAD / SHARE =====
+export function loadoutToJSON(aircraftId) {
+    return { version: VERSION, aircraft: aircraftId, pylons: getLoadout() };
+}
+
+// Checks the file's shape and returns its { pylonId: storeId }; mounting rules are applyLoadout's job.
+// With aircraftId, a file saved for another aircraft is refused (its pylon numbers mean other places).
+export function loadoutFromJSON(data, aircraftId = null) {
+    if (!data || typeof data !== 'object') throw new LoadoutError('format', 'Loadout is not a JSON object');
+    if (data.version !== VERSION) throw new LoadoutError('format', `Unsupported loadout version ${data.version} (expected ${VERSION})`);
+    if (aircraftId && data.aircraft !== undefined && data.aircraft !== aircraftId) {
+        throw new LoadoutError('aircraft', `Loadout is for ${data.aircraft}, not ${aircraftId}`);
+    }
+    const pylons = data.pylons;
+    if (!pylons || typeof pylons !== 'object' || Array.isArray(pylons) || !Object.values(pylons).every(v => typeof v === 'string')) {
+        throw new LoadoutError('format', 'Loadout "pylons" must map pylon ids to store ids');
+    }
+    return { ...pylons };
+}
+
+export function encodeLoadoutParam(loadout) {
+    return Object.entries(loadout).map(([pylon, store]) => `${pylon}_${store}`).join('.');
+}
+
+export function decodeLoadoutParam(param) {
+    const loadout = {};
+    param.split('.').filter(Boolean).forEach(entry => {
+        // Pylon and store ids are letters, digits and "-" (see the tour's loadout checks),
+        // so neither contains the "_" or "." separators
+        const split = entry.indexOf('_');
+        const pylon = split > 0 ? entry.slice(0, split) : '';
+        const store = split > 0 ? entry.slice(split + 1) : '';
+        if (!pylon || !store) throw new LoadoutError('format', `Bad loadout entry "${entry}" (expected pylon_store)`);
+        loadout[pylon] = store;
+    });
+    return loadout;
+}
+
+// ===== STORE MODELS =====
+function mount(pylon, storeId) {
+    const store = stores[storeId];
+    const holder = new THREE.Group();
+    holder.name = `pylon:${pylon.id}`;
+    holder.position.fromArray(pylon.anchor);
+    holder.add(buildStore(store, config.scale));
+    root.add(holder);
+    const entry = { storeId, store, object: holder };
+    mounted.set(pylon.id, entry);
+    if (store.model) {
+        loadStoreModel(store.model).then(model => {
+            if (mounted.get(pylon.id) !== entry) return;
+            holder.clear();
+            const copy = model.clone();
+            copy.scale.setScalar(config.scale);
+            prepare(copy);
+            // Geometry and materials belong to the cached model
+            copy.traverse(child => { child.userData.shared = true; });
+            holder.add(copy);
+        }).catch(e => console.warn(`Store model for ${store.name} failed, keeping the stand-in`, e));
+    }
+}
+
+function unmount(pylonId) {
+    const entry = mounted.get(pylonId);
+    if (!entry) return;
+    entry.object.removeFromParent();
+    entry.object.traverse(child => {
+        if (!child.isMesh || child.userData.shared) return;
+        child.geometry.dispose();
+        child.material.dispose();
+    });
+    mounted.delete(pylonId);
+}
+
+function loadStoreModel(url) {
+    if (!modelCache.has(url)) {
+        const load = tracker ? loadGLTF(url, tracker).then(gltf => gltf.scene) : Promise.reject(new Error('no loading tracker'));
+        modelCache.set(url, load);
+        load.catch(() => modelCache.delete(url));
+    }
+    return modelCache.get(url);
+}
+
+// Body of revolution along +x with the lug on top, fins and wings as thin plates
+function buildStore(store, scale) {
+    const length = store.length * scale;
+    const radius = store.diameter / 2 * scale;
+    const material = new THREE.MeshStandardMaterial({ color: store.color ?? 0xcccccc, metalness: 0.35, roughness: 0.5 });
+    const group = new THREE.Group();
+    group.name = store.name;
+    group.position.y = -radius - PYLON_DROP;
+
+    const body = new THREE.Mesh(new THREE.LatheGeometry(bodyProfile(store, length, radius), LATHE_SEGMENTS).rotateZ(-Math.PI / 2), material);
+    group.add(body);
+    const lug = new THREE.Mesh(new THREE.BoxGeometry(length * 0.3, PYLON_DROP + radius * 0.3, radius * 0.5), material);
+    lug.position.y = radius + PYLON_DROP / 2;
+    group.add(lug);
+
+    const span = Math.max(store.span * scale / 2 - radius, 0);
+    if (span > 0 && store.fins !== 'none') {
+        const grid = store.fins === 'grid';
+        addCross(group, material, grid ? length * 0.03 : length * 0.12, span, -length / 2 + length * (grid ? 0.03 : 0.08), radius);
+    }
+    if (store.wings) addCross(group, material, length * 0.22, span * 0.5, -length * 0.1, radius);
+    if (store.canards) addCross(group, material, length * 0.05, span * 0.45, length * 0.3, radius);
+    prepare(group);
+    return group;
+}
+
+// (radius, y) points from tail to nose tip for LatheGeometry; y becomes +x
+function bodyProfile(store, length, radius) {
+    const points = [];
+    const tail = -length / 2;
+    const nose = store.nose === 'round' ? radius * 1.6 : Math.min(radius * 4, length * 0.25);
+    points.push(new THREE.Vector2(0, tail));
+    if (store.tail === 'boat') {
+        points.push(new THREE.Vector2(radius * 0.35, tail));
+        points.push(new THREE.Vector2(radius, tail + length * 0.15));
+    } else {
+        points.push(new THREE.Vector2(radius * 0.85, tail));
+        points.push(new THREE.Vector2(radius, tail + length * 0.01));
+    }
+    for (let i = 0; i <= 8; i++) {
+        const t = i / 8;
+        const r = store.nose === 'round' ? Math.sqrt(1 - t * t) : 1 - t * t;
+        points.push(new THREE.Vector2(Math.max(radius * r, 0), length / 2 - nose * (1 - t)));
+    }
+    return points;
+}
+
+// Four plates in an "X" around the body at x, clear of the pylon above
+function addCross(group, material, chord, span, x, radius) {
+    for (let i = 0; i < 4; i++) {
+        const plate = new THREE.Mesh(new THREE.BoxGeometry(chord, span, Math.max(radius * 0.08, 0.004)), material);
+        const angle = Math.PI / 4 + i * Math.PI / 2;
+        plate.position.set(x, Math.cos(angle) * (radius + span / 2), Math.sin(angle) * (radius + span / 2));
+        plate.rotation.x = angle;
+        group.add(plate);
+    }
+}
+
+// Stores shade and cast shadows like the airframe but stay out of explode and
+// picking; a GLB export of the aircraft keeps them
+function prepare(object) {
+    object.traverse(child => {
+        if (!child.isMesh) return;
+        child.castShadow = true;
+        child.receiveShadow = true;
+        child.userData.helper = true;
+        child.userData.exportable = true;
+        child.raycast = () => {};
+    });
+}
@@ -0,0 +1,160 @@
+import {
+    getLoadoutConfig, getStores, getLoadout, getLoadoutTotals, checkMount, setPylonStore, clearLoadout, applyLoadout,
+    loadoutToJSON, loadoutFromJSON, encodeLoadoutParam, LoadoutError
+} from './loadout.js';
+import { createPanel, panelHeader, panelMessage, row, button, el, downloadBlob } from './ui.js';
+
+// ===== LOADOUT PANEL =====
+// One row per pylon listing the stores it accepts (options the pylon or the
+// payload limit rules out stay visible but disabled, with the reason as a
+// tooltip), live totals, and clear / save / load / share.
+
+let panel = null;
+let rows = new Map();           // pylon id -> <select>
+let totals = null;
+let message = null;
+let aircraftId = '';
+let onToggle = null;
+
+// onToggle() fires when the panel opens or closes itself
+export function createLoadoutPanel(id, options = {}) {
+    panel?.remove();
+    aircraftId = id || 'aircraft';
+    onToggle = options.onToggle || null;
+    rows = new Map();
+
+    panel = createPanel('loadout', 'Weapons loadout');
+    const header = panelHeader('LOADOUT', 'Close loadout', () => setLoadoutPanelOpen(false));
+
+    const list = el('div', 'loadout-pylons');
+    getLoadoutConfig().pylons.forEach(pylon => {
+        const select = el('select', 'panel-select');
+        select.addEventListener('change', () => {
+            try {
+                setPylonStore(pylon.id, select.value || null);
+                showLoadoutMessage('');
+            } catch (e) {
+                if (!(e instanceof LoadoutError)) throw e;
+                showLoadoutMessage(e.message);
+                refreshLoadoutPanel();
+            }
+        });
+        list.appendChild(row(`${pylon.id.padStart(2, '0')} ${pylon.label}`, select));
+        rows.set(pylon.id, select);
+    });
+
+    totals = el('div', 'loadout-totals');
+    message = panelMessage();
+
+    const actions = el('div', 'panel-actions');
+    const file = el('input');
+    file.type = 'file';
+    file.accept = 'application/json,.json';
+    file.hidden = true;
+    file.addEventListener('change', () => {
+        if (file.files[0]) loadFile(file.files[0]);
+        file.value = '';
+    });
+    actions.append(
+        button('CLEAR', () => { clearLoadout(); showLoadoutMessage(''); }),
+        button('SAVE', saveFile),
+        button('LOAD', () => file.click()),
+        button('SHARE', share),
+        file
+    );
+
+    panel.append(header, list, totals, message, actions);
+    document.body.appendChild(panel);
+    refreshLoadoutPanel();
+}
+
+export function setLoadoutPanelOpen(open) {
+    if (!panel || panel.hidden === !open) return;
+    panel.hidden = !open;
+    if (open) panel.querySelector('select')?.focus();
+    if (onToggle) onToggle(open);
+}
+
+export function isLoadoutPanelOpen() {
+    return !!panel && !panel.hidden;
+}
+
+// Rebuilds the options and totals from the current loadout (the loadout's onChange)
+export function refreshLoadoutPanel() {
+    if (!panel) return;
+    const stores = getStores();
+    const loadout = getLoadout();
+    getLoadoutConfig().pylons.forEach(pylon => {
+        const select = rows.get(pylon.id);
+        const current = loadout[pylon.id] || '';
+        select.replaceChildren(new Option('— EMPTY —', ''));
+        pylon.accepts.forEach(storeId => {
+            const store = stores[storeId];
+            const option = new Option(`${store.name}  ${store.mass} KG`, storeId);
+            const error = storeId === current ? null : checkMount(pylon.id, storeId);
+            option.disabled = !!error;
+            option.title = error ? error.message : '';
+            select.appendChild(option);
+        });
+        select.value = current;
+    });
+
+    const t = getLoadoutTotals();
+    const limit = Number.isFinite(t.maxPayload) ? ` / ${t.maxPayload.toLocaleString()}` : '';
+    totals.replaceChildren(
+        stat('STORES', `${t.count} / ${rows.size}`),
+        stat('PAYLOAD', `${t.payload.toLocaleString()}${limit} KG`),
+        stat('GROSS', `${t.gross.toLocaleString()} KG`, t.overweight ? `over the ${t.maxTakeoffMass.toLocaleString()} kg maximum take-off mass` : ''),
+        stat('DRAG INDEX', String(t.drag))
+    );
+}
+
+export function showLoadoutMessage(text) {
+    if (message) message.textContent = text;
+}
+
+// Entries a loaded or shared loadout couldn't mount are listed rather than silently dropped
+export function reportSkipped(errors, done) {
+    errors.forEach(e => console.warn(`Loadout: ${e.message}`));
+    showLoadoutMessage(errors.length ? `${done} - SKIPPED: ${errors.map(e => e.message).join('; ')}` : done);
+}
+
+function saveFile() {
+    downloadBlob(new Blob([JSON.stringify(loadoutToJSON(aircraftId), null, 2)], { type: 'application/json' }), `${aircraftId}-loadout.json`);
+}
+
+async function loadFile(file) {
+    try {
+        const errors = applyLoadout(loadoutFromJSON(JSON.parse(await file.text()), aircraftId));
+        reportSkipped(errors, `LOADED ${file.name}`);
+    } catch (e) {
+        showLoadoutMessage(`${file.name}: ${e.message}`);
+    }
+}
+
+// The link carries the loadout as ?loadout=...; the address bar is updated too
+async function share() {
+    const url = new URL(window.location.href);
+    const param = encodeLoadoutParam(getLoadout());
+    if (param) url.searchParams.set('loadout', param);
+    else url.searchParams.delete('loadout');
+    try {
+        history.replaceState(history.state, '', url);
+    } catch (e) {
+        // Throttled or refused (e.g. in a sandboxed frame); the copied link doesn't need it
+        console.warn(`Loadout link: ${e.message}`);
+    }
+    try {
+        await navigator.clipboard.writeText(url.href);
+        showLoadoutMessage('LINK COPIED');
+    } catch (e) {
+        showLoadoutMessage(url.href);
+    }
+}
+
+function stat(label, value, warning = '') {
+    const node = el('div', warning ? 'loadout-stat over' : 'loadout-stat');
+    node.append(el('span', 'loadout-stat-label', label), el('span', 'loadout-stat-value', value));
+    if (warning) node.title = warning;
+    return node;
+}
@@ -0,0 +1,115 @@
+import * as THREE from 'three';
+
+// ===== POSE TRACK =====
+// Aircraft keyframes sampled along a curve through every section position,
+// with orientation stored as quaternions and blended by slerp (always the
+// short way around, no gimbal flips).
+//
+// Segment i runs from section i to section i + 1 and is either:
+//   - a cubic Bezier, when section i defines aircraft.bezier handles
+//   - a straight line, when the tour path is "linear"
+//   - the matching span of a centripetal Catmull-Rom spline (default)
+export function createPoseTrack(sections, pathType = 'catmullrom') {
+    const points = sections.map(s => s.aircraft.position);
+    const quaternions = sections.map(s => s.aircraft.quaternion);
+    const spline = points.length > 1 ? new THREE.CatmullRomCurve3(points, false, 'centripetal') : null;
+
+    const segments = sections.slice(0, -1).map((s, i) => {
+        const a = points[i], b = points[i + 1];
+        if (s.aircraft.bezier) return new THREE.CubicBezierCurve3(a, s.aircraft.bezier[0], s.aircraft.bezier[1], b);
+        if (pathType === 'linear') return new THREE.LineCurve3(a, b);
+        return { getPoint: (t, out) => spline.getPoint((i + t) / (points.length - 1), out) };
+    });
+
+    // t is the already eased blend inside segment `index`
+    function sample(index, t, outPosition, outQuaternion) {
+        if (index >= segments.length) {
+            outPosition.copy(points[points.length - 1]);
+            outQuaternion.copy(quaternions[quaternions.length - 1]);
+            return;
+        }
+        segments[index].getPoint(t, outPosition);
+        outQuaternion.slerpQuaternions(quaternions[index], quaternions[index + 1], t);
+    }
+
+    return { sample };
+}
+
+// ===== EASING CURVES =====
+// CSS-style cubic-bezier(x1, y1, x2, y2) timing function.
+export function cubicBezierEasing(x1, y1, x2, y2) {
+    const cx = 3 * x1, bx = 3 * (x2 - x1) - cx, ax = 1 - cx - bx;
+    const cy = 3 * y1, by = 3 * (y2 - y1) - cy, ay = 1 - cy - by;
+    const curveX = t => ((ax * t + bx) * t + cx) * t;
+    const curveY = t => ((ay * t + by) * t + cy) * t;
+    const slopeX = t => (3 * ax * t + 2 * bx) * t + cx;
+
+    // Solve curveX(t) = x: Newton first, bisection if the slope is too flat
+    function solve(x) {
+        let t = x;
+        for (let i = 0; i < 8; i++) {
+            const dx = curveX(t) - x;
+            if (Math.abs(dx) < 1e-6) return t;
+            const d = slopeX(t);
+            if (Math.abs(d) < 1e-6) break;
+            t -= dx / d;
+        }
+        let lo = 0, hi = 1;
+        t = x;
+        while (hi - lo > 1e-6) {
+            if (curveX(t) < x) lo = t; else hi = t;
+            t = (lo + hi) / 2;
+        }
+        return t;
+    }
+
+    return x => x <= 0 ? 0 : x >= 1 ? 1 : curveY(solve(x));
+}
+
+// ===== CAMERA TRACK =====
+// Camera keyframes blended like the aircraft poses. With the default "orbit"
+// blend the camera's offset from its look-at target is interpolated in
+// spherical coordinates, so it swings around the subject instead of cutting
+// through it. Per-segment moves:
+//   orbit: extra degrees of azimuth swept on the way to the next section
+//   dolly: distance pushed in (negative pulls out) at mid-segment
+export function createCameraTrack(sections) {
+    const keys = sections.map(s => s.camera);
+    const a = new THREE.Spherical(), b = new THREE.Spherical(), out = new THREE.Spherical();
+    const offset = new THREE.Vector3();
+
+    // t is the already eased blend inside segment `index`; returns the FOV
+    function sample(index, t, outPosition, outTarget) {
+        if (index >= keys.length - 1) {
+            const last = keys[keys.length - 1];
+            outPosition.copy(last.position);
+            outTarget.copy(last.target);
+            return last.fov;
+        }
+        const cur = keys[index], next = keys[index + 1];
+        outTarget.lerpVectors(cur.target, next.target, t);
+
+        if (cur.blend === 'linear') {
+            outPosition.lerpVectors(cur.position, next.position, t);
+        } else {
+            a.setFromVector3(offset.subVectors(cur.position, cur.target));
+            b.setFromVector3(offset.subVectors(next.position, next.target));
+            let dTheta = b.theta - a.theta;
+            dTheta = Math.atan2(Math.sin(dTheta), Math.cos(dTheta));
+            out.theta = a.theta + (dTheta + THREE.MathUtils.degToRad(cur.orbit)) * t;
+            out.phi = THREE.MathUtils.lerp(a.phi, b.phi, t);
+            out.radius = THREE.MathUtils.lerp(a.radius, b.radius, t);
+            out.makeSafe();
+            outPosition.setFromSpherical(out).add(outTarget);
+        }
+        if (cur.dolly !== 0) {
+            const push = cur.dolly * Math.sin(Math.PI * t);
+            offset.subVectors(outTarget, outPosition);
+            const dist = offset.length();
+            if (dist > 1e-6) outPosition.addScaledVector(offset, Math.min(push, dist * 0.9) / dist);
+        }
+        return THREE.MathUtils.lerp(cur.fov, next.fov, t);
+    }
+
+    return { sample };
+}
@@ -0,0 +1,370 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { SMAAPass } from 'three/addons/postprocessing/SMAAPass.js';
+import { OutlinePass } from 'three/addons/postprocessing/OutlinePass.js';
+import { Pass, FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+import { FXAAShader } from 'three/addons/shaders/FXAAShader.js';
+
+// ===== POST-PROCESSING =====
+// render → depth of field → selective bloom → hotspot outlines → motion blur →
+// output (tone map, sRGB) → FXAA/SMAA. Every pass keeps premultiplied alpha intact so the canvas
+// still composites over the CSS parallax background.
+// Bloom is selective: a second composer renders the scene with everything
+// except the bloom meshes (named materials/nodes, plus meshes flagged
+// userData.bloom such as afterburner flames) painted black, and the blurred
+// result is added on top of the normal render.
+
+// Per quality level (see quality.js); passes the user switched off stay off
+const POST_QUALITY = {
+    low: { enabled: false },
+    medium: { enabled: true, bloomScale: 0.5, dofSamples: 12, blurSamples: 8, aa: 'fxaa' },
+    high: { enabled: true, bloomScale: 0.75, dofSamples: 24, blurSamples: 12, aa: 'fxaa' },
+    ultra: { enabled: true, bloomScale: 1, dofSamples: 32, blurSamples: 16, aa: 'smaa' }
+};
+
+const DOF_APERTURE = 0.06;    // CoC (in screen heights) per unit of relative depth
+const DOF_MAX_BLUR = 0.012;
+const DOF_RATE = 4;           // per second, fade in/out and focus tracking
+const BLUR_SCALE = 0.6;       // fraction of the per-frame screen motion smeared
+const BLUR_SPEED = 0.4;       // scroll progress per second for full strength
+const BLUR_MAX = 0.04;        // uv units
+const OUTLINE_COLOR = 0x00f0ff;
+const OUTLINE_HIDDEN_COLOR = 0x0a3a44;  // edges behind other parts
+const OUTLINE_STRENGTH = { hover: 2, select: 5 };
+
+let renderer = null;
+let scene = null;
+let camera = null;
+let composer = null;
+let bloomComposer = null;
+let passes = {};
+let quality = POST_QUALITY.high;
+let toggles = { bloom: true, dof: true, motionBlur: true, aa: true };
+let masterEnabled = true;
+let bloomNames = new Set();
+let darkened = [];
+let hiddenForBloom = [];
+let dofAmount = 0;
+let dofFocus = 10;
+let blurStrength = 0;
+const blackMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
+const prevScreen = new THREE.Vector2();
+const screen = new THREE.Vector2();
+const tmp = new THREE.Vector3();
+let hasPrevScreen = false;
+
+export function setupPostFX(webglRenderer, targetScene, cam, options = {}) {
+    renderer = webglRenderer;
+    scene = targetScene;
+    camera = cam;
+    toggles = { ...toggles, ...options };
+    const size = renderer.getSize(new THREE.Vector2());
+
+    // Depth texture on the scene render feeds depth of field
+    const target = new THREE.WebGLRenderTarget(size.x * renderer.getPixelRatio(), size.y * renderer.getPixelRatio(), {
+        type: THREE.HalfFloatType,
+        depthTexture: new THREE.DepthTexture()
+    });
+    composer = new EffectComposer(renderer, target);
+    bloomComposer = new EffectComposer(renderer);
+    bloomComposer.renderToScreen = false;
+
+    passes.render = new RenderPass(scene, camera);
+    passes.dof = new DepthOfFieldPass(camera);
+    passes.bloomRender = new RenderPass(scene, camera);
+    passes.bloom = new UnrealBloomPass(new THREE.Vector2(size.x, size.y), 0.9, 0.4, 0.1);
+    passes.bloomMix = new ShaderPass(BloomMixShader);
+    passes.bloomMix.uniforms.tBloom.value = bloomComposer.renderTarget2.texture;
+    passes.outlineHover = createOutlinePass(size, OUTLINE_STRENGTH.hover);
+    passes.outlineSelect = createOutlinePass(size, OUTLINE_STRENGTH.select);
+    passes.motionBlur = new ShaderPass(MotionBlurShader);
+    passes.output = new OutputPass();
+    passes.fxaa = new ShaderPass(FXAAShader);
+    passes.smaa = new SMAAPass(size.x, size.y);
+
+    bloomComposer.addPass(passes.bloomRender);
+    bloomComposer.addPass(passes.bloom);
+    [passes.render, passes.dof, passes.bloomMix, passes.outlineHover, passes.outlineSelect, passes.motionBlur, passes.output, passes.fxaa, passes.smaa]
+        .forEach(p => composer.addPass(p));
+
+    setPostQuality('high');
+}
+
+// Material or node names whose meshes glow
+export function setBloomTargets(names = []) {
+    bloomNames = new Set(names);
+}
+
+// Meshes outlined for hotspot hover and selection; only drawn while the pipeline is on
+export function setOutlineTargets({ hovered = [], selected = [] } = {}) {
+    if (!composer) return;
+    passes.outlineHover.selectedObjects = hovered;
+    passes.outlineSelect.selectedObjects = selected;
+}
+
+export function setPostQuality(levelName) {
+    quality = POST_QUALITY[levelName] || POST_QUALITY.high;
+    if (!composer) return;
+    if (quality.enabled) {
+        setSampleCount(passes.dof.material, quality.dofSamples);
+        setSampleCount(passes.motionBlur.material, quality.blurSamples);
+    }
+    updatePassStates();
+    resizePostFX();
+}
+
+// name: 'bloom' | 'dof' | 'motionBlur' | 'aa'; without a name switches the whole pipeline
+export function setPostEffectEnabled(name, enabled) {
+    if (name) toggles[name] = enabled;
+    else masterEnabled = enabled;
+    updatePassStates();
+}
+
+export function isPostEffectEnabled(name) {
+    return name ? toggles[name] : masterEnabled;
+}
+
+export function resizePostFX() {
+    if (!composer) return;
+    const size = renderer.getSize(new THREE.Vector2());
+    const pixelRatio = renderer.getPixelRatio();
+    composer.setPixelRatio(pixelRatio);
+    composer.setSize(size.x, size.y);
+    bloomComposer.setPixelRatio(pixelRatio * (quality.bloomScale || 1));
+    bloomComposer.setSize(size.x, size.y);
+    passes.bloomMix.uniforms.tBloom.value = bloomComposer.renderTarget2.texture;
+    passes.fxaa.material.uniforms.resolution.value.set(1 / (size.x * pixelRatio), 1 / (size.y * pixelRatio));
+}
+
+// focusPoint: world position to keep sharp (null fades depth of field out);
+// motionPoint: world position whose screen motion sets the blur direction
+export function updatePostFX(delta, { scrollSpeed = 0, focusPoint = null, motionPoint = null } = {}) {
+    if (!composer || !isActive()) return;
+    const k = 1 - Math.exp(-DOF_RATE * delta);
+
+    // Depth of field: view-space distance to the focus point
+    dofAmount += ((focusPoint && toggles.dof ? 1 : 0) - dofAmount) * k;
+    if (focusPoint) {
+        const depth = -tmp.copy(focusPoint).applyMatrix4(camera.matrixWorldInverse).z;
+        dofFocus += (Math.max(depth, camera.near) - dofFocus) * k;
+    }
+    passes.dof.enabled = toggles.dof && dofAmount > 0.01;
+    passes.dof.uniforms.focus.value = dofFocus;
+    passes.dof.uniforms.aperture.value = DOF_APERTURE * dofAmount;
+
+    // Motion blur along the on-screen motion of the aircraft, scaled by scroll speed
+    const blur = passes.motionBlur.uniforms.velocity.value.set(0, 0);
+    if (motionPoint) {
+        tmp.copy(motionPoint).project(camera);
+        screen.set(tmp.x * 0.5, tmp.y * 0.5);
+        if (hasPrevScreen && delta > 0) {
+            blurStrength += (Math.min(scrollSpeed / BLUR_SPEED, 1) - blurStrength) * (1 - Math.exp(-8 * delta));
+            blur.subVectors(screen, prevScreen).multiplyScalar(BLUR_SCALE * blurStrength);
+            if (blur.length() > BLUR_MAX) blur.setLength(BLUR_MAX);
+        }
+        prevScreen.copy(screen);
+        hasPrevScreen = true;
+    }
+    passes.motionBlur.enabled = toggles.motionBlur && blur.lengthSq() > 1e-8;
+}
+
+// Renders a frame, through the composer when any effect is active
+export function renderPostFX(delta) {
+    if (!composer || !isActive()) {
+        renderer.render(scene, camera);
+        return;
+    }
+    if (passes.bloomMix.enabled) renderBloom();
+    composer.render(delta);
+}
+
+function createOutlinePass(size, strength) {
+    const pass = new OutlinePass(new THREE.Vector2(size.x, size.y), scene, camera, []);
+    pass.visibleEdgeColor.set(OUTLINE_COLOR);
+    pass.hiddenEdgeColor.set(OUTLINE_HIDDEN_COLOR);
+    pass.edgeStrength = strength;
+    pass.edgeThickness = 1;
+    pass.edgeGlow = 0;
+    return pass;
+}
+
+function isActive() {
+    return masterEnabled && quality.enabled;
+}
+
+function updatePassStates() {
+    if (!composer) return;
+    const on = isActive();
+    passes.bloomMix.enabled = on && toggles.bloom;
+    passes.fxaa.enabled = on && toggles.aa && quality.aa === 'fxaa';
+    passes.smaa.enabled = on && toggles.aa && quality.aa === 'smaa';
+    if (!toggles.dof) passes.dof.enabled = false;
+    if (!toggles.motionBlur) passes.motionBlur.enabled = false;
+    if (!on) hasPrevScreen = false;
+}
+
+function renderBloom() {
+    darkened.length = 0;
+    hiddenForBloom.length = 0;
+    scene.traverseVisible(obj => {
+        if (obj.isMesh && !isBloomMesh(obj)) {
+            // Shadow catchers and other see-through helpers would render as black sheets
+            if (obj.material?.isShadowMaterial) hiddenForBloom.push(obj);
+            else darkened.push([obj, obj.material]);
+        }
+    });
+    darkened.forEach(([mesh]) => { mesh.material = blackMaterial; });
+    hiddenForBloom.forEach(mesh => { mesh.visible = false; });
+    const environment = scene.environment;
+    scene.environment = null;
+
+    bloomComposer.render();
+
+    scene.environment = environment;
+    darkened.forEach(([mesh, material]) => { mesh.material = material; });
+    hiddenForBloom.forEach(mesh => { mesh.visible = true; });
+}
+
+function isBloomMesh(mesh) {
+    if (mesh.userData.bloom) return true;
+    if (bloomNames.has(mesh.name) || bloomNames.has(mesh.parent?.name)) return true;
+    return [].concat(mesh.material || []).some(m => bloomNames.has(m.name));
+}
+
+function setSampleCount(material, samples) {
+    if (material.defines.SAMPLES === samples) return;
+    material.defines.SAMPLES = samples;
+    material.needsUpdate = true;
+}
+
+// Adds the blurred bloom buffer; alpha grows with the glow so it shows over
+// transparent areas too
+const BloomMixShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        tBloom: { value: null }
+    },
+    vertexShader: /* glsl */`
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }`,
+    fragmentShader: /* glsl */`
+        uniform sampler2D tDiffuse;
+        uniform sampler2D tBloom;
+        varying vec2 vUv;
+        void main() {
+            vec4 base = texture2D(tDiffuse, vUv);
+            vec3 bloom = texture2D(tBloom, vUv).rgb;
+            float glow = clamp(max(bloom.r, max(bloom.g, bloom.b)), 0.0, 1.0);
+            gl_FragColor = vec4(base.rgb + bloom, max(base.a, glow));
+        }`
+};
+
+// Averages SAMPLES taps along the velocity (uv units), centred on the pixel
+const MotionBlurShader = {
+    defines: { SAMPLES: 12 },
+    uniforms: {
+        tDiffuse: { value: null },
+        velocity: { value: new THREE.Vector2() }
+    },
+    vertexShader: BloomMixShader.vertexShader,
+    fragmentShader: /* glsl */`
+        uniform sampler2D tDiffuse;
+        uniform vec2 velocity;
+        varying vec2 vUv;
+        void main() {
+            vec4 sum = vec4(0.0);
+            for (int i = 0; i < SAMPLES; i++) {
+                float t = float(i) / float(SAMPLES - 1) - 0.5;
+                sum += texture2D(tDiffuse, vUv + velocity * t);
+            }
+            gl_FragColor = sum / float(SAMPLES);
+        }`
+};
+
+// Gather depth of field. A sample only contributes when its own circle of
+// confusion reaches this pixel, so sharp edges don't bleed into blurred
+// surroundings (or into the transparent background).
+const DepthOfFieldShader = {
+    defines: { SAMPLES: 24 },
+    uniforms: {
+        tDiffuse: { value: null },
+        tDepth: { value: null },
+        focus: { value: 10 },
+        aperture: { value: 0 },
+        maxBlur: { value: DOF_MAX_BLUR },
+        aspect: { value: 1 },
+        cameraNear: { value: 0.1 },
+        cameraFar: { value: 1000 }
+    },
+    vertexShader: BloomMixShader.vertexShader,
+    fragmentShader: /* glsl */`
+        #include <packing>
+        uniform sampler2D tDiffuse;
+        uniform sampler2D tDepth;
+        uniform float focus;
+        uniform float aperture;
+        uniform float maxBlur;
+        uniform float aspect;
+        uniform float cameraNear;
+        uniform float cameraFar;
+        varying vec2 vUv;
+
+        float coc(vec2 uv) {
+            float z = -perspectiveDepthToViewZ(texture2D(tDepth, uv).x, cameraNear, cameraFar);
+            return min(abs(z - focus) / z * aperture, maxBlur);
+        }
+
+        void main() {
+            float radius = coc(vUv);
+            vec4 sum = texture2D(tDiffuse, vUv);
+            float weight = 1.0;
+            for (int i = 1; i < SAMPLES; i++) {
+                float r = sqrt(float(i) / float(SAMPLES));
+                float a = float(i) * 2.39996;
+                vec2 uv = vUv + vec2(cos(a) / aspect, sin(a)) * r * radius;
+                float w = clamp(coc(uv) / max(r * radius, 1e-5), 0.0, 1.0);
+                sum += texture2D(tDiffuse, uv) * w;
+                weight += w;
+            }
+            gl_FragColor = sum / weight;
+        }`
+};
+
+class DepthOfFieldPass extends Pass {
+    constructor(cam) {
+        super();
+        this.camera = cam;
+        this.material = new THREE.ShaderMaterial({
+            defines: { ...DepthOfFieldShader.defines },
+            uniforms: THREE.UniformsUtils.clone(DepthOfFieldShader.uniforms),
+            vertexShader: DepthOfFieldShader.vertexShader,
+            fragmentShader: DepthOfFieldShader.fragmentShader
+        });
+        this.uniforms = this.material.uniforms;
+        this.fsQuad = new FullScreenQuad(this.material);
+    }
+
+    // Must run straight after the RenderPass: only that buffer carries depth
+    render(renderer, writeBuffer, readBuffer) {
+        this.uniforms.tDiffuse.value = readBuffer.texture;
+        this.uniforms.tDepth.value = readBuffer.depthTexture;
+        this.uniforms.cameraNear.value = this.camera.near;
+        this.uniforms.cameraFar.value = this.camera.far;
+        this.uniforms.aspect.value = this.camera.aspect;
+        renderer.setRenderTarget(this.renderToScreen ? null : writeBuffer);
+        if (this.clear) renderer.clear();
+        this.fsQuad.render(renderer);
+    }
+
+    dispose() {
+        this.material.dispose();
+        this.fsQuad.dispose();
+    }
+}
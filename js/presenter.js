@@ -0,0 +1,170 @@
+// ===== PRESENTER =====
+// One browser, the presenter, drives any number of followers: it sends its
+// view state (a viewstate.js hash) whenever it changes and the followers
+// apply it. Two transports:
+//
+//   BroadcastChannel   other tabs and windows of the same browser, no server
+//   WebSocket          browsers anywhere, through a relay (tools/presenter-relay.mjs)
+//
+//   ?present=briefing                              present to room "briefing" across tabs
+//   ?follow=briefing&relay=ws://10.0.0.5:8787      follow it from another machine
+//
+// Messages are JSON, every one carrying the room and the sender's id:
+//   { type: 'state', hash }   presenter -> followers
+//   { type: 'call' }          presenter (re)joining; followers answer with a hello
+//   { type: 'hello' }         follower joining; the presenter answers with its state
+//   { type: 'bye' }           follower or presenter leaving
+// The relay passes each message on to the other clients in the same room.
+// A follower locks onto the presenter it hears from first (its call or state)
+// and ignores any other presenter in the room until that one says bye or the
+// follower reconnects.
+
+const CHANNEL_PREFIX = 'sukhoi3d.presenter.';
+const RECONNECT_DELAY = [500, 5000];    // ms, doubling from the first to the second
+
+export const PRESENTER_ROLES = ['present', 'follow'];
+
+export class PresenterError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'PresenterError';
+        this.reason = reason;
+    }
+}
+
+// role: 'present' or 'follow'; room: any name both sides agree on; relay: a ws(s):// URL, or
+// omitted for BroadcastChannel. onState(hash) fires on followers, onStatus({ state, viewers })
+// on both with state 'connecting', 'open' or 'offline' and, for the presenter, how many follow.
+export function createPresenterLink({ role, room, relay = null, onState, onStatus }) {
+    if (!PRESENTER_ROLES.includes(role)) throw new PresenterError('role', `Unknown presenter role "${role}"`);
+    if (!room) throw new PresenterError('room', 'A presenter room needs a name');
+    if (relay && !/^wss?:\/\//.test(relay)) throw new PresenterError('relay', `Relay "${relay}" must be a ws:// or wss:// URL`);
+    if (!relay && typeof BroadcastChannel === 'undefined') {
+        throw new PresenterError('transport', 'This browser has no BroadcastChannel; use a relay');
+    }
+
+    const id = Math.random().toString(36).slice(2, 10);
+    const viewers = new Set();
+    let presenter = null;           // followers: id of the presenter being followed
+    let lastHash = null;
+    let closed = false;
+    let state = 'connecting';
+    let transport = null;
+
+    const status = (next) => {
+        state = next;
+        onStatus?.({ state, viewers: viewers.size });
+    };
+
+    const post = (message) => transport?.send(JSON.stringify({ ...message, room, from: id }));
+
+    const receive = (text) => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            return;
+        }
+        if (message?.room !== room || message.from === id) return;
+        if (role === 'follow') {
+            if (message.type === 'call' || message.type === 'state') {
+                presenter ??= message.from;
+                if (message.from !== presenter) return;
+            }
+            if (message.type === 'state' && typeof message.hash === 'string') onState?.(message.hash);
+            else if (message.type === 'call') post({ type: 'hello' });
+            else if (message.type === 'bye' && message.from === presenter) presenter = null;
+            return;
+        }
+        if (message.type === 'hello') {
+            viewers.add(message.from);
+            if (lastHash !== null) post({ type: 'state', hash: lastHash });
+        } else if (message.type === 'bye') {
+            viewers.delete(message.from);
+        } else {
+            return;
+        }
+        status(state);
+    };
+
+    // Followers are counted afresh on every (re)connection
+    const opened = () => {
+        if (role === 'follow') {
+            presenter = null;
+            post({ type: 'hello' });
+        } else {
+            viewers.clear();
+            post({ type: 'call' });
+        }
+        status('open');
+    };
+
+    transport = relay ? connectSocket(relay, { receive, opened, status, isClosed: () => closed }) : openChannel(room, receive);
+    // Once the caller has the link in hand
+    if (!relay) queueMicrotask(() => { if (!closed) opened(); });
+
+    const leave = () => post({ type: 'bye' });
+    window.addEventListener('pagehide', leave);
+
+    return {
+        role,
+        room,
+        // Presenter only; unchanged states aren't resent
+        send(hash) {
+            if (role !== 'present' || hash === lastHash) return;
+            lastHash = hash;
+            post({ type: 'state', hash });
+        },
+        close() {
+            if (closed) return;
+            leave();
+            closed = true;
+            window.removeEventListener('pagehide', leave);
+            transport.close();
+            viewers.clear();
+            status('offline');
+        }
+    };
+}
+
+function openChannel(room, receive) {
+    const channel = new BroadcastChannel(CHANNEL_PREFIX + room);
+    channel.addEventListener('message', e => receive(e.data));
+    return {
+        send: (text) => channel.postMessage(text),
+        close: () => channel.close()
+    };
+}
+
+// Keeps reconnecting while the relay is down; messages sent meanwhile are dropped,
+// the presenter resends its state once the socket is back
+function connectSocket(url, { receive, opened, status, isClosed }) {
+    let socket = null;
+    let delay = RECONNECT_DELAY[0];
+    let timer = null;
+
+    const connect = () => {
+        status('connecting');
+        socket = new WebSocket(url);
+        socket.addEventListener('open', () => {
+            delay = RECONNECT_DELAY[0];
+            opened();
+        });
+        socket.addEventListener('message', e => receive(e.data));
+        socket.addEventListener('close', () => {
+            if (isClosed()) return;
+            status('offline');
+            timer = setTimeout(connect, delay);
+            delay = Math.min(delay * 2, RECONNECT_DELAY[1]);
+        });
+    };
+    connect();
+
+    return {
+        send: (text) => { if (socket.readyState === WebSocket.OPEN) socket.send(text); },
+        close: () => {
+            clearTimeout(timer);
+            socket.close();
+        }
+    };
+}
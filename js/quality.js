@@ -0,0 +1,148 @@
+import * as THREE from 'three';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+
+// ===== QUALITY & MODEL VARIANTS =====
+// Picks a device tier (0 = weakest .. 3) from the GPU string, CPU/memory hints
+// and a short frame-time probe. The tier chooses the model variant (LOD) and the
+// starting render quality; afterwards animate() feeds frame times in and the
+// quality steps down (pixel ratio, then shadows) whenever the frame rate stays
+// under target. It never steps back up within a session, so it can't oscillate.
+
+export const QUALITY_LEVELS = [
+    { name: 'low', pixelRatio: 0.75, shadows: false, shadowMapSize: 512 },
+    { name: 'medium', pixelRatio: 1, shadows: false, shadowMapSize: 1024 },
+    { name: 'high', pixelRatio: 1.5, shadows: true, shadowMapSize: 1024 },
+    { name: 'ultra', pixelRatio: 2, shadows: true, shadowMapSize: 2048 }
+];
+
+const SLOW_FOR = 2;          // seconds under target before stepping down
+const COOLDOWN = 3;          // seconds after a change before judging again
+const FRAME_SMOOTHING = 0.1; // EMA factor for frame times
+
+let renderer = null;
+let targetFrameTime = 1000 / 50;
+let level = QUALITY_LEVELS.length - 1;
+let onQualityChange = null;
+let averageFrameTime = 0;
+let slowTime = 0;
+let cooldown = COOLDOWN;
+let dracoLoader = null;
+let ktx2Loader = null;
+
+// Heuristic tier from the WebGL renderer string and navigator hints
+export function detectGpuTier(webglRenderer) {
+    const gl = webglRenderer.getContext();
+    const info = gl.getExtension('WEBGL_debug_renderer_info');
+    const gpu = String(gl.getParameter(info ? info.UNMASKED_RENDERER_WEBGL : gl.RENDERER) || '');
+    const mobile = /Mobi|Android|iPhone|iPad/i.test(navigator.userAgent);
+
+    let tier = 2;
+    if (/swiftshader|llvmpipe|softpipe|basic render/i.test(gpu)) tier = 0;
+    else if (/mali|powervr|adreno \(tm\) [3-5]\d\d|videocore/i.test(gpu)) tier = 1;
+    else if (/nvidia|geforce|rtx|quadro|radeon (rx|pro)|apple m\d/i.test(gpu)) tier = 3;
+    else if (mobile) tier = 1;
+
+    if ((navigator.hardwareConcurrency || 4) <= 2 || (navigator.deviceMemory || 4) <= 2) tier = Math.min(tier, 1);
+    if (gl.getParameter(gl.MAX_TEXTURE_SIZE) < 4096) tier = Math.min(tier, 1);
+    return { tier, gpu };
+}
+
+// Average frame time (ms) over the next `frames` animation frames. Resolves
+// early with what it has when frames stop coming (background tab).
+export function measureFrameTime(frames = 30, timeout = 1500) {
+    return new Promise((resolve) => {
+        const times = [];
+        let last = 0;
+        const finish = () => {
+            clearTimeout(timer);
+            resolve(times.length ? times.reduce((a, b) => a + b, 0) / times.length : 0);
+        };
+        const timer = setTimeout(finish, timeout);
+        const tick = (now) => {
+            if (last) times.push(now - last);
+            last = now;
+            if (times.length >= frames) finish();
+            else requestAnimationFrame(tick);
+        };
+        requestAnimationFrame(tick);
+    });
+}
+
+// Lowers the detected tier when the probe already misses the target frame rate
+export function adjustTierForFrameTime(tier, frameTime, targetFps) {
+    const budget = 1000 / targetFps;
+    if (!frameTime) return tier;
+    if (frameTime > budget * 2) return Math.max(0, tier - 2);
+    if (frameTime > budget * 1.3) return Math.max(0, tier - 1);
+    return tier;
+}
+
+export function setupQuality(webglRenderer, { tier, targetFps = 50, onChange } = {}) {
+    renderer = webglRenderer;
+    targetFrameTime = 1000 / targetFps;
+    onQualityChange = onChange;
+    averageFrameTime = targetFrameTime;
+    slowTime = 0;
+    cooldown = COOLDOWN;
+    setQualityLevel(THREE.MathUtils.clamp(tier, 0, QUALITY_LEVELS.length - 1));
+}
+
+export function getQualityLevel() {
+    return QUALITY_LEVELS[level];
+}
+
+export function setQualityLevel(index) {
+    level = index;
+    const q = QUALITY_LEVELS[level];
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, q.pixelRatio));
+    if (onQualityChange) onQualityChange(q);
+}
+
+// Called every frame from animate()
+export function updateQuality(delta) {
+    if (!renderer || delta <= 0) return;
+    // Hidden tabs and long stalls (model parse, shader compile) are not a frame-rate signal
+    const frameTime = delta * 1000;
+    if (document.hidden || frameTime > 500) return;
+    averageFrameTime += (frameTime - averageFrameTime) * FRAME_SMOOTHING;
+
+    cooldown = Math.max(0, cooldown - delta);
+    slowTime = averageFrameTime > targetFrameTime ? slowTime + delta : 0;
+    if (cooldown > 0 || slowTime < SLOW_FOR || level === 0) return;
+
+    setQualityLevel(level - 1);
+    slowTime = 0;
+    cooldown = COOLDOWN;
+}
+
+// Variant with the highest minTier the device reaches, followed by the
+// lighter ones as fallbacks: [{ "minTier": 2, "model": "..." }, ...]
+export function selectVariantUrls(variants, tier) {
+    const sorted = [...variants].sort((a, b) => (b.minTier ?? 0) - (a.minTier ?? 0));
+    const fits = sorted.filter(v => (v.minTier ?? 0) <= tier);
+    return (fits.length ? fits : sorted.slice(-1)).flatMap(v => [].concat(v.model));
+}
+
+// Registers Draco, meshopt and KTX2 support on a GLTFLoader. The decoders
+// only download when a model actually uses the extension.
+export function configureCompression(loader, decoders = {}) {
+    if (!dracoLoader) {
+        dracoLoader = new DRACOLoader();
+        if (decoders.draco) dracoLoader.setDecoderPath(decoders.draco);
+    }
+    if (!ktx2Loader && renderer) {
+        ktx2Loader = new KTX2Loader();
+        if (decoders.basis) ktx2Loader.setTranscoderPath(decoders.basis);
+        ktx2Loader.detectSupport(renderer);
+    }
+    loader.setDRACOLoader(dracoLoader);
+    loader.setMeshoptDecoder(MeshoptDecoder);
+    if (ktx2Loader) {
+        // Share the glTF's manager so prefetched .ktx2 files resolve to their blobs
+        ktx2Loader.manager = loader.manager;
+        loader.setKTX2Loader(ktx2Loader);
+    }
+    return loader;
+}
@@ -0,0 +1,240 @@
+import * as THREE from 'three';
+
+// ===== PROCEDURAL RIG =====
+// Moving parts layered on top of the static glTF. Each rig part gathers
+// geometry by node/material name, optionally cut down to one side of the
+// aircraft or to a box in model space (the Su-35 ships control surfaces
+// baked into its skin), re-parents it under a pivot at the hinge and
+// deflects it from the aircraft's own motion:
+//
+//   { "id": "stab-left", "material": ["Su35_R", "Blue"], "side": "left",
+//     "region": { "min": [x,y,z], "max": [x,y,z] }, "hinge": [x,y,z], "limit": 20,
+//     "controls": [{ "input": "pitch", "axis": [0,0,1], "gain": 1 }],
+//     "afterburner": true }
+//
+// Model space: nose towards +x, up +y, right wing towards +z.
+// Inputs are normalised body rates (-1..1) derived from frame-to-frame
+// orientation changes, unless a command is set (hand control, flight mode).
+
+const MAX_RATE = 1.2;      // rad/s mapped to full deflection
+const INPUT_RESPONSE = 6;  // per second
+const FLAME_COLOR = 0xff7a2a;
+
+let aircraft = null;
+let parts = [];
+let glowMaterials = [];
+let flames = [];
+let flameMaterial = null;
+let command = null;
+let throttle = 0;
+let throttleTarget = 0;
+const inputs = { pitch: 0, roll: 0, yaw: 0 };
+const prevQuaternion = new THREE.Quaternion();
+const deltaQuaternion = new THREE.Quaternion();
+const rate = new THREE.Vector3();
+const partQuaternion = new THREE.Quaternion();
+const tmpQuaternion = new THREE.Quaternion();
+
+export function setupRig(model, definitions = []) {
+    aircraft = model;
+    parts = [];
+    flames = [];
+    glowMaterials = [];
+    aircraft.updateMatrixWorld(true);
+    prevQuaternion.copy(aircraft.quaternion);
+
+    flameMaterial = new THREE.MeshBasicMaterial({
+        color: FLAME_COLOR,
+        transparent: true,
+        opacity: 0,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        side: THREE.DoubleSide
+    });
+
+    const sources = [];
+    aircraft.traverse(child => { if (child.isMesh) sources.push(child); });
+
+    definitions.forEach(def => {
+        const meshes = sources
+            .filter(mesh => matches(mesh, def))
+            .map(mesh => def.side || def.region ? extractPart(mesh, centroidFilter(def), def.id) : mesh)
+            .filter(Boolean);
+        if (meshes.length === 0) {
+            console.warn(`Rig part "${def.id}" matches no geometry`);
+            return;
+        }
+
+        const box = new THREE.Box3();
+        meshes.forEach(mesh => box.union(aircraftBox(mesh)));
+        const pivot = new THREE.Group();
+        pivot.name = `rig:${def.id}`;
+        pivot.position.copy(def.hinge ? new THREE.Vector3().fromArray(def.hinge) : box.getCenter(new THREE.Vector3()));
+        aircraft.add(pivot);
+        pivot.updateMatrixWorld(true);
+        meshes.forEach(mesh => pivot.attach(mesh));
+
+        if (def.afterburner) {
+            meshes.forEach(mesh => {
+                const mat = mesh.material;
+                if (mat?.emissive && !glowMaterials.includes(mat)) {
+                    mat.userData.baseEmissiveIntensity = mat.emissiveIntensity;
+                    glowMaterials.push(mat);
+                }
+            });
+            pivot.add(createFlame(box, pivot.position, def.id));
+        }
+
+        parts.push({
+            def,
+            pivot,
+            limit: THREE.MathUtils.degToRad(def.limit ?? 15),
+            controls: (def.controls || []).map(c => ({
+                input: c.input,
+                axis: new THREE.Vector3().fromArray(c.axis).normalize(),
+                gain: c.gain ?? 1,
+                angle: 0
+            }))
+        });
+    });
+}
+
+// Override the motion-derived inputs, e.g. { pitch: 0.5, roll: -1, yaw: 0 }; null to go back
+export function setRigCommand(cmd) {
+    command = cmd;
+}
+
+// 0 = idle, 1 = full afterburner
+export function setRigThrottle(t) {
+    throttleTarget = THREE.MathUtils.clamp(t, 0, 1);
+}
+
+export function getRigInputs() {
+    return inputs;
+}
+
+export function updateRig(delta, elapsed) {
+    if (!aircraft || delta <= 0) return;
+    const k = 1 - Math.exp(-INPUT_RESPONSE * delta);
+
+    // Body rates from the orientation change since last frame
+    deltaQuaternion.copy(prevQuaternion).invert().multiply(aircraft.quaternion);
+    prevQuaternion.copy(aircraft.quaternion);
+    if (deltaQuaternion.w < 0) deltaQuaternion.set(-deltaQuaternion.x, -deltaQuaternion.y, -deltaQuaternion.z, -deltaQuaternion.w);
+    const angle = 2 * Math.acos(Math.min(1, deltaQuaternion.w));
+    const s = Math.sqrt(1 - deltaQuaternion.w * deltaQuaternion.w);
+    if (s > 1e-6) rate.set(deltaQuaternion.x, deltaQuaternion.y, deltaQuaternion.z).multiplyScalar(angle / s / delta);
+    else rate.set(0, 0, 0);
+
+    const raw = command || { pitch: rate.z / MAX_RATE, roll: rate.x / MAX_RATE, yaw: rate.y / MAX_RATE };
+    for (const key of ['pitch', 'roll', 'yaw']) {
+        inputs[key] += (THREE.MathUtils.clamp(raw[key] || 0, -1, 1) - inputs[key]) * k;
+    }
+
+    parts.forEach(part => {
+        partQuaternion.identity();
+        part.controls.forEach(c => {
+            c.angle = THREE.MathUtils.clamp((inputs[c.input] || 0) * c.gain * part.limit, -part.limit, part.limit);
+            partQuaternion.multiply(tmpQuaternion.setFromAxisAngle(c.axis, c.angle));
+        });
+        part.pivot.quaternion.copy(partQuaternion);
+    });
+
+    updateAfterburner(k, elapsed);
+}
+
+function updateAfterburner(k, elapsed) {
+    throttle += (throttleTarget - throttle) * k;
+    const flicker = 1 + Math.sin(elapsed * 37) * 0.05 + Math.sin(elapsed * 23 + 1.3) * 0.04;
+    glowMaterials.forEach(mat => {
+        mat.emissiveIntensity = mat.userData.baseEmissiveIntensity * (0.25 + 1.25 * Math.pow(throttle, 1.5)) * flicker;
+    });
+    flameMaterial.opacity = Math.min(1, throttle * 1.2) * 0.75;
+    flames.forEach(flame => {
+        flame.visible = throttle > 0.02;
+        flame.scale.set((0.3 + throttle * 2.5) * flicker, 1, 1);
+    });
+}
+
+// Additive cone trailing from the rear face of a nozzle, in pivot space
+function createFlame(box, hinge, id) {
+    const size = box.getSize(new THREE.Vector3());
+    const radius = Math.max(Math.min(size.y, size.z) / 2, 0.05);
+    const geometry = new THREE.ConeGeometry(radius, 1, 20, 1, true);
+    geometry.rotateZ(Math.PI / 2);      // tip towards -x (aft)
+    geometry.translate(-0.5, 0, 0);     // base at the origin
+    const flame = new THREE.Mesh(geometry, flameMaterial);
+    flame.name = `${id}:flame`;
+    flame.position.set(box.min.x, (box.min.y + box.max.y) / 2, (box.min.z + box.max.z) / 2).sub(hinge);
+    flame.userData.helper = true;
+    flame.userData.bloom = true;
+    flame.raycast = () => {};
+    flame.visible = false;
+    flames.push(flame);
+    return flame;
+}
+
+function matches(mesh, def) {
+    if (mesh.userData.helper) return false;
+    const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+    const wanted = [].concat(def.material || []);
+    if (def.node && mesh.name !== def.node && mesh.parent?.name !== def.node) return false;
+    if (wanted.length && !materials.some(m => wanted.includes(m?.name))) return false;
+    return !!(def.node || def.material);
+}
+
+function centroidFilter(def) {
+    const region = def.region && new THREE.Box3(
+        new THREE.Vector3().fromArray(def.region.min),
+        new THREE.Vector3().fromArray(def.region.max)
+    );
+    return c => (!def.side || (def.side === 'right' ? c.z > 0 : c.z < 0)) && (!region || region.containsPoint(c));
+}
+
+// Moves the triangles whose model-space centroid passes `keep` out of `mesh`
+// into a new mesh sharing the same vertex buffers and material.
+function extractPart(mesh, keep, id) {
+    const geometry = mesh.geometry;
+    const position = geometry.attributes.position;
+    const index = geometry.index ? geometry.index.array : Array.from({ length: position.count }, (_, i) => i);
+    const toAircraft = new THREE.Matrix4().copy(aircraft.matrixWorld).invert().multiply(mesh.matrixWorld);
+
+    const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+    const kept = [], rest = [];
+    for (let i = 0; i < index.length; i += 3) {
+        a.fromBufferAttribute(position, index[i]);
+        b.fromBufferAttribute(position, index[i + 1]);
+        c.fromBufferAttribute(position, index[i + 2]);
+        const centroid = a.add(b).add(c).divideScalar(3).applyMatrix4(toAircraft);
+        (keep(centroid) ? kept : rest).push(index[i], index[i + 1], index[i + 2]);
+    }
+    if (kept.length === 0) return null;
+
+    geometry.setIndex(rest);
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+
+    const partGeometry = new THREE.BufferGeometry();
+    for (const name in geometry.attributes) partGeometry.setAttribute(name, geometry.attributes[name]);
+    partGeometry.setIndex(kept);
+    partGeometry.computeBoundingBox();
+    partGeometry.computeBoundingSphere();
+
+    const part = new THREE.Mesh(partGeometry, mesh.material);
+    part.name = `${mesh.name}:${id}`;
+    part.castShadow = mesh.castShadow;
+    part.receiveShadow = mesh.receiveShadow;
+    part.position.copy(mesh.position);
+    part.quaternion.copy(mesh.quaternion);
+    part.scale.copy(mesh.scale);
+    mesh.parent.add(part);
+    part.updateMatrixWorld(true);
+    if (rest.length === 0) mesh.removeFromParent();
+    return part;
+}
+
+function aircraftBox(mesh) {
+    if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+    const toAircraft = new THREE.Matrix4().copy(aircraft.matrixWorld).invert().multiply(mesh.matrixWorld);
+    return mesh.geometry.boundingBox.clone().applyMatrix4(toAircraft);
+}
@@ -0,0 +1,105 @@
+// ===== RUNTIME =====
+// Classic (non-module) script that runs before the viewer: it decides where
+// three.js and MediaPipe come from, writes the import map and then starts
+// main.js. Libraries are served from the project itself by default, laid out
+// like their npm packages:
+//
+//   vendor/three/                  three@0.160.0 (build/, examples/jsm/)
+//   vendor/@mediapipe/hands/       hands.js, *.wasm, *.tflite, *.binarypb, *.data
+//   vendor/@mediapipe/drawing_utils/
+//
+// vendor/ isn't part of the repository; `node tools/fetch-vendor.mjs` fills it
+// from the npm registry. The public CDNs are only used when allowed, as a
+// fallback for whatever isn't found locally:
+//
+//   window.RUNTIME_CONFIG = { assetBase: './vendor/', cdnFallback: false }   (index.html)
+//   ?assetBase=/libs/&cdn=1                                                   (per visit)
+//
+// main.js reads the resolved bases from window.RUNTIME.
+(function () {
+    const CDN = {
+        three: 'https://unpkg.com/three@0.160.0/',
+        mediapipe: 'https://cdn.jsdelivr.net/npm/@mediapipe/'
+    };
+    const LOCAL_DIRS = { three: 'three/', mediapipe: '@mediapipe/' };
+    // One file per library that must exist for the local copy to count
+    const PROBES = { three: 'build/three.module.js', mediapipe: 'hands/hands.js' };
+
+    const params = new URLSearchParams(window.location.search);
+    const config = { assetBase: './vendor/', cdnFallback: false, ...window.RUNTIME_CONFIG };
+    if (params.has('assetBase')) config.assetBase = params.get('assetBase');
+    if (params.has('cdn')) config.cdnFallback = params.get('cdn') !== '0';
+    if (!config.assetBase.endsWith('/')) config.assetBase += '/';
+
+    const resolved = {};
+
+    // Base URL of a library: the local copy when present, else the CDN if allowed.
+    // Rejects with an Error listing every location that was tried.
+    function resolve(name) {
+        if (resolved[name]) return resolved[name];
+        resolved[name] = (async () => {
+            const local = new URL(config.assetBase + LOCAL_DIRS[name], document.baseURI).href;
+            const tried = [];
+            if (await exists(local + PROBES[name], tried)) return local;
+            if (config.cdnFallback && await exists(CDN[name] + PROBES[name], tried)) return CDN[name];
+            const hint = config.cdnFallback ? '' : ' (fill vendor/ with tools/fetch-vendor.mjs, or add ?cdn=1 to allow the CDN fallback)';
+            throw new Error(`${name} not found${hint}:\n${tried.join('\n')}`);
+        })();
+        // Let a later call try again after a failure
+        resolved[name].catch(() => { delete resolved[name]; });
+        return resolved[name];
+    }
+
+    async function exists(url, tried) {
+        try {
+            const res = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+            // Some static servers don't implement HEAD
+            if (res.ok || res.status === 405) return true;
+            tried.push(`${url} → HTTP ${res.status}`);
+        } catch (e) {
+            tried.push(`${url} → ${e.message || 'network error'}`);
+        }
+        return false;
+    }
+
+    function startViewer(three) {
+        window.RUNTIME.three = three;
+        const map = document.createElement('script');
+        map.type = 'importmap';
+        map.textContent = JSON.stringify({
+            imports: {
+                'three': three + 'build/three.module.js',
+                'three/addons/': three + 'examples/jsm/'
+            }
+        });
+        document.head.appendChild(map);
+
+        const main = document.createElement('script');
+        main.type = 'module';
+        main.src = 'main.js';
+        // Fires when main.js or any module it imports can't be fetched
+        main.onerror = () => showError(new Error(`A viewer module failed to load (three.js from ${three})`));
+        document.body.appendChild(main);
+    }
+
+    // Same markup main.js uses for its loading errors; main.js isn't running yet
+    function showError(error) {
+        console.error(error);
+        document.getElementById('loader')?.classList.add('failed');
+        const subtitle = document.querySelector('.loading-subtitle');
+        if (subtitle) subtitle.textContent = 'RUNTIME FAILED TO LOAD';
+        const box = document.createElement('div');
+        box.className = 'loading-error';
+        const details = document.createElement('pre');
+        details.textContent = error.message;
+        const button = document.createElement('button');
+        button.className = 'retry-btn';
+        button.textContent = 'RETRY';
+        button.addEventListener('click', () => window.location.reload());
+        box.append(details, button);
+        document.querySelector('.loader-text')?.appendChild(box);
+    }
+
+    window.RUNTIME = { config, resolve, three: null };
+    resolve('three').then(startViewer, showError);
+})();
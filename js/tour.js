@@ -0,0 +1,691 @@
+import * as THREE from 'three';
+import { cubicBezierEasing } from './pose.js';
+import { LIGHTING_PRESETS } from './lighting.js';
+import { BUILTIN_BACKGROUNDS } from './backgrounds.js';
+import { HUD_THEMES } from './hud.js';
+import { STORES } from './loadout.js';
+import { LIVERY_PRESETS, validateLivery } from './livery.js';
+
+// ===== TOUR FORMAT =====
+// A tour is a JSON file describing every scroll stop of the page:
+//
+// {
+//     "model": "./assets/scene.gltf",                       (optional; or a list of
+//                                                              fallback URLs tried in order)
+//     "variants": [{ "minTier": 2, "model": "..." }],        (optional LODs picked by device tier
+//                                                             0-3, lighter ones become fallbacks)
+//     "camera": { "position": [x,y,z], "target": [x,y,z], "fov": 35 },
+//     "path": "catmullrom",                                 (optional, or "linear")
+//     "lighting": "studio",                                 (optional default preset, see lighting.js)
+//     "lightingPresets": { "name": { "extends", ... } },    (optional extra presets)
+//     "bloom": ["screen.001"],                              (optional glowing node/material names)
+//     "backgrounds": { "name": { "layers" | "sky" } },      (optional extra backgrounds, see backgrounds.js)
+//     "hud": { "theme": "green" },                          (optional default HUD theme, see hud.js)
+//     "sections": [{
+//         "id": "overview",                                  (DOM id + URL anchor)
+//         "nav": "OVERVIEW",                                 (nav link label)
+//         "aircraft": { "position": [x,y,z], "rotation": [rx,ry,rz] },
+//                     ("quaternion": [x,y,z,w] instead of rotation,
+//                      "bezier": [[x,y,z], [x,y,z]] handles towards the next section)
+//         "camera": { "position", "target", "fov",           (optional, each defaults to tour camera)
+//                     "relativeTo": "world|aircraft",        (aircraft: position/target are in model
+//                                                             space of this section's aircraft pose)
+//                     "blend": "orbit|linear",               (how to travel to the next camera)
+//                     "orbit": 0, "dolly": 0 },              (extra degrees swept / push-in distance)
+//         "easing": "easeInOutCubic",                        (optional, blend towards next section,
+//                                                             or [x1, y1, x2, y2] cubic-bezier)
+//         "explode": { "amount": 1, "axis": [x,y,z] },      (optional, or true; see explode.js)
+//         "isolate": ["engine_plumes", "radar"],            (optional node/material names or hotspot ids)
+//         "lighting": "dawn",                                (optional preset while this section is active)
+//         "background": "alps",                              (optional, default cycles the built-in landscapes)
+//         "hud": { "theme": "amber", "altitude": 32000,      (optional HUD theme, and the altitude (ft) and
+//                  "mach": 1.6 },                             Mach shown here; default climbs evenly to
+//                                                             59,000 ft and Mach 2.25 over the tour)
+//         "card": { "title", "desc", "stats": [{ "value", "label" }], "specs": [[name, value]], "align": "left|right" }
+//         or
+//         "hero": { "title": [{ "text", "style": "accent|sub" }], "description", "stats": [...] }
+//     }],
+//     "hotspots": [{ "id", "label", "section", "node", "material", "anchor" }],  (optional, see hotspots.js)
+//     "rig": [{ "id", "node", "material", "side", "region", "hinge", "limit", "controls" }]  (optional, see rig.js)
+//     "loadout": { "scale", "maxPayload", "pylons": [{ "id", "label", "anchor", "accepts", "maxMass" }] },
+//     "stores": { "name": { "extends", "name", "mass", "drag", "model" } }                (optional, see loadout.js)
+//     "aircraft": "./aircraft/su35.json",                                               (optional metadata: name, scale and
+//                                                                                          specs, see aircraft.js)
+//     "compare": ["./aircraft/su27.json"],                                              (optional metadata of aircraft on
+//                                                                                          offer for comparison)
+//     "liveries": { "name": { "extends", "name", "materials", "decals" } },               (optional extra schemes, see livery.js)
+//     "livery": "vvs"                                                                     (optional scheme applied at load)
+// }
+
+export const EASINGS = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => 1 - (1 - t) * (1 - t),
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
+export const DEFAULT_EASING = 'easeInOutCubic';
+export const DEFAULT_EXPLODE = 0.8;
+
+export class TourValidationError extends Error {
+    constructor(url, errors) {
+        super(`Invalid tour ${url}:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'TourValidationError';
+        this.errors = errors;
+    }
+}
+
+// ===== LOADING =====
+export async function loadTour(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Could not load tour ${url} (HTTP ${res.status})`);
+    let data;
+    try {
+        data = await res.json();
+    } catch (e) {
+        throw new TourValidationError(url, [`not valid JSON: ${e.message}`]);
+    }
+    const errors = validateTour(data);
+    if (errors.length > 0) throw new TourValidationError(url, errors);
+    return compileTour(data);
+}
+
+// ===== VALIDATION =====
+// Returns a list of human readable problems, empty when the tour is usable.
+export function validateTour(data) {
+    const errors = [];
+    const err = (path, msg) => errors.push(`${path}: ${msg}`);
+
+    if (!isObject(data)) {
+        err('tour', 'expected an object');
+        return errors;
+    }
+    if (data.model !== undefined && !isUrlList(data.model)) err('model', 'expected a URL or a non-empty list of URLs');
+    if (data.variants !== undefined) validateVariants(data.variants, err);
+    if (data.title !== undefined && !isString(data.title)) err('title', 'expected a non-empty string');
+    if (data.camera !== undefined) validateCamera(data.camera, 'camera', err, false);
+    if (data.path !== undefined && data.path !== 'catmullrom' && data.path !== 'linear') err('path', 'expected "catmullrom" or "linear"');
+    if (data.bloom !== undefined && !(Array.isArray(data.bloom) && data.bloom.every(isString))) err('bloom', 'expected an array of node or material names');
+    if (data.lightingPresets !== undefined) validateLightingPresets(data.lightingPresets, err);
+    const lightingNames = new Set([...Object.keys(LIGHTING_PRESETS), ...Object.keys(isObject(data.lightingPresets) ? data.lightingPresets : {})]);
+    const validateLighting = (name, path) => {
+        if (!lightingNames.has(name)) err(path, `unknown lighting preset (expected one of ${[...lightingNames].join(', ')})`);
+    };
+    if (data.lighting !== undefined) validateLighting(data.lighting, 'lighting');
+    if (data.backgrounds !== undefined) validateBackgrounds(data.backgrounds, err);
+    const backgroundNames = new Set([...Object.keys(BUILTIN_BACKGROUNDS), ...Object.keys(isObject(data.backgrounds) ? data.backgrounds : {})]);
+    if (data.hud !== undefined) validateHud(data.hud, 'hud', err, false);
+
+    if (!Array.isArray(data.sections) || data.sections.length === 0) {
+        err('sections', 'expected a non-empty array');
+        return errors;
+    }
+
+    const ids = new Set();
+    data.sections.forEach((s, i) => {
+        const path = `sections[${i}]`;
+        if (!isObject(s)) { err(path, 'expected an object'); return; }
+
+        if (!isString(s.id) || !/^[A-Za-z][\w-]*$/.test(s.id)) {
+            err(`${path}.id`, 'expected an identifier (letters, digits, "-" or "_")');
+        } else if (ids.has(s.id)) {
+            err(`${path}.id`, `duplicate id "${s.id}"`);
+        } else {
+            ids.add(s.id);
+        }
+        if (!isString(s.nav)) err(`${path}.nav`, 'expected a non-empty string');
+
+        if (!isObject(s.aircraft)) {
+            err(`${path}.aircraft`, 'expected { position, rotation }');
+        } else {
+            if (!isVec3(s.aircraft.position)) err(`${path}.aircraft.position`, 'expected [x, y, z] numbers');
+            if ((s.aircraft.rotation === undefined) === (s.aircraft.quaternion === undefined)) {
+                err(`${path}.aircraft`, 'expected exactly one of "rotation" or "quaternion"');
+            } else if (s.aircraft.rotation !== undefined && !isVec3(s.aircraft.rotation)) {
+                err(`${path}.aircraft.rotation`, 'expected [rx, ry, rz] numbers (radians)');
+            } else if (s.aircraft.quaternion !== undefined && !isQuaternion(s.aircraft.quaternion)) {
+                err(`${path}.aircraft.quaternion`, 'expected [x, y, z, w] numbers, not all zero');
+            }
+            if (s.aircraft.bezier !== undefined) {
+                if (!Array.isArray(s.aircraft.bezier) || s.aircraft.bezier.length !== 2 || !s.aircraft.bezier.every(isVec3)) {
+                    err(`${path}.aircraft.bezier`, 'expected two [x, y, z] handles');
+                } else if (i === data.sections.length - 1) {
+                    err(`${path}.aircraft.bezier`, 'the last section has no next section to curve towards');
+                }
+            }
+        }
+        if (s.camera !== undefined) validateCamera(s.camera, `${path}.camera`, err, true);
+        if (s.easing !== undefined) validateEasing(s.easing, `${path}.easing`, err);
+        if (s.explode !== undefined && s.explode !== true && s.explode !== false) {
+            if (!isObject(s.explode)) err(`${path}.explode`, 'expected true or { amount, axis }');
+            else {
+                if (s.explode.amount !== undefined && !(isNumber(s.explode.amount) && s.explode.amount >= 0)) err(`${path}.explode.amount`, 'expected a number >= 0');
+                if (s.explode.axis !== undefined && !(isVec3(s.explode.axis) && s.explode.axis.some(n => n !== 0))) err(`${path}.explode.axis`, 'expected a non-zero [x, y, z] direction');
+            }
+        }
+        if (s.isolate !== undefined && !(Array.isArray(s.isolate) && s.isolate.length > 0 && s.isolate.every(isString))) {
+            err(`${path}.isolate`, 'expected a non-empty array of node, material or hotspot names');
+        }
+        if (s.lighting !== undefined) validateLighting(s.lighting, `${path}.lighting`);
+        if (s.background !== undefined && !backgroundNames.has(s.background)) {
+            err(`${path}.background`, `unknown background (expected one of ${[...backgroundNames].join(', ')})`);
+        }
+        if (s.hud !== undefined) validateHud(s.hud, `${path}.hud`, err, true);
+
+        if ((s.card === undefined) === (s.hero === undefined)) {
+            err(path, 'expected exactly one of "card" or "hero"');
+        } else if (s.card !== undefined) {
+            validateCard(s.card, `${path}.card`, err);
+        } else {
+            validateHero(s.hero, `${path}.hero`, err);
+        }
+    });
+
+    if (data.hotspots !== undefined) validateHotspots(data.hotspots, ids, err);
+    if (data.rig !== undefined) validateRig(data.rig, err);
+    if (data.stores !== undefined) validateStores(data.stores, err);
+    if (data.loadout !== undefined) {
+        const storeNames = new Set([...Object.keys(STORES), ...Object.keys(isObject(data.stores) ? data.stores : {})]);
+        validateLoadout(data.loadout, storeNames, err);
+    }
+    if (data.aircraft !== undefined && !isString(data.aircraft)) err('aircraft', 'expected a metadata URL');
+    if (data.compare !== undefined && !(Array.isArray(data.compare) && data.compare.every(isString))) {
+        err('compare', 'expected an array of metadata URLs');
+    }
+    if (data.liveries !== undefined) validateLiveries(data.liveries, err);
+    if (data.livery !== undefined) {
+        const liveryNames = new Set([...Object.keys(LIVERY_PRESETS), ...Object.keys(isObject(data.liveries) ? data.liveries : {})]);
+        if (!liveryNames.has(data.livery)) err('livery', `unknown livery (expected one of ${[...liveryNames].join(', ')})`);
+    }
+    return errors;
+}
+
+const RIG_INPUTS = ['pitch', 'roll', 'yaw'];
+
+function validateLightingPresets(presets, err) {
+    if (!isObject(presets)) {
+        err('lightingPresets', 'expected an object of named presets');
+        return;
+    }
+    Object.entries(presets).forEach(([name, p]) => {
+        const path = `lightingPresets.${name}`;
+        if (!isObject(p)) { err(path, 'expected an object'); return; }
+        if (p.extends !== undefined && !Object.hasOwn(LIGHTING_PRESETS, p.extends)) {
+            err(`${path}.extends`, `expected a built-in preset (${Object.keys(LIGHTING_PRESETS).join(', ')})`);
+        }
+        if (p.environment !== undefined && !isString(p.environment)) err(`${path}.environment`, 'expected "room" or an .hdr URL');
+        ['envIntensity', 'exposure', 'shadowOpacity'].forEach(k => {
+            if (p[k] !== undefined && !(isNumber(p[k]) && p[k] >= 0)) err(`${path}.${k}`, 'expected a number >= 0');
+        });
+        ['ambient', 'key', 'fill', 'rim'].forEach(k => {
+            const l = p[k];
+            if (l === undefined) return;
+            if (!isObject(l)) { err(`${path}.${k}`, 'expected { color, intensity, direction }'); return; }
+            if (l.color !== undefined && !isColor(l.color)) err(`${path}.${k}.color`, 'expected "#rrggbb" or a 0xRRGGBB number');
+            if (l.intensity !== undefined && !(isNumber(l.intensity) && l.intensity >= 0)) err(`${path}.${k}.intensity`, 'expected a number >= 0');
+            if (l.direction !== undefined && !(k !== 'ambient' && isVec3(l.direction) && l.direction.some(n => n !== 0))) {
+                err(`${path}.${k}.direction`, 'expected a non-zero [x, y, z] direction (not on ambient)');
+            }
+        });
+    });
+}
+
+function validateBackgrounds(backgrounds, err) {
+    if (!isObject(backgrounds)) {
+        err('backgrounds', 'expected an object of named backgrounds');
+        return;
+    }
+    Object.entries(backgrounds).forEach(([name, b]) => {
+        const path = `backgrounds.${name}`;
+        if (!isObject(b) || (b.layers === undefined) === (b.sky === undefined)) {
+            err(path, 'expected exactly one of "layers" or "sky"');
+        } else if (b.layers !== undefined) {
+            if (!Array.isArray(b.layers) || b.layers.length === 0) {
+                err(`${path}.layers`, 'expected a non-empty array');
+                return;
+            }
+            b.layers.forEach((l, i) => {
+                const lp = `${path}.layers[${i}]`;
+                if (!isObject(l)) { err(lp, 'expected an object'); return; }
+                const kinds = ['image', 'gradient', 'ridge'].filter(k => l[k] !== undefined);
+                if (kinds.length !== 1) err(lp, 'expected exactly one of "image", "gradient" or "ridge"');
+                else if (kinds[0] === 'ridge' ? !isObject(l.ridge) : !isString(l[kinds[0]])) err(`${lp}.${kinds[0]}`, 'invalid value');
+                if (l.depth !== undefined && !(isNumber(l.depth) && l.depth >= 0 && l.depth <= 1)) err(`${lp}.depth`, 'expected a number from 0 to 1');
+                if (l.opacity !== undefined && !(isNumber(l.opacity) && l.opacity >= 0 && l.opacity <= 1)) err(`${lp}.opacity`, 'expected a number from 0 to 1');
+            });
+        } else {
+            const sky = b.sky;
+            if (!isObject(sky)) { err(`${path}.sky`, 'expected an object'); return; }
+            ['top', 'horizon', 'ground'].forEach(k => {
+                if (sky[k] !== undefined && !isColor(sky[k])) err(`${path}.sky.${k}`, 'expected "#rrggbb" or a 0xRRGGBB number');
+            });
+            if (sky.sun !== undefined && !(Array.isArray(sky.sun) && sky.sun.length === 2 && sky.sun.every(isNumber))) {
+                err(`${path}.sky.sun`, 'expected [elevation, azimuth] in degrees');
+            }
+            ['altitude', 'cloudAltitude', 'speed'].forEach(k => {
+                if (sky[k] !== undefined && !(isNumber(sky[k]) && sky[k] >= 0)) err(`${path}.sky.${k}`, 'expected a number >= 0');
+            });
+        }
+    });
+}
+
+function validateHud(h, path, err, isSection) {
+    if (!isObject(h)) { err(path, 'expected { theme }'); return; }
+    if (h.theme !== undefined && !Object.hasOwn(HUD_THEMES, h.theme)) {
+        err(`${path}.theme`, `unknown HUD theme (expected one of ${Object.keys(HUD_THEMES).join(', ')})`);
+    }
+    ['altitude', 'mach'].forEach(k => {
+        if (h[k] === undefined) return;
+        if (!isSection) err(`${path}.${k}`, 'only allowed on section HUDs');
+        else if (!(isNumber(h[k]) && h[k] >= 0)) err(`${path}.${k}`, 'expected a number >= 0');
+    });
+}
+
+function validateVariants(variants, err) {
+    if (!Array.isArray(variants) || variants.length === 0) {
+        err('variants', 'expected a non-empty array');
+        return;
+    }
+    variants.forEach((v, i) => {
+        const path = `variants[${i}]`;
+        if (!isObject(v)) { err(path, 'expected an object'); return; }
+        if (!isUrlList(v.model)) err(`${path}.model`, 'expected a URL or a non-empty list of URLs');
+        if (v.minTier !== undefined && !(Number.isInteger(v.minTier) && v.minTier >= 0 && v.minTier <= 3)) {
+            err(`${path}.minTier`, 'expected an integer tier from 0 to 3');
+        }
+    });
+}
+
+function validateRig(rig, err) {
+    if (!Array.isArray(rig)) { err('rig', 'expected an array'); return; }
+    const ids = new Set();
+    rig.forEach((p, i) => {
+        const path = `rig[${i}]`;
+        if (!isObject(p)) { err(path, 'expected an object'); return; }
+        if (!isString(p.id)) err(`${path}.id`, 'expected a non-empty string');
+        else if (ids.has(p.id)) err(`${path}.id`, `duplicate id "${p.id}"`);
+        else ids.add(p.id);
+        if (p.node === undefined && p.material === undefined) err(path, 'expected "node" and/or "material"');
+        if (p.node !== undefined && !isString(p.node)) err(`${path}.node`, 'expected a glTF node name');
+        if (p.material !== undefined && !isString(p.material) && !(Array.isArray(p.material) && p.material.length > 0 && p.material.every(isString))) {
+            err(`${path}.material`, 'expected a glTF material name or a list of names');
+        }
+        if (p.side !== undefined && p.side !== 'left' && p.side !== 'right') err(`${path}.side`, 'expected "left" or "right"');
+        if (p.region !== undefined && !(isObject(p.region) && isVec3(p.region.min) && isVec3(p.region.max))) {
+            err(`${path}.region`, 'expected { min: [x, y, z], max: [x, y, z] } in model space');
+        }
+        if (p.hinge !== undefined && !isVec3(p.hinge)) err(`${path}.hinge`, 'expected [x, y, z] numbers in model space');
+        if (p.limit !== undefined && !(isNumber(p.limit) && p.limit > 0 && p.limit <= 90)) err(`${path}.limit`, 'expected degrees between 0 and 90');
+        if (p.afterburner !== undefined && typeof p.afterburner !== 'boolean') err(`${path}.afterburner`, 'expected true or false');
+        if (p.controls !== undefined && !Array.isArray(p.controls)) {
+            err(`${path}.controls`, 'expected an array');
+        } else {
+            (p.controls || []).forEach((c, j) => {
+                const cpath = `${path}.controls[${j}]`;
+                if (!isObject(c)) { err(cpath, 'expected { input, axis, gain }'); return; }
+                if (!RIG_INPUTS.includes(c.input)) err(`${cpath}.input`, `expected one of ${RIG_INPUTS.join(', ')}`);
+                if (!(isVec3(c.axis) && c.axis.some(n => n !== 0))) err(`${cpath}.axis`, 'expected a non-zero [x, y, z] direction');
+                if (c.gain !== undefined && !isNumber(c.gain)) err(`${cpath}.gain`, 'expected a number');
+            });
+        }
+    });
+}
+
+const STORE_NUMBERS = ['mass', 'drag', 'length', 'diameter', 'span'];
+
+function validateStores(stores, err) {
+    if (!isObject(stores)) { err('stores', 'expected an object of named stores'); return; }
+    Object.entries(stores).forEach(([name, s]) => {
+        const path = `stores.${name}`;
+        if (!/^[A-Za-z0-9-]+$/.test(name)) err(path, 'store names may only use letters, digits and "-"');
+        if (!isObject(s)) { err(path, 'expected an object'); return; }
+        if (s.extends !== undefined && !Object.hasOwn(STORES, s.extends)) {
+            err(`${path}.extends`, `expected a built-in store (${Object.keys(STORES).join(', ')})`);
+        }
+        if (!isString(s.name) && s.extends === undefined) err(`${path}.name`, 'expected a non-empty string');
+        STORE_NUMBERS.forEach(k => {
+            if (s[k] === undefined) {
+                if (s.extends === undefined && k !== 'span') err(`${path}.${k}`, 'required unless the store "extends" a built-in one');
+            } else if (!(isNumber(s[k]) && s[k] >= 0)) {
+                err(`${path}.${k}`, 'expected a number >= 0');
+            }
+        });
+        if (s.model !== undefined && !isString(s.model)) err(`${path}.model`, 'expected a glTF URL');
+        if (s.color !== undefined && !isColor(s.color)) err(`${path}.color`, 'expected "#rrggbb" or a 0xRRGGBB number');
+    });
+}
+
+function validateLoadout(loadout, storeNames, err) {
+    if (!isObject(loadout)) { err('loadout', 'expected { scale, maxPayload, pylons }'); return; }
+    if (!(isNumber(loadout.scale) && loadout.scale > 0)) err('loadout.scale', 'expected model units per metre, > 0');
+    ['maxPayload', 'emptyMass', 'fuelMass', 'maxTakeoffMass'].forEach(k => {
+        if (loadout[k] !== undefined && !(isNumber(loadout[k]) && loadout[k] >= 0)) err(`loadout.${k}`, 'expected kilograms >= 0');
+    });
+    if (!Array.isArray(loadout.pylons) || loadout.pylons.length === 0) {
+        err('loadout.pylons', 'expected a non-empty array');
+        return;
+    }
+    const ids = new Set();
+    loadout.pylons.forEach((p, i) => {
+        const path = `loadout.pylons[${i}]`;
+        if (!isObject(p)) { err(path, 'expected an object'); return; }
+        if (!isString(p.id) || !/^[A-Za-z0-9-]+$/.test(p.id)) err(`${path}.id`, 'expected letters, digits or "-"');
+        else if (ids.has(p.id)) err(`${path}.id`, `duplicate id "${p.id}"`);
+        else ids.add(p.id);
+        if (!isString(p.label)) err(`${path}.label`, 'expected a non-empty string');
+        if (!isVec3(p.anchor)) err(`${path}.anchor`, 'expected [x, y, z] numbers in model space');
+        if (!(Array.isArray(p.accepts) && p.accepts.length > 0)) {
+            err(`${path}.accepts`, 'expected a non-empty array of store names');
+        } else {
+            p.accepts.filter(s => !storeNames.has(s)).forEach(s => err(`${path}.accepts`, `unknown store "${s}"`));
+        }
+        if (!(isNumber(p.maxMass) && p.maxMass > 0)) err(`${path}.maxMass`, 'expected kilograms > 0');
+    });
+}
+
+function validateLiveries(liveries, err) {
+    if (!isObject(liveries)) { err('liveries', 'expected an object of named liveries'); return; }
+    Object.entries(liveries).forEach(([name, l]) => {
+        const path = `liveries.${name}`;
+        if (!/^[A-Za-z0-9-]+$/.test(name)) err(path, 'livery names may only use letters, digits and "-"');
+        validateLivery(l, path, err);
+        if (isObject(l) && l.extends !== undefined && !Object.hasOwn(LIVERY_PRESETS, l.extends)) {
+            err(`${path}.extends`, `expected a built-in livery (${Object.keys(LIVERY_PRESETS).join(', ')})`);
+        }
+    });
+}
+
+function validateHotspots(hotspots, sectionIds, err) {
+    if (!Array.isArray(hotspots)) { err('hotspots', 'expected an array'); return; }
+    const ids = new Set();
+    hotspots.forEach((h, i) => {
+        const path = `hotspots[${i}]`;
+        if (!isObject(h)) { err(path, 'expected an object'); return; }
+        if (!isString(h.id)) err(`${path}.id`, 'expected a non-empty string');
+        else if (ids.has(h.id)) err(`${path}.id`, `duplicate id "${h.id}"`);
+        else ids.add(h.id);
+        if (!isString(h.label)) err(`${path}.label`, 'expected a non-empty string');
+        if (!isString(h.section) || !sectionIds.has(h.section)) err(`${path}.section`, `expected the id of a section, got "${h.section}"`);
+        if (h.node !== undefined && !isString(h.node)) err(`${path}.node`, 'expected a glTF node name');
+        if (h.material !== undefined && !isString(h.material)) err(`${path}.material`, 'expected a glTF material name');
+        if (h.anchor !== undefined && !isVec3(h.anchor)) err(`${path}.anchor`, 'expected [x, y, z] numbers in model space');
+        if (h.node === undefined && h.material === undefined && h.anchor === undefined) {
+            err(path, 'expected at least one of "node", "material" or "anchor"');
+        }
+    });
+}
+
+function validateCamera(c, path, err, isKeyframe) {
+    if (!isObject(c)) { err(path, 'expected { position, target, fov }'); return; }
+    if (c.position !== undefined && !isVec3(c.position)) err(`${path}.position`, 'expected [x, y, z] numbers');
+    if (c.target !== undefined && !isVec3(c.target)) err(`${path}.target`, 'expected [x, y, z] numbers');
+    if (c.fov !== undefined && !(isNumber(c.fov) && c.fov > 1 && c.fov < 179)) err(`${path}.fov`, 'expected a number between 1 and 179');
+    if (!isKeyframe) {
+        ['relativeTo', 'blend', 'orbit', 'dolly'].forEach(k => {
+            if (c[k] !== undefined) err(`${path}.${k}`, 'only allowed on section cameras');
+        });
+        return;
+    }
+    if (c.relativeTo !== undefined && c.relativeTo !== 'world' && c.relativeTo !== 'aircraft') err(`${path}.relativeTo`, 'expected "world" or "aircraft"');
+    if (c.blend !== undefined && c.blend !== 'orbit' && c.blend !== 'linear') err(`${path}.blend`, 'expected "orbit" or "linear"');
+    if (c.orbit !== undefined && !isNumber(c.orbit)) err(`${path}.orbit`, 'expected degrees');
+    if (c.dolly !== undefined && !isNumber(c.dolly)) err(`${path}.dolly`, 'expected a distance');
+}
+
+function validateEasing(e, path, err) {
+    if (Array.isArray(e)) {
+        if (e.length !== 4 || !e.every(isNumber) || e[0] < 0 || e[0] > 1 || e[2] < 0 || e[2] > 1) {
+            err(path, 'expected cubic-bezier [x1, y1, x2, y2] with x1 and x2 between 0 and 1');
+        }
+    } else if (!Object.hasOwn(EASINGS, e)) {
+        err(path, `unknown easing "${e}" (one of ${Object.keys(EASINGS).join(', ')})`);
+    }
+}
+
+function validateCard(c, path, err) {
+    if (!isObject(c)) { err(path, 'expected an object'); return; }
+    if (!isString(c.title)) err(`${path}.title`, 'expected a non-empty string');
+    if (c.desc !== undefined && typeof c.desc !== 'string') err(`${path}.desc`, 'expected a string');
+    if (c.align !== undefined && c.align !== 'left' && c.align !== 'right') err(`${path}.align`, 'expected "left" or "right"');
+    if (c.stats !== undefined) validateStats(c.stats, `${path}.stats`, err);
+    if (c.specs !== undefined) {
+        if (!Array.isArray(c.specs)) {
+            err(`${path}.specs`, 'expected an array of [name, value] pairs');
+        } else {
+            c.specs.forEach((row, i) => {
+                if (!Array.isArray(row) || row.length !== 2 || !row.every(v => typeof v === 'string')) {
+                    err(`${path}.specs[${i}]`, 'expected [name, value] strings');
+                }
+            });
+        }
+    }
+}
+
+function validateHero(h, path, err) {
+    if (!isObject(h)) { err(path, 'expected an object'); return; }
+    if (!Array.isArray(h.title) || h.title.length === 0) {
+        err(`${path}.title`, 'expected a non-empty array of { text, style }');
+    } else {
+        h.title.forEach((line, i) => {
+            if (!isObject(line) || !isString(line.text)) err(`${path}.title[${i}].text`, 'expected a non-empty string');
+            else if (line.style !== undefined && line.style !== 'accent' && line.style !== 'sub') {
+                err(`${path}.title[${i}].style`, 'expected "accent" or "sub"');
+            }
+        });
+    }
+    if (h.description !== undefined && typeof h.description !== 'string') err(`${path}.description`, 'expected a string');
+    if (h.stats !== undefined) validateStats(h.stats, `${path}.stats`, err);
+}
+
+function validateStats(stats, path, err) {
+    if (!Array.isArray(stats)) { err(path, 'expected an array of { value, label }'); return; }
+    stats.forEach((st, i) => {
+        if (!isObject(st) || typeof st.value !== 'string' || typeof st.label !== 'string') {
+            err(`${path}[${i}]`, 'expected { value, label } strings');
+        }
+    });
+}
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isString = v => typeof v === 'string' && v.length > 0;
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+const isVec3 = v => Array.isArray(v) && v.length === 3 && v.every(isNumber);
+const isColor = v => (Number.isInteger(v) && v >= 0 && v <= 0xffffff) || (typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v));
+const isUrlList = v => isString(v) || (Array.isArray(v) && v.length > 0 && v.every(isString));
+const isQuaternion = v => Array.isArray(v) && v.length === 4 && v.every(isNumber) && v.some(n => n !== 0);
+
+// ===== COMPILATION =====
+// Turns validated JSON into keyframes with THREE types and defaults filled in.
+export function compileTour(data) {
+    const cam = data.camera || {};
+    const camera = {
+        position: new THREE.Vector3().fromArray(cam.position || [0, 2, 20]),
+        target: new THREE.Vector3().fromArray(cam.target || [0, 0, 0]),
+        fov: cam.fov ?? 35
+    };
+    const sections = data.sections.map(s => {
+        const aircraft = {
+            position: new THREE.Vector3().fromArray(s.aircraft.position),
+            quaternion: s.aircraft.quaternion
+                ? new THREE.Quaternion().fromArray(s.aircraft.quaternion).normalize()
+                : new THREE.Quaternion().setFromEuler(new THREE.Euler().fromArray(s.aircraft.rotation)),
+            bezier: s.aircraft.bezier?.map(h => new THREE.Vector3().fromArray(h))
+        };
+        return {
+            ...s,
+            explode: s.explode ? { amount: s.explode.amount ?? DEFAULT_EXPLODE, axis: s.explode.axis || null } : null,
+            isolate: s.isolate || null,
+            aircraft,
+            camera: compileCamera(s.camera || {}, camera, aircraft),
+            ease: Array.isArray(s.easing) ? cubicBezierEasing(...s.easing) : EASINGS[s.easing || DEFAULT_EASING]
+        };
+    });
+    const loadout = data.loadout
+        ? { maxPayload: Infinity, emptyMass: 0, fuelMass: 0, maxTakeoffMass: Infinity, ...data.loadout }
+        : null;
+    return {
+        ...data, camera, path: data.path || 'catmullrom', sections, hotspots: data.hotspots || [], rig: data.rig || [],
+        loadout, stores: data.stores || {}, liveries: data.liveries || {},
+        compare: data.compare || []
+    };
+}
+
+function compileCamera(c, fallback, aircraft) {
+    // Aircraft-relative cameras are resolved against this section's keyframe pose
+    const toWorld = c.relativeTo === 'aircraft'
+        ? v => v.applyQuaternion(aircraft.quaternion).add(aircraft.position)
+        : v => v;
+    return {
+        position: c.position ? toWorld(new THREE.Vector3().fromArray(c.position)) : fallback.position.clone(),
+        target: c.target ? toWorld(new THREE.Vector3().fromArray(c.target)) : fallback.target.clone(),
+        fov: c.fov ?? fallback.fov,
+        blend: c.blend || 'orbit',
+        orbit: c.orbit ?? 0,
+        dolly: c.dolly ?? 0
+    };
+}
+
+// ===== DOM =====
+// Builds the scroll sections, nav links and section markers for a tour.
+// Clicking a link or marker calls onNavigate(sectionIndex). Both work from the
+// keyboard: the links are a row of anchors (left / right move between them) and
+// the markers one tab stop of buttons (up / down, Home / End go to a section).
+// A link also moves focus to its section, so reading carries on from there;
+// a marker keeps focus for the next step. setActiveSection() marks the current one.
+export function buildTourDOM(tour, { container, nav, markers }, onNavigate) {
+    container.replaceChildren();
+    nav.replaceChildren();
+    markers.replaceChildren();
+    nav.setAttribute('aria-label', 'Sections');
+    markers.setAttribute('role', 'group');
+    markers.setAttribute('aria-label', 'Section markers');
+
+    const sections = tour.sections.map((s, i) => {
+        const section = s.hero ? buildHeroSection(s) : buildCardSection(s, i);
+        section.tabIndex = -1;
+        section.setAttribute('aria-label', s.nav);
+        container.appendChild(section);
+
+        const link = el('a', 'nav-link', s.nav);
+        link.href = `#${s.id}`;
+        link.dataset.section = i;
+        link.addEventListener('click', e => {
+            e.preventDefault();
+            onNavigate(i);
+            section.focus({ preventScroll: true });
+        });
+        link.addEventListener('keydown', e => moveFocus(e, nav, { ArrowLeft: -1, ArrowRight: 1 }));
+        nav.appendChild(link);
+
+        const marker = el('button', 'section-marker');
+        marker.type = 'button';
+        marker.dataset.section = i;
+        marker.setAttribute('aria-label', `Go to ${s.nav}`);
+        marker.addEventListener('click', () => onNavigate(i));
+        marker.addEventListener('keydown', e => {
+            const next = moveFocus(e, markers, { ArrowUp: -1, ArrowDown: 1, ArrowLeft: -1, ArrowRight: 1 });
+            if (next) onNavigate(Number(next.dataset.section));
+        });
+        markers.appendChild(marker);
+        return section;
+    });
+    setActiveSection({ nav, markers }, 0);
+    if (tour.title) document.title = tour.title;
+    return sections;
+}
+
+// Current section for assistive technology; the markers' single tab stop follows it
+export function setActiveSection({ nav, markers }, index) {
+    nav.querySelectorAll('.nav-link').forEach((link, i) => {
+        if (i === index) link.setAttribute('aria-current', 'location');
+        else link.removeAttribute('aria-current');
+    });
+    markers.querySelectorAll('.section-marker').forEach((marker, i) => {
+        marker.tabIndex = i === index ? 0 : -1;
+        if (i === index) marker.setAttribute('aria-current', 'location');
+        else marker.removeAttribute('aria-current');
+    });
+}
+
+// Arrow keys (and Home / End) move focus within a row of links or markers; returns the newly
+// focused one. The key is kept from the window, where in flight mode the arrows fly the aircraft.
+function moveFocus(e, group, steps) {
+    const items = [...group.children];
+    const index = items.indexOf(e.currentTarget);
+    let next;
+    if (e.key === 'Home') next = 0;
+    else if (e.key === 'End') next = items.length - 1;
+    else if (steps[e.key]) next = Math.min(Math.max(index + steps[e.key], 0), items.length - 1);
+    else return null;
+    e.preventDefault();
+    e.stopPropagation();
+    if (next === index) return null;
+    items[next].focus();
+    return items[next];
+}
+
+function buildHeroSection(s) {
+    const section = el('section', 'content-section hero-section');
+    section.id = s.id;
+    const content = el('div', 'section-content');
+    const title = el('h1', 'hero-title');
+    s.hero.title.forEach(line => title.appendChild(el('span', `title-line${line.style ? ' ' + line.style : ''}`, line.text)));
+    content.appendChild(title);
+    if (s.hero.description) content.appendChild(el('p', 'hero-description', s.hero.description));
+    if (s.hero.stats?.length) {
+        const stats = el('div', 'hero-stats');
+        s.hero.stats.forEach((st, i) => {
+            if (i > 0) stats.appendChild(el('div', 'stat-divider'));
+            const item = el('div', 'stat-item');
+            item.append(el('span', 'stat-value', st.value), el('span', 'stat-label', st.label));
+            stats.appendChild(item);
+        });
+        content.appendChild(stats);
+    }
+    section.appendChild(content);
+    return section;
+}
+
+function buildCardSection(s, index) {
+    const { card } = s;
+    const section = el('section', card.specs ? 'content-section specs-section' : 'content-section');
+    section.id = s.id;
+    const content = el('div', card.specs ? 'section-content' : `section-content feature-content${card.align === 'right' ? ' right-align' : ''}`);
+    const node = el('div', 'feature-card');
+    const header = el('div', 'card-header');
+    header.append(el('span', 'card-number', String(index).padStart(2, '0')), el('div', 'card-line'));
+    node.append(header, el('h2', 'card-title', card.title));
+    if (card.desc) node.appendChild(el('p', 'card-desc', card.desc));
+    if (card.stats?.length) {
+        const stats = el('div', 'card-stats');
+        card.stats.forEach(st => {
+            const mini = el('div', 'mini-stat');
+            mini.append(el('span', 'mini-value', st.value), el('span', 'mini-label', st.label));
+            stats.appendChild(mini);
+        });
+        node.appendChild(stats);
+    }
+    if (card.specs?.length) {
+        const specs = el('div', 'specs-mini');
+        card.specs.forEach(([name, value]) => {
+            const row = el('div', 'spec-mini-row');
+            row.append(el('span', null, name), el('span', null, value));
+            specs.appendChild(row);
+        });
+        node.appendChild(specs);
+    }
+    content.appendChild(node);
+    section.appendChild(content);
+    return section;
+}
+
+function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+}
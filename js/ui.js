@@ -0,0 +1,78 @@
+// ===== PAGE CHROME =====
+// The page's own controls sit above the canvas. Pointer, wheel and click
+// handlers on the window (hotspot picking, drag-to-orbit, pinch zoom) leave
+// events that land on any of these alone.
+
+const UI_SELECTOR = [
+    'a', 'button', 'input', 'select', 'textarea',
+    '.feature-card', '.hero-stats', '.nav-bar', '.hotspot-marker',
+    '#viewer-tools', '#presenter-status',
+    '.loadout-panel', '.livery-panel', '.compare-panel', '.export-panel'
+].join(', ');
+
+export function isUiTarget(target) {
+    return target instanceof Element && !!target.closest(UI_SELECTOR);
+}
+
+// ===== PANELS =====
+// The side panels (loadout, livery, comparison, export) are built from these
+// pieces; their look is the PANELS section of styles.css.
+
+// A hidden dialog, opened from the viewer tools; kind names its own class (e.g. "loadout")
+export function createPanel(kind, label) {
+    const panel = el('div', `panel ${kind}-panel`);
+    panel.id = `${kind}-panel`;
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', label);
+    panel.hidden = true;
+    return panel;
+}
+
+export function panelHeader(title, closeLabel, onClose) {
+    const header = el('div', 'panel-header');
+    const close = el('button', 'panel-close', '×');
+    close.setAttribute('aria-label', closeLabel);
+    close.addEventListener('click', onClose);
+    header.append(el('span', 'panel-title', title), close);
+    return header;
+}
+
+// Errors and results under the controls
+export function panelMessage() {
+    const message = el('div', 'panel-message');
+    message.setAttribute('role', 'status');
+    return message;
+}
+
+export function row(label, control) {
+    const node = el('label', 'panel-row');
+    node.append(el('span', 'panel-label', label), control);
+    return node;
+}
+
+export function section(label) {
+    return el('div', 'panel-section', label);
+}
+
+export function button(label, onClick) {
+    const btn = el('button', 'panel-btn', label);
+    btn.type = 'button';
+    btn.addEventListener('click', onClick);
+    return btn;
+}
+
+export function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+}
+
+export function downloadBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
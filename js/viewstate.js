@@ -0,0 +1,101 @@
+import { encodeLoadoutParam, decodeLoadoutParam } from './loadout.js';
+
+// ===== VIEW STATE =====
+// What the page is showing, as a URL hash, so any view can be linked to and a
+// presenter can hand it to followers:
+//
+//   #section=3&blend=0.42&view=0.1,-0.6,0,1.3&explode=0.5&axis=0,1,0&hotspot=cockpit&isolate=hotspot&loadout=1_r73.12_r73
+//
+//   section    section index
+//   blend      0..1, progress from that section towards the next
+//   view       direct-control pitch, yaw and roll (radians) and zoom
+//   explode    explode amount (0..3), with axis its optional non-zero direction
+//   hotspot    selected hotspot id
+//   isolate    "hotspot" (the selected one's parts), "section" (the section's own) or "none"
+//   loadout    pylon_store entries, as ?loadout= (empty for a bare aircraft)
+//
+// A missing key leaves that part to the section: its own pose, explode and
+// isolation, no selection, the loadout already on the aircraft.
+
+const ISOLATE = ['hotspot', 'section', 'none'];
+const BLEND_DIGITS = 4;
+const ANGLE_DIGITS = 3;
+const MAX_EXPLODE = 3;              // well past any section's; a link can't fling the parts off screen
+
+export class ViewStateError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'ViewStateError';
+        this.reason = reason;
+    }
+}
+
+// state: { section, blend, view?, explode?, hotspot?, isolate?, loadout? }; returns the hash without '#'
+export function encodeViewState(state) {
+    const params = new URLSearchParams();
+    params.set('section', String(state.section));
+    params.set('blend', round(state.blend, BLEND_DIGITS));
+    if (state.view) {
+        const { pitch, yaw, roll, zoom } = state.view;
+        params.set('view', [pitch, yaw, roll, zoom].map(v => round(v, ANGLE_DIGITS)).join(','));
+    }
+    if (state.explode) {
+        params.set('explode', round(state.explode.amount, ANGLE_DIGITS));
+        if (state.explode.axis) params.set('axis', state.explode.axis.map(v => round(v, ANGLE_DIGITS)).join(','));
+    }
+    if (state.hotspot) params.set('hotspot', state.hotspot);
+    if (state.isolate) params.set('isolate', state.isolate);
+    if (state.loadout) params.set('loadout', encodeLoadoutParam(state.loadout));
+    // Keeps the separators readable in the address bar
+    return params.toString().replace(/%2C/g, ',');
+}
+
+// Throws ViewStateError on a key it can't read; unknown keys are ignored
+export function decodeViewState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('section')) return null;
+    const state = {
+        section: integer(params.get('section'), 'section'),
+        blend: params.has('blend') ? numbers(params.get('blend'), 1, 'blend')[0] : 0
+    };
+    if (state.blend < 0 || state.blend > 1) throw new ViewStateError('format', 'Link "blend" must be between 0 and 1');
+    if (params.has('view')) {
+        const [pitch, yaw, roll, zoom] = numbers(params.get('view'), 4, 'view');
+        state.view = { pitch, yaw, roll, zoom };
+    }
+    if (params.has('explode')) {
+        state.explode = {
+            amount: numbers(params.get('explode'), 1, 'explode')[0],
+            axis: params.has('axis') ? numbers(params.get('axis'), 3, 'axis') : null
+        };
+        if (state.explode.amount < 0 || state.explode.amount > MAX_EXPLODE) {
+            throw new ViewStateError('format', `Link "explode" must be between 0 and ${MAX_EXPLODE}`);
+        }
+        if (state.explode.axis?.every(v => v === 0)) throw new ViewStateError('format', 'Link "axis" must be a non-zero direction');
+    }
+    if (params.get('hotspot')) state.hotspot = params.get('hotspot');
+    if (params.has('isolate')) {
+        state.isolate = params.get('isolate');
+        if (!ISOLATE.includes(state.isolate)) throw new ViewStateError('format', `Link "isolate" must be one of ${ISOLATE.join(', ')}`);
+    }
+    if (params.has('loadout')) state.loadout = decodeLoadoutParam(params.get('loadout'));
+    return state;
+}
+
+function integer(text, key) {
+    const value = Number(text);
+    if (!Number.isInteger(value) || value < 0) throw new ViewStateError('format', `Link "${key}" must be a section index`);
+    return value;
+}
+
+function numbers(text, count, key) {
+    const values = text.split(',').map(Number);
+    if (values.length !== count || !values.every(Number.isFinite)) {
+        throw new ViewStateError('format', `Link "${key}" must be ${count === 1 ? 'a number' : `${count} comma-separated numbers`}`);
+    }
+    return values;
+}
+
+function round(value, digits) {
+    return String(Number(value.toFixed(digits)));
+}
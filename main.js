@@ -1,23 +1,72 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { loadTour, buildTourDOM, setActiveSection, DEFAULT_EXPLODE } from './js/tour.js';
+import { createPoseTrack, createCameraTrack } from './js/pose.js';
+import { setupHotspots, updateHotspots, getHotspots, getSelectedHotspot, selectHotspot, getHotspotWorldPosition } from './js/hotspots.js';
+import { setupRig, updateRig, setRigThrottle, setRigCommand } from './js/rig.js';
+import { setupExplode, setExplode, getExplode, setIsolation, updateExplode, findMeshes, isExploded, isIsolated } from './js/explode.js';
+import { createLoadingTracker, loadGLTF, loadFirstAvailable } from './js/loading.js';
+import { setupPostFX, setBloomTargets, setPostQuality, setPostEffectEnabled, isPostEffectEnabled, resizePostFX, updatePostFX, renderPostFX } from './js/postfx.js';
+import { setupBackgrounds, setBackgroundDefinitions, preloadBackgrounds, setBackground, updateBackgrounds, BACKGROUND_CYCLE } from './js/backgrounds.js';
+import { loadHands, startCamera } from './js/handtracking.js';
+import { createHandRecorder, createHandPlayback, loadRecording, downloadRecording } from './js/handrecording.js';
+import {
+    setupInput, updateInput, rotateInput, setInputZoom, setInputOffset, getInputZoom, resetInput, releaseInput,
+    holdInput, getInputRotation, getInputState, setInputMode, getFlightStick, setFlightStick, setFlightThrottle
+} from './js/input.js';
+import { onGesture, processHandResults, resetGestures, calibrateHands, cancelHandCalibration } from './js/gestures.js';
+import {
+    setupLighting, setLightingPresets, setLightingPreset, setLightingSubject, setShadowGroundVisible, updateLighting, DEFAULT_LIGHTING
+} from './js/lighting.js';
+import { setupFlight, startFlight, stopFlight, resetFlight, isFlying, updateFlight } from './js/flight.js';
+import { FLIGHT_START, speedOfSound } from './js/flightmodel.js';
+import { setupLoadout, hasLoadout, getLoadout, applyLoadout, encodeLoadoutParam, decodeLoadoutParam } from './js/loadout.js';
+import { createLoadoutPanel, setLoadoutPanelOpen, isLoadoutPanelOpen, refreshLoadoutPanel, reportSkipped } from './js/loadoutpanel.js';
+import { setupLivery, hasLivery, applyLivery, liveryPresets, DEFAULT_LIVERY } from './js/livery.js';
+import { createLiveryPanel, setLiveryPanelOpen, isLiveryPanelOpen, refreshLiveryPanel, reportLiverySkipped, showLiveryMessage } from './js/liverypanel.js';
+import {
+    loadAircraftMetadata, parseAircraftMetadata, createAircraftInstance, disposeAircraftInstance, setInstanceGhosted,
+    layoutFleet, COMPARE_COLORS, MAX_FLEET
+} from './js/aircraft.js';
+import {
+    createComparePanel, setComparePanelOpen, isComparePanelOpen, refreshComparePanel, showCompareMessage, createSpecTable
+} from './js/comparepanel.js';
+import { encodeViewState, decodeViewState } from './js/viewstate.js';
+import { createPresenterLink, PRESENTER_ROLES } from './js/presenter.js';
+import {
+    setupHUD, resizeHUD, drawHUD, setHUDTheme, setHUDVisible, isHUDVisible, resetHUDMaxG, createMotionSampler, DEFAULT_HUD_THEME
+} from './js/hud.js';
+import {
+    detectGpuTier, measureFrameTime, adjustTierForFrameTime, setupQuality, updateQuality,
+    getQualityLevel, setQualityLevel, selectVariantUrls, configureCompression, QUALITY_LEVELS
+} from './js/quality.js';
+import { createTileRenderer, createFrameSink, canvasToPNG, CaptureError } from './js/capture.js';
+import { createExportPanel, setExportPanelOpen, isExportPanelOpen, setExportBusy, showExportMessage } from './js/exportpanel.js';
+import { prefersReducedMotion, watchReducedMotion, setupAnnouncer, announce, describeSection, hasWebGL } from './js/accessibility.js';
+import { downloadBlob } from './js/ui.js';
 
 // ===== CONFIGURATION =====
 const CONFIG = {
     modelPath: './assets/scene.gltf',
-    
-    // FIXED CAMERA - Never changes! Just adjust aircraft values below.
-    fixedCamera: {
-        position: new THREE.Vector3(0, 2, 20),  // Camera location (x, y, z)
-        target: new THREE.Vector3(0, 0, 0),     // Camera looks at origin
-        fov: 35                                  // Field of view (lower = more zoom)
+    // Tried in order when the tour's model (or modelPath) fails to load
+    modelFallbacks: ['./sukhoi3d/source/scene.gltf'],
+    // Decoders for Draco geometry and KTX2 (Basis) textures, fetched on first use
+    // from the same three.js copy js/runtime.js picked for the import map
+    decoders: {
+        draco: `${window.RUNTIME.three}examples/jsm/libs/draco/gltf/`,
+        basis: `${window.RUNTIME.three}examples/jsm/libs/basis/`
     },
-    
+    // Render quality steps down when animate() stays below this
+    targetFps: 50,
+    // Post-processing passes (each is also scaled or dropped by render quality)
+    postfx: { bloom: true, dof: true, motionBlur: true, aa: true },
+
     // ============================================================
-    // AIRCRAFT POSITIONS - Only modify these values!
+    // TOUR - Section content, aircraft and camera poses live in JSON.
+    // Override with ?tour=path/to/tour.json to load another tour.
     // ============================================================
-    // position: (x, y, z) = (right/left, up/down, close/far)
-    // rotation: (rx, ry, rz) = (pitch, yaw, roll) in radians
+    // position: [x, y, z] = [right/left, up/down, close/far]
+    // rotation: [rx, ry, rz] = [pitch, yaw, roll] in radians
     //
     // ROTATION GUIDE:
     //   ry = 0      → Front view
@@ -29,84 +78,122 @@ const CONFIG = {
     //   rz = 0.3    → Roll right (bank)
     //   rz = -0.3   → Roll left (bank)
     // ============================================================
-    
-    aircraftPositions: [
-        // Section 0: HERO - Front view, centered
-        { position: new THREE.Vector3(10, 0, 0), rotation: new THREE.Vector3(1.57, 0, 0) },
-        
-        // Section 1: OVERVIEW - Slight angle, show left side
-        { position: new THREE.Vector3(-2, 0, 3), rotation: new THREE.Vector3(0.6, 3.14, -0.1) },
-        
-        // Section 2: PROPULSION - Show rear/engines, from right
-        { position: new THREE.Vector3(-2, 0, 0), rotation: new THREE.Vector3(0, 1.5, -0.1) },
-        
-        // Section 3: AVIONICS - Show nose/cockpit from left
-        { position: new THREE.Vector3(0, 0, 8), rotation: new THREE.Vector3(0.3, 2.6, -0.15) },
-        
-        // Section 4: WEAPONS - Show bottom/underside
-        { position: new THREE.Vector3(0, -3, 0), rotation: new THREE.Vector3(-1.5, 0.4, 0.2) },
-        
-        // Section 5: STEALTH - Show top view
-        { position: new THREE.Vector3(1, -1, 4), rotation: new THREE.Vector3(0.7, -0.6, -0.1) },
-        
-        // Section 6: SPECS - Full rear view
-        { position: new THREE.Vector3(0, -2, 0), rotation: new THREE.Vector3(0.5, 2.9, -0.5) }
-    ]
+    tourPath: './tours/su35.json',
+
+    // Hand control can replay a recorded landmark stream instead of the webcam:
+    //   ?handReplay=path/to/recording.json            plays (looping) as soon as it loads
+    //   ?handReplay=path/to/recording.json&headless   plays once on a fixed 1/60s timestep and
+    //                                                 exposes window.handReplay for test runners
+    headlessStep: 1 / 60
 };
 
 // ===== GLOBAL VARIABLES =====
 let scene, camera, renderer, controls;
-let aircraft = null;
-let mixer = null;
+let tour = null;
+let poseTrack = null;
+let cameraTrack = null;
+let fleet = [];                 // aircraft instances (see aircraft.js), the tour's own first
+let primary = null;             // fleet[0]: the aircraft the viewer tools, hotspots and flight act on
+let primaryMeta = null;
+let compareCatalog = [];        // metadata of the aircraft the tour offers for comparison
+let compareLayout = 'side';     // or 'overlay'
+const compareLoading = new Set();   // ids of comparison aircraft still loading
+let isolatedBy = null;          // 'section' or 'hotspot' while parts are isolated
 let clock = new THREE.Clock();
 let scrollProgress = 0;
+let lastScrollProgress = 0; // for the scroll speed that drives motion blur
 let currentSection = 0;
 let targetCameraPosition = new THREE.Vector3();
 let targetCameraTarget = new THREE.Vector3();
+let targetCameraFov = 35;
+// The scroll pose every instance eases towards, each shifted by its place in the comparison layout
 let targetAircraftPosition = new THREE.Vector3();
-let targetAircraftRotation = new THREE.Vector3();
-let loadingProgress = 0;
+let targetAircraftQuaternion = new THREE.Quaternion();
+const tmpPosition = new THREE.Vector3();
+const tmpEuler = new THREE.Euler();
+const tmpQuaternion = new THREE.Quaternion();
+const targetQuaternion = new THREE.Quaternion();
+const focusPoint = new THREE.Vector3();
+let loadingTracker = null; // progress across every asset the page fetches
+let deviceTier = null;     // 0-3, settled by a frame-time probe before the model loads
+let modesSection = -1; // section whose explode/isolate config is applied
 
 // MediaPipe Hand Control
 let handControlEnabled = false;
-let handPosition = { x: 0.5, y: 0.5, z: 0 };
-let handRotation = { x: 0, y: 0, z: 0 };
-let handZoom = 1.0; // Zoom level controlled by hand open/close
+let spreadStartZoom = 1.0;
+let handStatus = '';                // gesture in progress, shown under the preview
+let handStatusFlashUntil = 0;
+const GRAB_ROTATE_SPEED = Math.PI * 2; // radians per screen width
+const inputQuaternion = new THREE.Quaternion();
 let hands = null;
 let videoElement = null;
 let handCanvas = null;
 let handCtx = null;
-let isHandDetected = false;
+let handRecorder = null;
+let handPlayback = null;        // replaces the webcam when replaying a recording
+const urlParams = new URLSearchParams(window.location.search);
+const headless = urlParams.has('headless');
+let sceneTime = 0;              // seconds of scene time, see stepScene()
+
+// Backgrounds
+let flightMach = 0;             // displayed speed, also streams the sky-mode terrain
+const SPEED_PER_MACH = 30;      // scene units per second
+
+// Deep links and presenter mode (see viewstate.js, presenter.js)
+let presenter = null;
+let viewHash = '';              // view state at the last check, as sent to followers
+let linkedHash = '';            // view state last written to the address bar
+let pendingViewHash = null;     // arrived before the model did
+let linkCheckTime = 0;
+let linkSettleTime = 0;
+const LINK_INTERVAL = 0.1;      // seconds between view state checks
+const LINK_SETTLE = 1;          // seconds the view must hold before the address bar follows
+const DEFAULT_PRESENTER_ROOM = 'briefing';
+
+// Export
+let exporting = null;           // { cancelled } while an export has the renderer
+const SETTLE_TIME = 10;         // seconds of easing that bring explode, lighting and focus to rest
+
+// Accessibility
+let reducedMotion = false;      // prefers-reduced-motion: no wobble, motion blur or easing overshoot
+let announcedSection = -1;      // card last read out by the live region
+let tourDOM = null;             // { nav, markers } built from the tour
 
-// Parallax Background
-let currentBgIndex = 0;
-let lastBgIndex = -1;
-let bgLayers = [];
-let parallaxOffset = { x: 0, y: 0 };
-const NUM_BACKGROUNDS = 4; // alps, desert, fields, forest
+// HUD
+const TOUR_CEILING_FT = 59000;  // where the tour's default climb ends...
+const TOUR_MAX_MACH = 2.25;     // ...and how fast it gets
+let tourReadout = null;         // altitude and speed at the current scroll position
+const motionSampler = createMotionSampler();
+
+// Flight mode
+const FLIGHT_FOV = 55;
+const HAND_STICK_TRAVEL = 0.15; // screen fraction of grab movement for full stick
+const handStick = { x: 0, y: 0 };
+let spreadStartThrottle = 0;
 
 // ===== INITIALIZATION =====
 function init() {
+    setReducedMotion(prefersReducedMotion());
+    watchReducedMotion(setReducedMotion);
+    setupAnnouncer();
+    if (!hasWebGL()) {
+        initTextOnly();
+        return;
+    }
     scene = new THREE.Scene();
-    camera = new THREE.PerspectiveCamera(CONFIG.fixedCamera.fov, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.copy(CONFIG.fixedCamera.position);
-    
-    // Initialize targets to fixed camera values
-    targetCameraPosition.copy(CONFIG.fixedCamera.position);
-    targetCameraTarget.copy(CONFIG.fixedCamera.target);
-    
-    // Initialize aircraft to hero position (section 0)
-    targetAircraftPosition.copy(CONFIG.aircraftPositions[0].position);
-    targetAircraftRotation.copy(CONFIG.aircraftPositions[0].rotation);
-
-    renderer = new THREE.WebGLRenderer({
-        canvas: document.getElementById('webgl-canvas'),
-        antialias: true,
-        alpha: true
-    });
+    camera = new THREE.PerspectiveCamera(35, window.innerWidth / window.innerHeight, 0.1, 1000);
+
+    try {
+        renderer = new THREE.WebGLRenderer({
+            canvas: document.getElementById('webgl-canvas'),
+            antialias: true,
+            alpha: true
+        });
+    } catch (e) {
+        initTextOnly(e);
+        return;
+    }
     renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    renderer.shadowMap.enabled = true;
     renderer.toneMapping = THREE.ACESFilmicToneMapping;
     renderer.toneMappingExposure = 1.2;
     renderer.outputColorSpace = THREE.SRGBColorSpace;
@@ -116,160 +203,216 @@ function init() {
     controls.dampingFactor = 0.05;
     controls.enabled = false;
 
+    loadingTracker = createLoadingTracker(updateLoadingProgress);
     createBlueBackground();
     createLighting();
-    loadModel();
+    setupPostFX(renderer, scene, camera, CONFIG.postfx);
+    applyMotionPreference();
+    setupQuality(renderer, { tier: detectGpuTier(renderer).tier, targetFps: CONFIG.targetFps, onChange: applyQuality });
     setupHandControlUI();
-    setupParallaxBackgrounds();
+    setupGestureHandlers();
+    setupViewerTools();
+    setupHUDUI();
+    setupFlight(scene, camera);
+    setupFlightUI();
+    setupInput({
+        viewer: renderer.domElement, stepSection, goToSection: scrollToSection, resetFlight: restartFlight, exitFlight: () => setFlightMode(false), toggleHUD
+    });
+    setupBackgrounds(document.getElementById('parallax-bg'), scene, { tracker: loadingTracker });
 
     window.addEventListener('resize', onWindowResize);
     window.addEventListener('scroll', onScroll);
+    // The hash carries the scroll position (see DEEP LINKS), so the browser shouldn't restore its own
+    history.scrollRestoration = 'manual';
+    window.addEventListener('hashchange', () => restoreViewState(window.location.hash));
     document.body.style.overflowY = 'auto';
-    
+    setupPresenter();
+
+    loadAssets();
     animate();
 }
 
+function getTourUrl() {
+    return urlParams.get('tour') || CONFIG.tourPath;
+}
+
+async function loadAssets() {
+    try {
+        if (!tour) applyTour(await loadTour(getTourUrl()));
+    } catch (e) {
+        showLoadingError('INVALID TOUR', e, loadAssets);
+        return;
+    }
+    if (!primaryMeta) primaryMeta = await loadPrimaryMetadata();
+    loadModel();
+}
+
+// The tour's "aircraft" metadata gives the spec table its values and the
+// comparison its scale; without it the tour's title and loadout scale stand in
+async function loadPrimaryMetadata() {
+    const fallback = parseAircraftMetadata({
+        id: tour.id || 'aircraft',
+        name: tour.title || 'AIRCRAFT',
+        model: tour.model || CONFIG.modelPath,
+        unitsPerMetre: tour.loadout?.scale ?? 1
+    }, 'tour');
+    if (!tour.aircraft) return fallback;
+    try {
+        return await loadAircraftMetadata(tour.aircraft);
+    } catch (e) {
+        console.warn('Aircraft metadata failed, using the tour\'s', e);
+        return fallback;
+    }
+}
+
+function applyTour(t) {
+    tour = t;
+    setLightingPresets(tour.lightingPresets);
+    setBloomTargets(tour.bloom);
+    setBackgroundDefinitions(tour.backgrounds);
+    preloadBackgrounds(tour.sections.map((s, i) => getSectionBackground(i)));
+    poseTrack = createPoseTrack(tour.sections, tour.path);
+    cameraTrack = createCameraTrack(tour.sections);
+    buildTourElements();
+
+    // Start at the hero pose (section 0)
+    const first = tour.sections[0];
+    camera.position.copy(first.camera.position);
+    camera.fov = getAspectFov(first.camera.fov);
+    camera.updateProjectionMatrix();
+    targetCameraPosition.copy(first.camera.position);
+    targetCameraTarget.copy(first.camera.target);
+    targetCameraFov = first.camera.fov;
+    controls.target.copy(first.camera.target);
+    targetAircraftPosition.copy(first.aircraft.position);
+    targetAircraftQuaternion.copy(first.aircraft.quaternion);
+    onScroll();
+}
+
 function createBlueBackground() {
     // Transparent background - let parallax images show through
     scene.background = null;
     renderer.setClearColor(0x000000, 0);
 }
 
-function setupParallaxBackgrounds() {
-    bgLayers = document.querySelectorAll('.bg-layer');
-    
-    // Activate first background
-    if (bgLayers.length > 0) {
-        bgLayers[0].classList.add('active');
-        currentBgIndex = 0;
+// Lights flagged with userData.shadowCaster only cast shadows on quality levels that allow it
+function applyQuality(quality) {
+    setPostQuality(quality.name);
+    if (renderer.shadowMap.enabled !== quality.shadows) {
+        renderer.shadowMap.enabled = quality.shadows;
+        // Shadow support is compiled into the shaders
+        scene.traverse((obj) => { [].concat(obj.material || []).forEach(m => { m.needsUpdate = true; }); });
     }
-    
-    // Add mouse move parallax effect
-    document.addEventListener('mousemove', (e) => {
-        const centerX = window.innerWidth / 2;
-        const centerY = window.innerHeight / 2;
-        parallaxOffset.x = (e.clientX - centerX) / centerX * 20;
-        parallaxOffset.y = (e.clientY - centerY) / centerY * 20;
+    scene.traverse((obj) => {
+        if (!obj.isLight || !obj.userData.shadowCaster) return;
+        obj.castShadow = quality.shadows;
+        if (obj.shadow.mapSize.x !== quality.shadowMapSize) {
+            obj.shadow.mapSize.set(quality.shadowMapSize, quality.shadowMapSize);
+            obj.shadow.map?.dispose();
+            obj.shadow.map = null;
+        }
     });
 }
 
-function updateParallaxBackground(sectionIndex) {
-    // Loop through 4 backgrounds for 7 sections
-    const newBgIndex = sectionIndex % NUM_BACKGROUNDS;
-    
-    if (newBgIndex !== currentBgIndex) {
-        const motionBlur = document.getElementById('motion-blur-overlay');
-        
-        // Add motion blur effect
-        if (motionBlur) {
-            motionBlur.classList.remove('active');
-            void motionBlur.offsetWidth; // Force reflow
-            motionBlur.classList.add('active');
-        }
-        
-        // Add transitioning blur to current bg
-        bgLayers.forEach((layer, i) => {
-            if (i === currentBgIndex) {
-                layer.classList.add('transitioning');
+function createLighting() {
+    setupLighting(renderer, scene, { tracker: loadingTracker });
+}
+
+async function loadModel() {
+    if (deviceTier === null) {
+        const { tier } = detectGpuTier(renderer);
+        deviceTier = adjustTierForFrameTime(tier, await measureFrameTime(), CONFIG.targetFps);
+        setQualityLevel(deviceTier);
+    }
+    const preferred = tour.variants ? selectVariantUrls(tour.variants, deviceTier) : [];
+    const urls = [...new Set([...preferred, ...[].concat(tour.model || CONFIG.modelPath), ...CONFIG.modelFallbacks])];
+    let gltf;
+    try {
+        gltf = await loadFirstAvailable(urls, async (url) => {
+            // A failed source drops out of the progress so its fallback starts clean
+            const attempt = loadingTracker.group();
+            try {
+                return await loadGLTF(url, attempt, loader => configureCompression(loader, CONFIG.decoders));
+            } catch (e) {
+                attempt.discard();
+                throw e;
             }
-        });
-        
-        // Transition backgrounds
-        setTimeout(() => {
-            bgLayers.forEach((layer, i) => {
-                layer.classList.remove('active', 'transitioning');
-                if (i === newBgIndex) {
-                    layer.classList.add('active');
-                }
-            });
-        }, 150);
-        
-        currentBgIndex = newBgIndex;
+        }, (url) => setLoadingStatus(`${url.split('/').pop()} FAILED - TRYING FALLBACK...`));
+    } catch (e) {
+        showLoadingError('MODEL FAILED TO LOAD', e, loadModel);
+        return;
     }
-    
-    // Apply parallax offset to active background
-    bgLayers.forEach((layer, i) => {
-        if (layer.classList.contains('active')) {
-            const scrollOffset = scrollProgress * 30;
-            layer.style.transform = `scale(1.1) translate(${parallaxOffset.x}px, ${parallaxOffset.y + scrollOffset}px)`;
-        }
+
+    primary = createAircraftInstance(primaryMeta, gltf);
+    fleet = [primary];
+    scene.add(primary.object);
+
+    // Set initial position to hero (section 0) immediately
+    primary.object.position.copy(tour.sections[0].aircraft.position);
+    primary.object.quaternion.copy(tour.sections[0].aircraft.quaternion);
+    onModelLoaded();
+    completeLoading();
+}
+
+function onModelLoaded() {
+    // The rig splits control surfaces into their own meshes, so it goes first
+    const aircraft = primary.object;
+    setupRig(aircraft, tour.rig);
+    setupExplode(aircraft);
+    setLightingSubject(aircraft);
+    // Clicking a hotspot opens the feature card of its section
+    setupHotspots(camera, aircraft, tour.hotspots, (hotspot) => {
+        if (hotspot) scrollToSection(tour.sections.findIndex(s => s.id === hotspot.section));
+        updateViewerTools();
     });
+    if (tour.loadout) setupLoadoutUI();
+    setupLiveryUI();
+    setupCompareUI();
+    setupExportUI();
+    modesSection = -1;
+    onScroll();
+    restoreViewState(pendingViewHash ?? window.location.hash);
+    pendingViewHash = null;
 }
 
-function createLighting() {
-    scene.add(new THREE.AmbientLight(0x4488ff, 0.4));
-    const mainLight = new THREE.DirectionalLight(0xffffff, 1.2);
-    mainLight.position.set(50, 50, 50);
-    scene.add(mainLight);
-    const fillLight = new THREE.DirectionalLight(0x4488ff, 0.6);
-    fillLight.position.set(-50, 30, -50);
-    scene.add(fillLight);
-    const rimLight = new THREE.DirectionalLight(0x00f0ff, 0.4);
-    rimLight.position.set(0, -20, -50);
-    scene.add(rimLight);
-}
-
-function loadModel() {
-    const loader = new GLTFLoader();
-    loader.load(CONFIG.modelPath, (gltf) => {
-        aircraft = gltf.scene;
-        aircraft.scale.set(1, 1, 1);
-        aircraft.traverse((child) => {
-            if (child.isMesh) {
-                child.castShadow = true;
-                child.receiveShadow = true;
-                if (child.material) {
-                    child.material.envMapIntensity = 1.5;
-                    child.material.needsUpdate = true;
-                }
-            }
-        });
-        scene.add(aircraft);
-        
-        // Set initial position to hero (section 0) immediately
-        aircraft.position.copy(CONFIG.aircraftPositions[0].position);
-        aircraft.rotation.set(
-            CONFIG.aircraftPositions[0].rotation.x,
-            CONFIG.aircraftPositions[0].rotation.y,
-            CONFIG.aircraftPositions[0].rotation.z
-        );
-        
-        if (gltf.animations?.length > 0) {
-            mixer = new THREE.AnimationMixer(aircraft);
-            gltf.animations.forEach(clip => mixer.clipAction(clip).play());
-        }
-        completeLoading();
-    }, (xhr) => {
-        loadingProgress = (xhr.loaded / xhr.total) * 100;
-        updateLoadingProgress(loadingProgress);
-    }, () => loadModelAlternative());
-}
-
-function loadModelAlternative() {
-    const loader = new GLTFLoader();
-    loader.load('./sukhoi3d/source/scene.gltf', (gltf) => {
-        aircraft = gltf.scene;
-        aircraft.scale.set(1, 1, 1);
-        aircraft.traverse(c => { if (c.isMesh) { c.castShadow = true; c.receiveShadow = true; }});
-        scene.add(aircraft);
-        
-        // Set initial position to hero (section 0) immediately
-        aircraft.position.copy(CONFIG.aircraftPositions[0].position);
-        aircraft.rotation.set(
-            CONFIG.aircraftPositions[0].rotation.x,
-            CONFIG.aircraftPositions[0].rotation.y,
-            CONFIG.aircraftPositions[0].rotation.z
-        );
-        
-        completeLoading();
-    }, (xhr) => updateLoadingProgress((xhr.loaded / xhr.total) * 100), () => completeLoading());
-}
-
-function updateLoadingProgress(progress) {
+function updateLoadingProgress(progress, item) {
     const fill = document.querySelector('.progress-fill');
     const percent = document.querySelector('.loading-percent');
     if (fill) fill.style.width = `${progress}%`;
     if (percent) percent.textContent = `${Math.round(progress)}%`;
+    if (item && !item.failed) setLoadingStatus(`LOADING ${item.name.toUpperCase()}...`);
+}
+
+function setLoadingStatus(text) {
+    const subtitle = document.querySelector('.loading-subtitle');
+    if (subtitle) subtitle.textContent = text;
+}
+
+// Keeps the loader up with the cause of the failure and a retry button
+function showLoadingError(title, error, retry) {
+    console.error(error);
+    setLoadingStatus(title);
+    document.getElementById('loader')?.classList.add('failed');
+    const text = document.querySelector('.loader-text');
+    text?.querySelector('.loading-error')?.remove();
+
+    const box = document.createElement('div');
+    box.className = 'loading-error';
+    const details = document.createElement('pre');
+    const causes = error instanceof AggregateError ? error.errors : [error];
+    details.textContent = causes.map(e => e.message).join('\n');
+    const button = document.createElement('button');
+    button.className = 'retry-btn';
+    button.textContent = 'RETRY';
+    button.addEventListener('click', () => {
+        box.remove();
+        document.getElementById('loader')?.classList.remove('failed');
+        setLoadingStatus('LOADING 3D MODEL...');
+        retry();
+    });
+    box.append(details, button);
+    text?.appendChild(box);
+    button.focus();
 }
 
 function completeLoading() {
@@ -280,6 +423,668 @@ function completeLoading() {
     }, 500);
 }
 
+// ===== VIEWER TOOLS =====
+function setupViewerTools() {
+    const tools = document.createElement('div');
+    tools.id = 'viewer-tools';
+    document.body.appendChild(tools);
+
+    addToolButton('explode-btn', 'EXPLODE', () => {
+        setExplode(isExploded() ? 0 : DEFAULT_EXPLODE);
+        updateViewerTools();
+    });
+    addToolButton('isolate-btn', 'ISOLATE', () => {
+        const hotspot = getSelectedHotspot();
+        setIsolation(isIsolated() || !hotspot ? null : hotspot.meshes);
+        isolatedBy = isIsolated() ? 'hotspot' : null;
+        updateViewerTools();
+    });
+    addToolButton('loadout-btn', 'LOADOUT', () => toggleSidePanel(setLoadoutPanelOpen, isLoadoutPanelOpen));
+    addToolButton('livery-btn', 'LIVERY', () => toggleSidePanel(setLiveryPanelOpen, isLiveryPanelOpen));
+    addToolButton('compare-btn', 'COMPARE', () => toggleSidePanel(setComparePanelOpen, isComparePanelOpen));
+    addToolButton('export-btn', 'EXPORT', () => toggleSidePanel(setExportPanelOpen, isExportPanelOpen));
+    addToolButton('fx-btn', 'FX', () => {
+        setPostEffectEnabled(null, !isPostEffectEnabled());
+        updateViewerTools();
+    });
+    updateViewerTools();
+}
+
+// The loadout, livery, compare and export panels share a spot, so opening one closes the others
+function toggleSidePanel(setOpen, isOpen) {
+    const open = !isOpen();
+    [setLoadoutPanelOpen, setLiveryPanelOpen, setComparePanelOpen, setExportPanelOpen].forEach(set => { if (set !== setOpen) set(false); });
+    setOpen(open);
+}
+
+function addToolButton(id, label, onClick) {
+    const btn = document.createElement('button');
+    btn.id = id;
+    btn.className = 'tool-btn';
+    btn.textContent = label;
+    btn.setAttribute('aria-pressed', 'false');
+    btn.addEventListener('click', onClick);
+    document.getElementById('viewer-tools').appendChild(btn);
+    return btn;
+}
+
+function updateViewerTools() {
+    const explodeBtn = document.getElementById('explode-btn');
+    const isolateBtn = document.getElementById('isolate-btn');
+    explodeBtn.setAttribute('aria-pressed', String(isExploded()));
+    isolateBtn.setAttribute('aria-pressed', String(isIsolated()));
+    document.getElementById('fx-btn').setAttribute('aria-pressed', String(isPostEffectEnabled()));
+    const loadoutBtn = document.getElementById('loadout-btn');
+    loadoutBtn.setAttribute('aria-pressed', String(isLoadoutPanelOpen()));
+    loadoutBtn.disabled = !hasLoadout();
+    const liveryBtn = document.getElementById('livery-btn');
+    liveryBtn.setAttribute('aria-pressed', String(isLiveryPanelOpen()));
+    liveryBtn.disabled = !hasLivery();
+    const compareBtn = document.getElementById('compare-btn');
+    compareBtn.setAttribute('aria-pressed', String(isComparePanelOpen()));
+    compareBtn.disabled = !primary;
+    const exportBtn = document.getElementById('export-btn');
+    exportBtn.setAttribute('aria-pressed', String(isExportPanelOpen()));
+    exportBtn.disabled = !primary;
+    // Anchor-only hotspots (pylons, ECM pods) have no meshes of their own to isolate
+    isolateBtn.disabled = !isIsolated() && !getSelectedHotspot()?.meshes.length;
+    isolateBtn.title = isolateBtn.disabled ? 'Select a part of the aircraft to isolate it' : '';
+}
+
+// Sections can explode the model or isolate parts; manual toggles last until the next section
+function applySectionModes(index) {
+    modesSection = index;
+    const section = tour.sections[index];
+    setLightingPreset(section.lighting || tour.lighting || DEFAULT_LIGHTING);
+    setHUDTheme(section.hud?.theme || tour.hud?.theme || DEFAULT_HUD_THEME);
+    if (!primary) return;
+    setExplode(section.explode?.amount ?? 0, section.explode?.axis);
+
+    let meshes = null;
+    if (section.isolate) {
+        meshes = findMeshes(section.isolate);
+        getHotspots().filter(h => section.isolate.includes(h.id)).forEach(h => meshes.push(...h.meshes));
+    }
+    setIsolation(meshes);
+    isolatedBy = isIsolated() ? 'section' : null;
+    updateViewerTools();
+}
+
+// ===== LOADOUT =====
+// Stores hang on the pylons the tour defines; ?loadout=1_r73.12_r73 preloads a shared loadout
+function setupLoadoutUI() {
+    setupLoadout(primary.object, tour.loadout, tour.stores, { tracker: loadingTracker, onChange: refreshLoadoutPanel });
+    createLoadoutPanel(tour.id, { onToggle: updateViewerTools });
+    if (!urlParams.has('loadout')) return;
+    try {
+        reportSkipped(applyLoadout(decodeLoadoutParam(urlParams.get('loadout'))), 'SHARED LOADOUT');
+    } catch (e) {
+        reportSkipped([e], 'SHARED LOADOUT');
+    }
+}
+
+// ===== LIVERY =====
+// Built-in schemes plus the tour's; the tour's "livery" is applied at load
+function setupLiveryUI() {
+    const presets = liveryPresets(tour.liveries);
+    const initial = tour.livery || DEFAULT_LIVERY;
+    setupLivery(primary.object, camera, { domElement: renderer.domElement, onChange: refreshLiveryPanel });
+    createLiveryPanel(tour.id, presets, { preset: initial, onToggle: updateViewerTools });
+    if (initial === DEFAULT_LIVERY) return;
+    const name = presets[initial].name;
+    applyLivery(presets[initial]).then(errors => reportLiverySkipped(errors, name), e => showLiveryMessage(`${name}: ${e.message}`));
+}
+
+// ===== COMPARISON =====
+// Extra aircraft from the tour's "compare" list (or a file) join the scene at
+// true relative scale and follow the same scroll pose
+async function setupCompareUI() {
+    createComparePanel({ onToggle: updateViewerTools, onAdd: addToFleet, onRemove: removeFromFleet, onLayout: setCompareLayout });
+    refreshCompare();
+    const results = await Promise.allSettled(tour.compare.map(loadAircraftMetadata));
+    compareCatalog = results.filter(r => r.status === 'fulfilled').map(r => r.value).filter(m => m.id !== primary.meta.id);
+    const failed = results.filter(r => r.status === 'rejected');
+    failed.forEach(r => console.warn(r.reason));
+    if (failed.length) showCompareMessage(`${failed.length} comparison aircraft could not be loaded`);
+    refreshCompare();
+}
+
+async function addToFleet(meta) {
+    const refused = fleet.some(i => i.id === meta.id) ? `${meta.name} is already shown`
+        : compareLoading.has(meta.id) ? `${meta.name} is still loading`
+        : fleet.length >= MAX_FLEET ? `Up to ${MAX_FLEET - 1} aircraft can be compared at once; remove one first` : '';
+    if (refused) {
+        releaseModelUrls(meta);
+        showCompareMessage(refused);
+        return;
+    }
+    compareLoading.add(meta.id);
+    refreshCompare();
+    try {
+        const gltf = await loadFirstAvailable([].concat(meta.model), async (url) => {
+            const attempt = loadingTracker.group();
+            try {
+                return await loadGLTF(url, attempt, loader => configureCompression(loader, CONFIG.decoders));
+            } catch (e) {
+                attempt.discard();
+                throw e;
+            }
+        });
+        const instance = createAircraftInstance(meta, gltf, primary.meta.unitsPerMetre);
+        instance.object.position.copy(primary.object.position);
+        instance.object.quaternion.copy(primary.object.quaternion);
+        instance.object.visible = !isFlying();
+        scene.add(instance.object);
+        fleet.push(instance);
+        showCompareMessage('');
+    } catch (e) {
+        console.error(e);
+        releaseModelUrls(meta);
+        showCompareMessage(`${meta.name}: ${e.message}`);
+    } finally {
+        compareLoading.delete(meta.id);
+        applyCompareLayout();
+    }
+}
+
+function removeFromFleet(id) {
+    const instance = fleet.find(i => i.id === id);
+    if (!instance || instance === primary) return;
+    fleet.splice(fleet.indexOf(instance), 1);
+    disposeAircraftInstance(instance);
+    releaseModelUrls(instance.meta);
+    applyCompareLayout();
+}
+
+// Files opened from disk load through blob URLs, held until the aircraft leaves
+// the fleet or is turned away
+function releaseModelUrls(meta) {
+    [].concat(meta.model).forEach(url => { if (url.startsWith('blob:')) URL.revokeObjectURL(url); });
+}
+
+function setCompareLayout(mode) {
+    compareLayout = mode;
+    applyCompareLayout();
+}
+
+// Overlaid aircraft are drawn see-through in their own colour over the tour's
+function applyCompareLayout() {
+    fleet.slice(1).forEach((instance, i) => setInstanceGhosted(instance, compareLayout === 'overlay' ? COMPARE_COLORS[i] : null));
+    refreshCompare();
+}
+
+function refreshCompare() {
+    refreshComparePanel({ catalog: compareCatalog, fleet: fleet.map(i => i.meta), layout: compareLayout, loading: compareLoading });
+    updateSpecComparison();
+    updateViewerTools();
+}
+
+// While comparing, the specs card shows the generated table instead of the tour's own rows
+function updateSpecComparison() {
+    const card = document.querySelector('.specs-section .feature-card');
+    if (!card) return;
+    card.querySelector('.compare-table')?.remove();
+    const comparing = fleet.length > 1;
+    card.querySelector('.specs-mini')?.toggleAttribute('hidden', comparing);
+    if (comparing) card.appendChild(createSpecTable(fleet.map(i => i.meta)));
+}
+
+// ===== DEEP LINKS =====
+// The address bar follows the view (section, blend, direct-control view,
+// explode / hotspot / isolation, loadout) and opening the link restores it.
+// Followers get every change; the address bar only a settled view, since
+// browsers throttle (and may refuse) frequent history updates.
+function updateViewLink(delta) {
+    linkCheckTime += delta;
+    linkSettleTime += delta;
+    if (linkCheckTime >= LINK_INTERVAL) {
+        linkCheckTime = 0;
+        const hash = encodeViewState(captureViewState());
+        if (hash !== viewHash) {
+            viewHash = hash;
+            linkSettleTime = 0;
+            presenter?.send(hash);
+        }
+    }
+    if (viewHash === linkedHash || linkSettleTime < LINK_SETTLE) return;
+    linkedHash = viewHash;
+    try {
+        history.replaceState(history.state, '', `#${viewHash}`);
+    } catch (e) {
+        // The link just lags behind; the next settled view tries again
+        console.warn(`View link: ${e.message}`);
+    }
+}
+
+// Explode and isolation are only recorded where they differ from the section's own
+function captureViewState() {
+    const total = tour.sections.length;
+    const section = tour.sections[currentSection];
+    const state = {
+        section: currentSection,
+        blend: currentSection < total - 1 ? scrollProgress * (total - 1) - currentSection : 0
+    };
+    const view = getInputState();
+    if (view.pitch || view.yaw || view.roll || view.zoom !== 1) state.view = view;
+
+    const explode = getExplode();
+    const sectionAxis = section.explode?.axis || null;
+    if (explode.amount !== (section.explode?.amount ?? 0) || String(explode.axis) !== String(sectionAxis)) state.explode = explode;
+    const isolate = isolatedBy || 'none';
+    if (isolate !== (section.isolate ? 'section' : 'none')) state.isolate = isolate;
+    state.hotspot = getSelectedHotspot()?.id;
+    if (hasLoadout()) state.loadout = getLoadout();
+    return state;
+}
+
+// source: 'link' for the address bar, 'presenter' for a followed presenter
+function restoreViewState(hash, source = 'link') {
+    if (!tour || isFlying() || exporting || hash.replace(/^#/, '') === viewHash) return;
+    if (!primary) {
+        pendingViewHash = hash;
+        return;
+    }
+    let state;
+    try {
+        state = decodeViewState(hash);
+    } catch (e) {
+        console.warn(`View link: ${e.message}`);
+        return;
+    }
+    if (state) applyViewState(state, source);
+}
+
+function applyViewState(state, source) {
+    const total = tour.sections.length;
+    const section = Math.min(state.section, total - 1);
+    const progress = total > 1 ? (section + (section < total - 1 ? state.blend : 0)) / (total - 1) : 0;
+    window.scrollTo({ top: progress * (document.documentElement.scrollHeight - window.innerHeight), behavior: 'instant' });
+    onScroll();
+    applySectionModes(currentSection);
+
+    // A linked view holds until the next section; a presenter's for as long as it's followed
+    if (state.view) {
+        setInputOffset(state.view, source);
+        holdInput(source, true);
+    } else {
+        resetInput();
+    }
+    if (state.explode) setExplode(state.explode.amount, state.explode.axis);
+    const hotspot = getHotspots().find(h => h.id === state.hotspot) || null;
+    selectHotspot(hotspot, false);
+    if (state.isolate === 'none' || (state.isolate === 'hotspot' && !hotspot)) {
+        setIsolation(null);
+        isolatedBy = null;
+    } else if (state.isolate === 'hotspot') {
+        setIsolation(hotspot.meshes);
+        isolatedBy = isIsolated() ? 'hotspot' : null;
+    }
+    if (state.loadout && hasLoadout() && encodeLoadoutParam(state.loadout) !== encodeLoadoutParam(getLoadout())) {
+        reportSkipped(applyLoadout(state.loadout), 'LINKED LOADOUT');
+    }
+    updateViewerTools();
+}
+
+// ===== PRESENTER =====
+// ?present=room drives every page opened with ?follow=room: BroadcastChannel
+// across tabs, or with &relay=ws://host:port through tools/presenter-relay.mjs.
+// The PRESENT button presents to the ?present room (or "briefing") the same way.
+function setupPresenter() {
+    const status = document.createElement('div');
+    status.id = 'presenter-status';
+    status.setAttribute('role', 'status');
+    status.hidden = true;
+    const text = document.createElement('span');
+    const stop = document.createElement('button');
+    stop.className = 'tool-btn';
+    stop.addEventListener('click', stopPresenter);
+    status.append(text, stop);
+    document.body.appendChild(status);
+
+    addToolButton('present-btn', 'PRESENT', () => {
+        if (presenter?.role === 'present') stopPresenter();
+        else startPresenter('present', urlParams.get('present') || DEFAULT_PRESENTER_ROOM);
+    });
+    const role = PRESENTER_ROLES.find(r => urlParams.get(r));
+    if (role) startPresenter(role, urlParams.get(role));
+}
+
+function startPresenter(role, room) {
+    stopPresenter();
+    try {
+        presenter = createPresenterLink({
+            role,
+            room,
+            relay: urlParams.get('relay'),
+            onState: hash => restoreViewState(hash, 'presenter'),
+            onStatus: updatePresenterStatus
+        });
+    } catch (e) {
+        console.warn(e.message);
+        updatePresenterStatus({ state: 'offline', error: e.message });
+        return;
+    }
+    // The presenter's next check sends its state whether it changed or not
+    viewHash = '';
+    document.body.classList.toggle('following', role === 'follow');
+    updatePresenterStatus({ state: 'connecting', viewers: 0 });
+}
+
+function stopPresenter() {
+    const link = presenter;
+    presenter = null;
+    if (link) {
+        link.close();
+        holdInput('presenter', false);
+        releaseInput();
+    }
+    document.body.classList.remove('following');
+    updatePresenterStatus(null);
+}
+
+function updatePresenterStatus(status) {
+    const box = document.getElementById('presenter-status');
+    const btn = document.getElementById('present-btn');
+    btn.setAttribute('aria-pressed', String(presenter?.role === 'present'));
+    btn.disabled = presenter?.role === 'follow';
+    box.hidden = !status;
+    if (!status) return;
+    const [text, stop] = box.children;
+    const room = presenter ? presenter.room.toUpperCase() : '';
+    if (!presenter) text.textContent = `PRESENTER: ${status.error || 'OFF'}`;
+    else if (status.state === 'connecting') text.textContent = `CONNECTING ${room}…`;
+    else if (status.state === 'offline') text.textContent = `${room} RELAY OFFLINE - RETRYING`;
+    else if (presenter.role === 'present') text.textContent = `PRESENTING ${room} · ${status.viewers} FOLLOWING`;
+    else text.textContent = `FOLLOWING ${room}`;
+    stop.textContent = !presenter ? 'CLOSE' : presenter.role === 'follow' ? 'LEAVE' : 'STOP';
+    box.classList.toggle('offline', status.state === 'offline');
+}
+
+// ===== EXPORT =====
+// Stills of the current view and turntable / scroll-tour sequences at any
+// size (see capture.js). While one renders the live loop stands still; a
+// sequence starts from a reset, settled scene and steps it on a fixed
+// timestep, so the same settings give the same frames.
+function setupExportUI() {
+    createExportPanel({
+        onToggle: updateViewerTools,
+        onStill: exportStill,
+        onSequence: exportSequence,
+        onCancel: () => { if (exporting) exporting.cancelled = true; }
+    });
+}
+
+// Null (with the reason shown) when the size can't be rendered
+function beginExport({ width, height, background }) {
+    const quality = QUALITY_LEVELS.indexOf(getQualityLevel());
+    exporting = { cancelled: false, quality };
+    // Exports render at the best quality whatever the frame rate
+    setQualityLevel(QUALITY_LEVELS.length - 1);
+    applyMotionPreference();
+    try {
+        exporting.tiles = createTileRenderer({ renderer, camera, width, height, background, onResize: resizePostFX });
+    } catch (e) {
+        endExport();
+        if (!(e instanceof CaptureError)) throw e;
+        showExportMessage(e.message);
+        return null;
+    }
+    document.body.classList.add('exporting');
+    setExportBusy(true);
+    return exporting.tiles;
+}
+
+function endExport() {
+    exporting.tiles?.dispose();
+    setQualityLevel(exporting.quality);
+    exporting = null;
+    applyMotionPreference();
+    // The time spent exporting isn't a frame
+    clock.getDelta();
+    document.body.classList.remove('exporting');
+    setExportBusy(false);
+    // Back to the page's own scroll position and section
+    modesSection = -1;
+    onScroll();
+}
+
+async function exportStill(options) {
+    if (exporting || !primary) return;
+    const tiles = beginExport(options);
+    if (!tiles) return;
+    try {
+        showExportMessage(`RENDERING ${tiles.width}×${tiles.height}${tiles.tiles > 1 ? ` IN ${tiles.tiles} TILES` : ''}…`);
+        await new Promise(resolve => requestAnimationFrame(resolve));
+        // Framed for the still's own aspect; no motion blur on a still
+        camera.fov = getAspectFov(targetCameraFov) / getInputZoom();
+        const hotspot = getSelectedHotspot();
+        updatePostFX(0, { focusPoint: hotspot ? getHotspotWorldPosition(hotspot, focusPoint) : null });
+        const png = await canvasToPNG(tiles.render(() => renderPostFX(0)));
+        downloadBlob(png, `${tour.id || 'aircraft'}-${tiles.width}x${tiles.height}.png`);
+        showExportMessage(`SAVED ${tiles.width}×${tiles.height} PNG`);
+    } catch (e) {
+        console.error('Still export failed', e);
+        showExportMessage(`EXPORT FAILED: ${e.message}`);
+    } finally {
+        endExport();
+    }
+}
+
+// kind 'turntable': one turn of the current view about the vertical, without the wobble;
+// 'tour': the whole scroll tour from top to bottom, as the page moves
+async function exportSequence({ kind, fps, seconds, format, ...options }) {
+    if (exporting || !primary) return;
+    const name = `${tour.id || 'aircraft'}-${kind}`;
+    const frames = Math.max(1, Math.round(fps * seconds));
+    const step = 1 / fps;
+    let sink;
+    try {
+        // First, while the click still counts as a user gesture (the folder picker needs one)
+        sink = await createFrameSink(format, { name, width: options.width, height: options.height, fps });
+    } catch (e) {
+        showExportMessage(e.message);
+        return;
+    }
+    const tiles = beginExport(options);
+    if (!tiles) {
+        sink.abort();
+        return;
+    }
+    const savedTime = sceneTime;
+    try {
+        resetInput();
+        sceneTime = 0;
+        if (kind === 'tour') setScrollProgress(0);
+        settleScene();
+        for (let i = 0; i < frames; i++) {
+            if (exporting.cancelled) throw new CaptureError('cancelled', 'CANCELLED');
+            if (kind === 'tour') setScrollProgress(frames > 1 ? i / (frames - 1) : 0);
+            stepScene(i === 0 ? 0 : step, kind === 'turntable' ? { yaw: Math.PI * 2 * i / frames } : null);
+            await sink.add(tiles.render(() => renderPostFX(step)));
+            showExportMessage(`FRAME ${i + 1} / ${frames}`);
+        }
+        showExportMessage('FINISHING…');
+        const blob = await sink.finish();
+        if (blob) downloadBlob(blob, `${name}.${format === 'webm' ? 'webm' : 'zip'}`);
+        showExportMessage(`SAVED ${frames} FRAMES`);
+    } catch (e) {
+        sink.abort();
+        if (!(e instanceof CaptureError)) console.error('Sequence export failed', e);
+        showExportMessage(e.reason === 'cancelled' ? e.message : `EXPORT FAILED: ${e.message}`);
+    } finally {
+        sceneTime = savedTime;
+        endExport();
+    }
+}
+
+// Brings the eased state to rest and the aircraft and camera onto their
+// targets, so a sequence doesn't depend on what was on screen before it
+function settleScene() {
+    updateExplode(SETTLE_TIME);
+    updateLighting(SETTLE_TIME);
+    stepScene(0, { yaw: 0 });
+    const hotspot = getSelectedHotspot();
+    updatePostFX(SETTLE_TIME, {
+        scrollSpeed: 0,
+        focusPoint: hotspot ? getHotspotWorldPosition(hotspot, focusPoint) : null,
+        motionPoint: primary.object.position
+    });
+}
+
+// ===== ACCESSIBILITY =====
+// Reduced motion stills the live view (see stepScene() and setScrollProgress())
+// and drops the motion blur; body.reduced-motion stops the page's own CSS
+// animations. Exports render as configured either way.
+function setReducedMotion(reduced) {
+    reducedMotion = reduced;
+    document.body.classList.toggle('reduced-motion', reduced);
+    applyMotionPreference();
+}
+
+function applyMotionPreference() {
+    setPostEffectEnabled('motionBlur', CONFIG.postfx.motionBlur && !(reducedMotion && !exporting));
+}
+
+function buildTourElements() {
+    const nav = document.querySelector('.nav-links');
+    const markers = document.querySelector('.section-markers');
+    buildTourDOM(tour, { container: document.querySelector('.scroll-container'), nav, markers }, scrollToSection);
+    tourDOM = { nav, markers };
+    announcedSection = -1;
+}
+
+// Reads out each section's card as the tour reaches it; the first one is already on screen
+// when the page opens, and an export's passes through the tour aren't the viewer's
+function announceSection(s) {
+    if (s === announcedSection || exporting) return;
+    if (announcedSection !== -1) announce(describeSection(tour.sections[s]));
+    announcedSection = s;
+}
+
+// Without WebGL the tour is still readable: every card shown in page order
+// under a notice, with the nav and markers scrolling to them
+async function initTextOnly(error) {
+    if (error) console.warn('WebGL unavailable, showing the text-only view', error);
+    document.body.classList.add('text-only');
+    document.body.style.overflowY = 'auto';
+    try {
+        tour = await loadTour(getTourUrl());
+    } catch (e) {
+        showLoadingError('INVALID TOUR', e, () => initTextOnly());
+        return;
+    }
+    buildTourElements();
+    document.querySelectorAll('.feature-card').forEach(card => card.classList.add('visible'));
+
+    const notice = document.createElement('p');
+    notice.className = 'text-only-notice';
+    notice.setAttribute('role', 'note');
+    notice.textContent = '3D VIEW UNAVAILABLE: this browser or device has no WebGL, so the tour is shown as text.';
+    document.querySelector('.scroll-container').prepend(notice);
+
+    window.addEventListener('scroll', onTextOnlyScroll);
+    onTextOnlyScroll();
+    completeLoading();
+}
+
+// The current section is the last one whose top has passed the middle of the window
+function onTextOnlyScroll() {
+    const sections = [...document.querySelectorAll('.content-section')];
+    const index = Math.max(0, sections.findLastIndex(sec => sec.getBoundingClientRect().top < window.innerHeight / 2));
+    const docHeight = document.documentElement.scrollHeight - window.innerHeight;
+    updateScrollProgress(docHeight > 0 ? window.scrollY / docHeight : 0, index);
+    updateNavigation(index);
+}
+
+// ===== FLIGHT MODE =====
+function setupFlightUI() {
+    const btn = document.createElement('button');
+    btn.id = 'fly-btn';
+    btn.className = 'nav-tool-btn';
+    btn.textContent = 'FLY';
+    btn.setAttribute('aria-pressed', 'false');
+    btn.addEventListener('click', () => setFlightMode(!isFlying()));
+    document.querySelector('.nav-bar').appendChild(btn);
+}
+
+// Flight detaches the aircraft from the scroll keyframes; leaving hands it back
+function setFlightMode(on) {
+    if (on === isFlying() || (on && !primary) || exporting) return;
+    const btn = document.getElementById('fly-btn');
+    btn.textContent = on ? 'EXIT FLIGHT' : 'FLY';
+    btn.setAttribute('aria-pressed', String(on));
+    document.body.classList.toggle('flight-mode', on);
+    document.body.style.overflowY = on ? 'hidden' : 'auto';
+    setInputMode(on ? 'flight' : 'pose');
+    setShadowGroundVisible(!on);
+    if (on) {
+        setExplode(0);
+        setIsolation(null);
+        isolatedBy = null;
+        selectHotspot(null);
+        setLiveryPanelOpen(false);
+        setExportPanelOpen(false);
+        // Only the tour's aircraft flies
+        fleet.forEach(instance => { instance.object.visible = instance === primary; });
+        updateViewerTools();
+        setFlightThrottle(FLIGHT_START.throttle);
+        startFlight(primary.object);
+        resetHUDMaxG();
+        setBackground('sky-flight');
+        targetCameraFov = FLIGHT_FOV;
+    } else {
+        stopFlight();
+        setRigCommand(null);
+        fleet.forEach(instance => { instance.object.visible = true; });
+        motionSampler.reset();
+        // Re-applies the current section's pose, modes and background
+        modesSection = -1;
+        onScroll();
+    }
+}
+
+function restartFlight() {
+    if (!isFlying()) return;
+    setFlightThrottle(FLIGHT_START.throttle);
+    resetFlight();
+    resetHUDMaxG();
+}
+
+// ===== HUD =====
+function setupHUDUI() {
+    setupHUD(document.getElementById('hud-canvas'));
+    const btn = document.createElement('button');
+    btn.id = 'hud-btn';
+    btn.className = 'nav-tool-btn';
+    btn.textContent = 'HUD';
+    btn.title = 'Show or hide the HUD (H in the 3D view)';
+    btn.setAttribute('aria-pressed', String(isHUDVisible()));
+    btn.addEventListener('click', toggleHUD);
+    document.querySelector('.nav-bar').appendChild(btn);
+}
+
+function toggleHUD() {
+    setHUDVisible(!isHUDVisible());
+    document.getElementById('hud-btn').setAttribute('aria-pressed', String(isHUDVisible()));
+}
+
+// The tour's altitude and Mach for a scroll position: sections can set their own,
+// the rest climb and accelerate evenly through the tour
+function scrollReadout(index, blend) {
+    const sections = tour.sections;
+    const next = Math.min(index + 1, sections.length - 1);
+    const share = sections.length > 1 ? 1 / (sections.length - 1) : 0;
+    const value = (i, key, max) => sections[i].hud?.[key] ?? max * i * share;
+    const altitudeFt = THREE.MathUtils.lerp(value(index, 'altitude', TOUR_CEILING_FT), value(next, 'altitude', TOUR_CEILING_FT), blend);
+    const mach = THREE.MathUtils.lerp(value(index, 'mach', TOUR_MAX_MACH), value(next, 'mach', TOUR_MAX_MACH), blend);
+    const altitude = altitudeFt / 3.28084;
+    const speed = mach * speedOfSound(altitude);
+    return {
+        altitude, altitudeFt, speed, knots: speed * 1.94384, mach,
+        throttle: mach / TOUR_MAX_MACH, afterburner: mach > 1, crashed: false
+    };
+}
+
 // ===== HAND CONTROL =====
 function setupHandControlUI() {
     const btn = document.createElement('button');
@@ -313,75 +1118,151 @@ function setupHandControlUI() {
     status.style.cssText = 'position:fixed;bottom:260px;right:20px;color:#1a1a2e;font-family:"Share Tech Mono",monospace;font-size:0.75rem;z-index:1000;display:none;text-align:center;width:200px;background:rgba(255,255,255,0.2);backdrop-filter:blur(10px);padding:8px;border-radius:8px;';
     status.textContent = 'SHOW HAND TO CONTROL';
     document.body.appendChild(status);
+
+    const tools = document.createElement('div');
+    tools.id = 'hand-tools';
+    tools.className = 'hand-tools';
+    const calibrate = document.createElement('button');
+    calibrate.id = 'hand-calibrate-btn';
+    calibrate.className = 'hand-tool-btn';
+    calibrate.textContent = 'CALIBRATE';
+    calibrate.addEventListener('click', startHandCalibration);
+    const record = document.createElement('button');
+    record.id = 'hand-record-btn';
+    record.className = 'hand-tool-btn';
+    record.textContent = 'REC';
+    record.setAttribute('aria-pressed', 'false');
+    record.addEventListener('click', toggleHandRecording);
+    tools.append(calibrate, record);
+    document.body.appendChild(tools);
+
+    const replay = urlParams.get('handReplay');
+    if (replay) startHandReplay(replay);
 }
 
 async function toggleHandControl() {
+    if (handControlEnabled) stopHandControl();
+    else if (urlParams.get('handReplay')) startHandReplay(urlParams.get('handReplay'));
+    else startHandControl();
+}
+
+async function startHandControl() {
     const btn = document.getElementById('hand-control-btn');
     const video = document.getElementById('webcam');
-    const canvas = document.getElementById('hand-canvas');
-    const indicator = document.getElementById('hand-indicator');
     const status = document.getElementById('hand-status');
+    try {
+        btn.innerHTML = '<span>LOADING...</span>';
+        hands = await loadHands(onHandResults);
+        await startCamera(video);
+        handCanvas.width = video.videoWidth;
+        handCanvas.height = video.videoHeight;
+        video.style.display = 'block';
+        showHandControl('STOP CONTROL');
+        holdInput('hand', true);
+        document.getElementById('hand-record-btn').hidden = false;
+        detectHands();
+    } catch (e) {
+        console.error(e, e.cause);
+        // The status box doubles as the error report; the console has the URLs tried
+        setHandStatus(e.message.split('\n')[0], '#c44');
+        status.style.display = 'block';
+        btn.innerHTML = '<span>HAND CONTROL</span>';
+    }
+}
 
-    if (!handControlEnabled) {
-        try {
-            btn.innerHTML = '<span>LOADING...</span>';
-            await loadMediaPipe();
-            const stream = await navigator.mediaDevices.getUserMedia({ video: { width: 640, height: 480, facingMode: 'user' } });
-            video.srcObject = stream;
-            await video.play();
-            canvas.width = video.videoWidth;
-            canvas.height = video.videoHeight;
-            handControlEnabled = true;
-            video.style.display = 'block';
-            canvas.style.display = 'block';
-            indicator.style.display = 'block';
-            status.style.display = 'block';
-            btn.innerHTML = '<span>STOP CONTROL</span>';
-            btn.style.background = 'rgba(255,100,100,0.2)';
-            btn.style.color = '#c44';
-            detectHands();
-        } catch (e) {
-            console.error(e);
-            alert('Camera access denied');
-            btn.innerHTML = '<span>HAND CONTROL</span>';
-        }
-    } else {
-        handControlEnabled = false;
-        if (video.srcObject) video.srcObject.getTracks().forEach(t => t.stop());
-        video.style.display = 'none';
-        canvas.style.display = 'none';
-        indicator.style.display = 'none';
-        status.style.display = 'none';
+// A recording stands in for the webcam; gestures can't tell the difference
+async function startHandReplay(url) {
+    const btn = document.getElementById('hand-control-btn');
+    const status = document.getElementById('hand-status');
+    let recording;
+    try {
+        btn.innerHTML = '<span>LOADING...</span>';
+        recording = await loadRecording(url);
+    } catch (e) {
+        console.error(e);
+        setHandStatus(`REPLAY FAILED: ${e.message}`, '#c44');
+        status.style.display = 'block';
         btn.innerHTML = '<span>HAND CONTROL</span>';
-        btn.style.background = 'rgba(255,255,255,0.2)';
-        btn.style.color = '#1a1a2e';
-    }
-}
-
-async function loadMediaPipe() {
-    return new Promise((resolve, reject) => {
-        if (window.Hands) { initializeHands(); resolve(); return; }
-        const scripts = [
-            'https://cdn.jsdelivr.net/npm/@mediapipe/hands/hands.js',
-            'https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils/camera_utils.js',
-            'https://cdn.jsdelivr.net/npm/@mediapipe/drawing_utils/drawing_utils.js'
-        ];
-        let loaded = 0;
-        scripts.forEach(src => {
-            const s = document.createElement('script');
-            s.src = src;
-            s.crossOrigin = 'anonymous';
-            s.onload = () => { loaded++; if (loaded === 3) { setTimeout(() => { initializeHands(); resolve(); }, 100); }};
-            s.onerror = reject;
-            document.head.appendChild(s);
-        });
-    });
+        return;
+    }
+    let finish;
+    const finished = new Promise(resolve => { finish = resolve; });
+    handPlayback = createHandPlayback(recording, onHandResults, { loop: !headless, onEnd: () => finish(getHandState()) });
+    handCanvas.width = 640;
+    handCanvas.height = Math.round(640 / handPlayback.aspect);
+    showHandControl('STOP REPLAY');
+    holdInput('hand', true);
+    document.getElementById('hand-record-btn').hidden = true;
+    // Headless runs step the playback from animate() so every run sees the same frames
+    if (headless) window.handReplay = { playback: handPlayback, finished, state: getHandState };
+    else handPlayback.start();
 }
 
-function initializeHands() {
-    hands = new window.Hands({ locateFile: f => `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${f}` });
-    hands.setOptions({ maxNumHands: 1, modelComplexity: 1, minDetectionConfidence: 0.7, minTrackingConfidence: 0.5 });
-    hands.onResults(onHandResults);
+function showHandControl(label) {
+    const btn = document.getElementById('hand-control-btn');
+    handControlEnabled = true;
+    handCanvas.style.display = 'block';
+    document.getElementById('hand-indicator').style.display = 'block';
+    document.getElementById('hand-status').style.display = 'block';
+    setHandStatus('SHOW HAND TO CONTROL', '#1a1a2e');
+    document.getElementById('hand-tools').classList.add('visible');
+    btn.innerHTML = `<span>${label}</span>`;
+    btn.style.background = 'rgba(255,100,100,0.2)';
+    btn.style.color = '#c44';
+}
+
+function stopHandControl() {
+    const btn = document.getElementById('hand-control-btn');
+    const video = document.getElementById('webcam');
+    handControlEnabled = false;
+    if (video.srcObject) video.srcObject.getTracks().forEach(t => t.stop());
+    video.srcObject = null;
+    if (handPlayback) handPlayback.stop();
+    handPlayback = null;
+    if (handRecorder?.recording) toggleHandRecording();
+    cancelHandCalibration();
+    resetGestures();
+    holdInput('hand', false);
+    releaseInput();
+    video.style.display = 'none';
+    handCanvas.style.display = 'none';
+    document.getElementById('hand-indicator').style.display = 'none';
+    document.getElementById('hand-status').style.display = 'none';
+    document.getElementById('hand-tools').classList.remove('visible');
+    btn.innerHTML = '<span>HAND CONTROL</span>';
+    btn.style.background = 'rgba(255,255,255,0.2)';
+    btn.style.color = '#1a1a2e';
+}
+
+// Records the live landmark stream; stopping downloads it as JSON
+function toggleHandRecording() {
+    const btn = document.getElementById('hand-record-btn');
+    if (!handRecorder?.recording) {
+        handRecorder = createHandRecorder(handCanvas.width / handCanvas.height || 4 / 3);
+        handRecorder.start();
+        btn.textContent = 'STOP REC';
+        btn.setAttribute('aria-pressed', 'true');
+        return;
+    }
+    const recording = handRecorder.stop();
+    btn.textContent = 'REC';
+    btn.setAttribute('aria-pressed', 'false');
+    if (recording.frames.length) downloadRecording(recording);
+    flashHandStatus(`RECORDED ${recording.frames.length} FRAMES`);
+}
+
+// What hand input has done to the view, for replay-driven tests
+function getHandState() {
+    return {
+        time: handPlayback ? handPlayback.time : null,
+        section: currentSection,
+        input: getInputState(),
+        fov: camera.fov,
+        aircraft: primary ? {
+            position: primary.object.position.toArray(),
+            quaternion: primary.object.quaternion.toArray()
+        } : null
+    };
 }
 
 async function detectHands() {
@@ -390,101 +1271,152 @@ async function detectHands() {
     requestAnimationFrame(detectHands);
 }
 
-function onHandResults(results) {
+// time (seconds) comes from the recording during replay, otherwise the wall clock
+function onHandResults(results, time = performance.now() / 1000) {
     if (!handCtx || !handCanvas) return;
+    if (handRecorder?.recording) handRecorder.add(results, time);
     handCtx.clearRect(0, 0, handCanvas.width, handCanvas.height);
-
-    if (results.multiHandLandmarks?.length > 0) {
-        isHandDetected = true;
-        const lm = results.multiHandLandmarks[0];
-        if (window.drawConnectors && window.drawLandmarks) {
+    if (window.drawConnectors && window.drawLandmarks) {
+        (results.multiHandLandmarks || []).forEach(lm => {
             window.drawConnectors(handCtx, lm, window.HAND_CONNECTIONS, { color: '#00f0ff', lineWidth: 2 });
             window.drawLandmarks(handCtx, lm, { color: '#ff3366', lineWidth: 1, radius: 3 });
-        }
-        const indexTip = lm[8], thumbTip = lm[4], wrist = lm[0], palm = lm[9], pinky = lm[20];
-        const middleTip = lm[12], ringTip = lm[16];
-        
-        // Calculate hand openness (distance from fingertips to palm)
-        const palmPos = { x: palm.x, y: palm.y };
-        const avgFingerDist = (
-            Math.hypot(indexTip.x - palmPos.x, indexTip.y - palmPos.y) +
-            Math.hypot(middleTip.x - palmPos.x, middleTip.y - palmPos.y) +
-            Math.hypot(ringTip.x - palmPos.x, ringTip.y - palmPos.y) +
-            Math.hypot(pinky.x - palmPos.x, pinky.y - palmPos.y)
-        ) / 4;
-        
-        // Map hand openness to zoom (closed = zoom in, open = zoom out)
-        // avgFingerDist typically ranges from 0.05 (closed) to 0.25 (open)
-        const normalizedOpen = Math.max(0, Math.min(1, (avgFingerDist - 0.08) / 0.15));
-        const targetZoom = 0.5 + normalizedOpen * 1.5; // Zoom range: 0.5x to 2.0x (1.5x enhanced)
-        handZoom += (targetZoom - handZoom) * 0.1;
-        
-        handPosition.x += (indexTip.x - handPosition.x) * 0.15;
-        handPosition.y += (indexTip.y - handPosition.y) * 0.15;
-        handPosition.z += (indexTip.z - handPosition.z) * 0.15;
-        handRotation.x += ((palm.y - wrist.y) * 2 - handRotation.x) * 0.15;
-        handRotation.y += ((indexTip.x - 0.5) * 2 - handRotation.y) * 0.15;
-        handRotation.z += ((thumbTip.y - pinky.y) * 2 - handRotation.z) * 0.15;
+        });
+    }
+    processHandResults(results, time, handCanvas.width / handCanvas.height || 4 / 3);
+}
 
-        const indicator = document.getElementById('hand-indicator');
-        if (indicator) {
-            indicator.style.left = `${(1 - indexTip.x) * window.innerWidth - 15}px`;
-            indicator.style.top = `${indexTip.y * window.innerHeight - 15}px`;
-            indicator.style.borderColor = '#1a1a2e';
-            // Scale indicator based on zoom
-            const scale = 0.8 + handZoom * 0.4;
-            indicator.style.transform = `scale(${scale})`;
-        }
-        const status = document.getElementById('hand-status');
-        if (status) { 
-            status.textContent = `ZOOM: ${(handZoom * 100).toFixed(0)}%`; 
-            status.style.color = '#1a1a2e'; 
+// Gestures drive offsets on top of the scroll-driven pose
+function setupGestureHandlers() {
+    onGesture('grabstart', () => { handStatus = 'ROTATE'; });
+    onGesture('grab', ({ dx, dy }) => {
+        if (!isFlying()) {
+            rotateInput(dy * GRAB_ROTATE_SPEED, dx * GRAB_ROTATE_SPEED, 0, 'hand');
+            return;
         }
-    } else {
-        isHandDetected = false;
+        // In flight the pinch is the stick: its travel since the grab started deflects it
+        handStick.x += dx;
+        handStick.y += dy;
+        setFlightStick({
+            roll: THREE.MathUtils.clamp(handStick.x / HAND_STICK_TRAVEL, -1, 1),
+            pitch: THREE.MathUtils.clamp(handStick.y / HAND_STICK_TRAVEL, -1, 1)
+        }, 'hand');
+    });
+    onGesture('grabend', () => {
+        handStatus = '';
+        handStick.x = handStick.y = 0;
+        if (isFlying()) setFlightStick({}, 'hand');
+    });
+    onGesture('spreadstart', () => {
+        spreadStartZoom = getInputZoom();
+        spreadStartThrottle = getFlightStick().throttle;
+        handStatus = isFlying() ? 'THROTTLE' : 'ZOOM';
+    });
+    onGesture('spread', ({ scale }) => {
+        if (isFlying()) setFlightThrottle(spreadStartThrottle + (scale - 1));
+        else setInputZoom(spreadStartZoom * scale, 'hand');
+    });
+    onGesture('spreadend', () => { handStatus = ''; });
+    onGesture('swipe', ({ direction }) => {
+        if (isFlying()) return;
+        // Swiping works like paging: left or up moves on to the next section
+        const step = direction === 'left' || direction === 'up' ? 1 : -1;
+        stepSection(step);
+        flashHandStatus(step > 0 ? 'NEXT ▸' : '◂ PREVIOUS');
+    });
+    onGesture('fist', () => {
+        if (isFlying()) restartFlight();
+        else resetInput();
+        flashHandStatus('RESET');
+    });
+    onGesture('hand', updateHandIndicator);
+    onGesture('handlost', () => {
         const indicator = document.getElementById('hand-indicator');
         if (indicator) indicator.style.borderColor = '#c44';
-        const status = document.getElementById('hand-status');
-        if (status) { status.textContent = 'SHOW HAND'; status.style.color = '#c44'; }
+        setHandStatus('SHOW HAND', '#c44');
+    });
+    onGesture('calibration', ({ phase, progress }) => {
+        const prompts = { open: 'HOLD YOUR HAND OPEN', closed: 'HOLD A FIST', done: 'CALIBRATED', failed: 'CALIBRATION FAILED' };
+        const pct = phase === 'open' || phase === 'closed' ? ` ${Math.round(progress * 100)}%` : '';
+        setHandStatus(prompts[phase] + pct, phase === 'failed' ? '#c44' : '#1a1a2e');
+    });
+}
+
+function updateHandIndicator({ x, y, pinching, hands }) {
+    const indicator = document.getElementById('hand-indicator');
+    if (indicator) {
+        indicator.style.left = `${x * window.innerWidth - 15}px`;
+        indicator.style.top = `${y * window.innerHeight - 15}px`;
+        indicator.style.borderColor = pinching ? '#00a0c0' : '#1a1a2e';
+        indicator.style.transform = `scale(${pinching ? 0.7 : 0.8 + getInputZoom() * 0.4})`;
+    }
+    if (handStatusFlashUntil > performance.now()) return;
+    setHandStatus(handStatus || (hands === 2 ? 'SPREAD TO ZOOM' : `ZOOM: ${(getInputZoom() * 100).toFixed(0)}%`), '#1a1a2e');
+}
+
+// Shows a one-off gesture for a moment before the live readout returns
+function flashHandStatus(text) {
+    setHandStatus(text, '#1a1a2e');
+    handStatusFlashUntil = performance.now() + 800;
+}
+
+function setHandStatus(text, color) {
+    const status = document.getElementById('hand-status');
+    if (!status) return;
+    status.textContent = text;
+    status.style.color = color;
+}
+
+async function startHandCalibration() {
+    const btn = document.getElementById('hand-calibrate-btn');
+    btn.disabled = true;
+    try {
+        await calibrateHands();
+        handStatusFlashUntil = performance.now() + 1500;
+    } catch (e) {
+        console.warn(e.message);
+        handStatusFlashUntil = performance.now() + 2500;
+    } finally {
+        btn.disabled = false;
     }
 }
 
 // ===== SCROLL =====
 function onScroll() {
-    const scrollTop = window.scrollY;
+    if (!tour || isFlying() || exporting) return;
     const docHeight = document.documentElement.scrollHeight - window.innerHeight;
-    scrollProgress = scrollTop / docHeight;
+    setScrollProgress(docHeight > 0 ? window.scrollY / docHeight : 0);
+}
 
-    const total = CONFIG.aircraftPositions.length;
+// Poses the scene for a point of the tour (0-1); a tour export drives it without scrolling the page
+function setScrollProgress(p) {
+    scrollProgress = p;
+    const sections = tour.sections;
+    const total = sections.length;
     const secProg = scrollProgress * (total - 1);
-    currentSection = Math.floor(secProg);
+    currentSection = Math.min(Math.floor(secProg), total - 1);
     const blend = secProg - currentSection;
-    const ease = t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
 
     updateScrollProgress(scrollProgress, currentSection);
     updateNavigation(currentSection);
-
-    // Camera is FIXED - never changes
-    targetCameraPosition.copy(CONFIG.fixedCamera.position);
-    targetCameraTarget.copy(CONFIG.fixedCamera.target);
-    camera.fov = CONFIG.fixedCamera.fov;
-
-    // Only aircraft position/rotation changes based on scroll
-    if (currentSection < total - 1) {
-        const cAir = CONFIG.aircraftPositions[currentSection];
-        const nAir = CONFIG.aircraftPositions[currentSection + 1];
-        const e = ease(blend);
-        targetAircraftPosition.lerpVectors(cAir.position, nAir.position, e);
-        targetAircraftRotation.lerpVectors(cAir.rotation, nAir.rotation, e);
-    } else {
-        const lastAir = CONFIG.aircraftPositions[total - 1];
-        targetAircraftPosition.copy(lastAir.position);
-        targetAircraftRotation.copy(lastAir.rotation);
+    if (currentSection !== modesSection) {
+        applySectionModes(currentSection);
+        // A new section hands the aircraft back to its scroll pose, a linked view included
+        holdInput('link', false);
+        releaseInput();
     }
-    camera.updateProjectionMatrix();
-    updateHUD(scrollProgress);
+
+    // Each section's easing shapes the blend of aircraft and camera towards the next section;
+    // with reduced motion a cubic-bezier that overshoots stops at the keyframes instead
+    let e = currentSection < total - 1 ? sections[currentSection].ease(blend) : 1;
+    if (reducedMotion) e = THREE.MathUtils.clamp(e, 0, 1);
+    poseTrack.sample(currentSection, e, targetAircraftPosition, targetAircraftQuaternion);
+    targetCameraFov = cameraTrack.sample(currentSection, e, targetCameraPosition, targetCameraTarget);
+    tourReadout = scrollReadout(currentSection, e);
+    flightMach = tourReadout.mach;
+    // Afterburner glow follows the displayed Mach number
+    setRigThrottle(tourReadout.throttle);
     animateInfoCards(currentSection);
-    updateParallaxBackground(currentSection);
+    setBackground(getSectionBackground(currentSection));
 }
 
 function updateScrollProgress(p, s) {
@@ -495,102 +1427,128 @@ function updateScrollProgress(p, s) {
 
 function updateNavigation(s) {
     document.querySelectorAll('.nav-link').forEach((l, i) => l.classList.toggle('active', i === s));
+    if (tourDOM) setActiveSection(tourDOM, s);
 }
 
-function updateHUD(p) {
-    const alt = document.getElementById('altitude-display');
-    const vel = document.getElementById('velocity-display');
-    if (alt) alt.textContent = `${Math.floor(p * 59000).toLocaleString()} FT`;
-    if (vel) vel.textContent = `MACH ${(p * 2.25).toFixed(2)}`;
+// Sections without a background of their own cycle through the built-in landscapes
+function getSectionBackground(index) {
+    return tour.sections[index].background || BACKGROUND_CYCLE[index % BACKGROUND_CYCLE.length];
 }
 
 function animateInfoCards(s) {
-    document.querySelectorAll('.feature-card').forEach((c, i) => c.classList.toggle('visible', i === s - 1));
+    document.querySelectorAll('.content-section').forEach((sec, i) => {
+        sec.querySelector('.feature-card')?.classList.toggle('visible', i === s);
+    });
+    announceSection(s);
+}
+
+function scrollToSection(s) {
+    document.querySelectorAll('.content-section')[s]?.scrollIntoView({ behavior: reducedMotion ? 'auto' : 'smooth' });
+}
+
+function stepSection(step) {
+    if (!tour) return;
+    scrollToSection(THREE.MathUtils.clamp(currentSection + step, 0, tour.sections.length - 1));
 }
 
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
-    const ar = window.innerWidth / window.innerHeight;
-    if (ar < 16 / 9) camera.fov = Math.min(camera.fov * (1 + (16 / 9 - ar) * 0.15), 65);
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
+    resizePostFX();
+    resizeHUD();
+}
+
+// Widen the keyframe FOV on screens (and exports) narrower than 16:9 so the aircraft stays in frame
+function getAspectFov(fov) {
+    const ar = camera.aspect;
+    return ar < 16 / 9 ? Math.min(fov * (1 + (16 / 9 - ar) * 0.15), 65) : fov;
 }
 
 // ===== ANIMATE =====
 function animate() {
     requestAnimationFrame(animate);
-    const delta = clock.getDelta();
-    const elapsed = clock.getElapsedTime();
+    // An export steps and renders its own frames
+    if (exporting) return;
+    // Headless runs use a fixed timestep so the same recording always gives the same frames
+    const delta = headless ? CONFIG.headlessStep : clock.getDelta();
+    if (headless && handPlayback) handPlayback.advance(delta);
 
-    if (mixer) mixer.update(delta);
-    camera.position.lerp(targetCameraPosition, 0.05);
-    controls.target.lerp(targetCameraTarget, 0.05);
+    updateQuality(delta);
+    stepScene(delta);
+    renderPostFX(delta);
+}
+
+// Advances everything by delta. The wobble and every other time-driven motion
+// read sceneTime, the sum of the deltas, and the easing rates are per 1/60 s,
+// so a fixed timestep gives the same frames whatever the real frame rate.
+// turntable: { yaw } snaps the aircraft and camera to the scroll pose, turned
+// about the vertical by yaw, without the wobble.
+function stepScene(delta, turntable = null) {
+    sceneTime += delta;
+    const elapsed = sceneTime;
+    const ease = (perFrame) => (turntable ? 1 : 1 - Math.pow(1 - perFrame, delta * 60));
+
+    updateInput(delta);
+    fleet.forEach(instance => instance.mixer?.update(delta));
+    updateExplode(delta);
+    updateLighting(delta);
+    // A comparison row needs the camera further back
+    const framing = isFlying() ? 1 : layoutFleet(fleet, compareLayout, camera);
+    camera.position.lerp(tmpPosition.subVectors(targetCameraPosition, targetCameraTarget).multiplyScalar(framing).add(targetCameraTarget), ease(0.05));
+    controls.target.lerp(targetCameraTarget, ease(0.05));
     controls.update();
+    // Direct-control zoom narrows the field of view (1 while the scroll pose rules)
+    camera.fov += (getAspectFov(targetCameraFov) / getInputZoom() - camera.fov) * ease(0.05);
+    camera.updateProjectionMatrix();
 
-    if (aircraft) {
-        if (handControlEnabled && isHandDetected) {
-            // Hand position controls aircraft position
-            const hx = (0.5 - handPosition.x) * 10;
-            const hy = (0.5 - handPosition.y) * 6;
-            const hz = handPosition.z * -5;
-            aircraft.position.lerp(new THREE.Vector3(hx, hy, hz), 0.08);
-            
-            // Hand tilt controls aircraft rotation
-            aircraft.rotation.x += (handRotation.x * 0.8 - aircraft.rotation.x) * 0.06;
-            aircraft.rotation.y += (handRotation.y * 1.5 - aircraft.rotation.y) * 0.06;
-            aircraft.rotation.z += (handRotation.z * 0.6 - aircraft.rotation.z) * 0.06;
-            
-            // Hand open/close controls camera zoom (FOV)
-            const targetFov = 50 / handZoom; // Smaller FOV = more zoom
-            camera.fov += (targetFov - camera.fov) * 0.1;
-            camera.updateProjectionMatrix();
-        } else {
-            const tp = targetAircraftPosition.clone();
-            tp.x += Math.sin(elapsed * 0.5 + scrollProgress * Math.PI * 2) * 0.5;
-            tp.y += Math.cos(elapsed * 0.7 + scrollProgress * Math.PI) * 0.3;
-            tp.z += Math.sin(elapsed * 0.4 + scrollProgress * Math.PI * 1.5) * 0.4;
+    if (primary && isFlying()) {
+        const flight = updateFlight(delta, getFlightStick(), targetCameraPosition, targetCameraTarget);
+        const stick = getFlightStick();
+        setRigCommand({ pitch: stick.pitch, roll: stick.roll, yaw: stick.yaw });
+        setRigThrottle(flight.throttle);
+        flightMach = flight.mach;
+        drawHUD(flight, camera.fov);
+        updateRig(delta, elapsed);
+    } else if (primary) {
+        if (!exporting) updateViewLink(delta);
+        const tp = targetAircraftPosition.clone();
+        // Exports keep the wobble whatever the viewer's motion setting, so their frames don't depend on it
+        const wobble = turntable || (reducedMotion && !exporting) ? 0 : 1;
+        tp.x += Math.sin(elapsed * 0.5 + scrollProgress * Math.PI * 2) * 0.5 * wobble;
+        tp.y += Math.cos(elapsed * 0.7 + scrollProgress * Math.PI) * 0.3 * wobble;
+        tp.z += Math.sin(elapsed * 0.4 + scrollProgress * Math.PI * 1.5) * 0.4 * wobble;
+
+        // Add continuous rotation animation for more dynamic feel
+        tmpEuler.set(Math.cos(elapsed * 0.6) * 0.03 * wobble, Math.sin(elapsed * 0.3) * 0.1 * wobble, Math.sin(elapsed * 0.8) * 0.05 * wobble);
+        tmpQuaternion.setFromEuler(tmpEuler);
+        targetQuaternion.multiplyQuaternions(targetAircraftQuaternion, tmpQuaternion);
+        // Direct control (drag, keys, gamepad, hand) turns the posed aircraft about the world axes
+        targetQuaternion.premultiply(getInputRotation(inputQuaternion));
+        if (turntable) targetQuaternion.premultiply(tmpQuaternion.setFromAxisAngle(THREE.Object3D.DEFAULT_UP, turntable.yaw));
+        // Every instance follows the same pose, so compared aircraft stay in sync
+        fleet.forEach(({ object, offset }) => {
             // No clamping - allow full range of positions
-            aircraft.position.lerp(tp, 0.04);
-            
-            // Add continuous rotation animation for more dynamic feel
-            const rotY = targetAircraftRotation.y + Math.sin(elapsed * 0.3) * 0.1;
-            aircraft.rotation.x += (targetAircraftRotation.x + Math.cos(elapsed * 0.6) * 0.03 - aircraft.rotation.x) * 0.04;
-            aircraft.rotation.y += (rotY - aircraft.rotation.y) * 0.04;
-            aircraft.rotation.z += (targetAircraftRotation.z + Math.sin(elapsed * 0.8) * 0.05 - aircraft.rotation.z) * 0.04;
-        }
-        aircraft.position.y += Math.sin(elapsed * 0.8) * 0.003;
+            object.position.lerp(tmpPosition.copy(tp).add(offset), ease(0.04));
+            object.quaternion.slerp(targetQuaternion, ease(0.04));
+            object.position.y += Math.sin(elapsed * 0.8) * 0.003 * wobble * delta * 60;
+        });
+        updateRig(delta, elapsed);
+        if (tourReadout) drawHUD(motionSampler.sample(primary.object, delta, tourReadout), camera.fov);
     }
     
-    // Update parallax background position smoothly
-    updateParallaxPosition();
-    
-    renderer.render(scene, camera);
-}
+    updateHotspots();
 
-function updateParallaxPosition() {
-    bgLayers.forEach((layer) => {
-        if (layer.classList.contains('active')) {
-            const scrollOffset = scrollProgress * 30;
-            layer.style.transform = `scale(1.1) translate(${parallaxOffset.x}px, ${parallaxOffset.y + scrollOffset}px)`;
-        }
+    updateBackgrounds(delta, { camera, aircraft: primary?.object, scrollProgress, speed: flightMach * SPEED_PER_MACH });
+    
+    const scrollSpeed = delta > 0 ? Math.abs(scrollProgress - lastScrollProgress) / delta : 0;
+    lastScrollProgress = scrollProgress;
+    const hotspot = getSelectedHotspot();
+    updatePostFX(delta, {
+        scrollSpeed,
+        focusPoint: hotspot ? getHotspotWorldPosition(hotspot, focusPoint) : null,
+        motionPoint: primary ? primary.object.position : null
     });
 }
 
-// ===== EVENTS =====
-document.addEventListener('DOMContentLoaded', () => {
-    document.querySelectorAll('.section-marker').forEach(m => {
-        m.addEventListener('click', () => {
-            const s = parseInt(m.dataset.section);
-            document.querySelectorAll('.content-section')[s]?.scrollIntoView({ behavior: 'smooth' });
-        });
-    });
-    document.querySelectorAll('.nav-link').forEach(l => {
-        l.addEventListener('click', e => {
-            e.preventDefault();
-            const s = parseInt(l.dataset.section);
-            document.querySelectorAll('.content-section')[s]?.scrollIntoView({ behavior: 'smooth' });
-        });
-    });
-});
-
 init();
@@ -0,0 +1,81 @@
+// ===== MODEL VARIANTS =====
+// Builds the compressed and reduced model variants the tour offers by device
+// tier (see js/quality.js and "variants" in tours/su35.json) from
+// assets/scene.gltf:
+//
+//   assets/variants/su35-draco.gltf    full detail, Draco geometry          (tier 2+)
+//   assets/variants/su35-lod1.gltf     simplified (~2/3 triangles), Draco   (every tier)
+//
+// Node and material names are kept, so hotspots, the rig and isolation still
+// find their parts. Both reuse assets/textures/ rather than copying them;
+// the textures are small JPEGs, so no KTX2 set is built. Textures the source
+// names but the repo doesn't have stay referenced, as in the source. Needs the glTF
+// Transform packages, which the viewer itself doesn't:
+//
+//   npm install --no-save @gltf-transform/core@4 @gltf-transform/extensions@4 \
+//       @gltf-transform/functions@4 draco3dgltf meshoptimizer
+//   node tools/build-variants.mjs
+
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { NodeIO } from '@gltf-transform/core';
+import { ALL_EXTENSIONS } from '@gltf-transform/extensions';
+import { weld, simplify, draco } from '@gltf-transform/functions';
+import draco3d from 'draco3dgltf';
+import { MeshoptSimplifier } from 'meshoptimizer';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SOURCE = path.join(ROOT, 'assets/scene.gltf');
+const OUT_DIR = path.join(ROOT, 'assets/variants');
+const TEXTURE_DIR = '../textures/';     // from OUT_DIR
+
+const VARIANTS = [
+    { name: 'su35-draco', transforms: [weld(), draco()] },
+    { name: 'su35-lod1', transforms: [weld(), simplify({ simplifier: MeshoptSimplifier, ratio: 0.5, error: 0.001 }), draco()] }
+];
+
+const io = new NodeIO()
+    .registerExtensions(ALL_EXTENSIONS)
+    .registerDependencies({
+        'draco3d.encoder': await draco3d.createEncoderModule(),
+        'draco3d.decoder': await draco3d.createDecoderModule()
+    });
+await MeshoptSimplifier.ready;
+
+// Written to a scratch folder first: the writer also writes the textures, and only
+// the .gltf and .bin are wanted
+const scratch = await fs.mkdtemp(path.join(os.tmpdir(), 'sukhoi3d-variants-'));
+await fs.mkdir(path.join(scratch, 'out'));
+await fs.mkdir(path.join(scratch, 'textures'));
+await fs.mkdir(OUT_DIR, { recursive: true });
+for (const variant of VARIANTS) {
+    const document = await readSource();
+    await document.transform(...variant.transforms);
+    document.getRoot().listTextures().forEach(texture => texture.setURI(TEXTURE_DIR + path.basename(texture.getURI())));
+    document.getRoot().listBuffers().forEach(buffer => buffer.setURI(`${variant.name}.bin`));
+    await io.write(path.join(scratch, 'out', `${variant.name}.gltf`), document);
+    for (const ext of ['gltf', 'bin']) {
+        await fs.copyFile(path.join(scratch, 'out', `${variant.name}.${ext}`), path.join(OUT_DIR, `${variant.name}.${ext}`));
+    }
+    console.log(`${variant.name}: ${countTriangles(document).toLocaleString()} triangles`);
+}
+await fs.rm(scratch, { recursive: true });
+
+// Missing files read as empty, so a texture the repo lacks doesn't stop the build
+async function readSource() {
+    const json = JSON.parse(await fs.readFile(SOURCE, 'utf8'));
+    const resources = {};
+    for (const { uri } of [...(json.buffers || []), ...(json.images || [])]) {
+        if (!uri || uri.startsWith('data:')) continue;
+        resources[uri] = await fs.readFile(path.join(path.dirname(SOURCE), decodeURI(uri))).catch(() => new Uint8Array(0));
+    }
+    return io.readJSON({ json, resources });
+}
+
+function countTriangles(document) {
+    return document.getRoot().listMeshes()
+        .flatMap(mesh => mesh.listPrimitives())
+        .reduce((sum, prim) => sum + (prim.getIndices()?.getCount() ?? prim.getAttribute('POSITION').getCount()) / 3, 0);
+}
@@ -0,0 +1,54 @@
+// ===== HAND REPLAY CHECK =====
+// Replays a hand recording (js/handrecording.js) through the gesture layer
+// (js/gestures.js) in Node, on the same fixed 1/60 s step as a headless replay
+// in the browser, and compares the gestures it produces with what the
+// recording is known to contain. No dependencies, any Node from 19 on:
+//
+//   node tools/check-hand-replay.mjs      (replays tools/fixtures/hand-gestures.json)
+//
+// The fixture, in order: an open hand, a pinch dragged to the user's right, a
+// swipe to the left, a held fist, then both hands spreading apart. Runs of the
+// same gesture count once, so tuning the dead-zones doesn't break the check;
+// the direction of the drag and the spread does. Exits with 1 on a mismatch.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateRecording, createHandPlayback } from '../js/handrecording.js';
+import { onGesture, processHandResults, getHandCalibration } from '../js/gestures.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURE = path.join(ROOT, 'tools/fixtures/hand-gestures.json');
+const STEP = 1 / 60;    // CONFIG.headlessStep in main.js
+
+const EXPECTED = ['grabstart', 'grab', 'grabend', 'swipe left', 'fist', 'spreadstart', 'spread', 'spreadend', 'handlost'];
+
+const recording = validateRecording(JSON.parse(await fs.readFile(FIXTURE, 'utf8')));
+
+const seen = [];
+let drag = { dx: 0, dy: 0 };
+let scale = 1;
+['grabstart', 'grab', 'grabend', 'swipe', 'fist', 'spreadstart', 'spread', 'spreadend', 'handlost'].forEach(type => {
+    onGesture(type, detail => {
+        const name = type === 'swipe' ? `swipe ${detail.direction}` : type;
+        if (seen[seen.length - 1] !== name) seen.push(name);
+        if (type === 'grab') drag = { dx: drag.dx + detail.dx, dy: drag.dy + detail.dy };
+        if (type === 'spread') scale = detail.scale;
+    });
+});
+
+const playback = createHandPlayback(recording, (results, time) => processHandResults(results, time, playback.aspect));
+while (!playback.ended) playback.advance(STEP);
+
+const problems = [];
+if (seen.join() !== EXPECTED.join()) problems.push(`gestures: expected\n  ${EXPECTED.join(', ')}\ngot\n  ${seen.join(', ')}`);
+if (!(drag.dx > 0.05)) problems.push(`pinch drag: expected to the right, got dx ${drag.dx.toFixed(3)}`);
+if (!(scale > 1.2)) problems.push(`spread: expected hands apart, got scale ${scale.toFixed(2)}`);
+
+console.log(`${recording.frames.length} frames over ${playback.duration.toFixed(2)}s, calibration ${JSON.stringify(getHandCalibration())}`);
+console.log(`gestures: ${seen.join(', ')}`);
+if (problems.length) {
+    console.error(problems.join('\n'));
+    process.exit(1);
+}
+console.log('ok');
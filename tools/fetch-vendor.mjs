@@ -0,0 +1,81 @@
+// ===== VENDOR LIBRARIES =====
+// Fills vendor/ with the libraries js/runtime.js looks for there, straight from
+// the npm registry, so the site can be served without any CDN. No dependencies,
+// any Node from 18 on:
+//
+//   node tools/fetch-vendor.mjs                     (writes ./vendor/)
+//   node tools/fetch-vendor.mjs /srv/site/libs/     (pair with RUNTIME_CONFIG.assetBase)
+//
+// Only the parts the viewer loads are kept: three's build/ and examples/jsm/
+// (which include the Draco and Basis decoders) and every MediaPipe file.
+// Honours $npm_config_registry, as npm itself does. Existing files are replaced.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUT_DIR = path.resolve(process.argv[2] || path.join(ROOT, 'vendor'));
+const REGISTRY = (process.env.npm_config_registry || 'https://registry.npmjs.org/').replace(/\/?$/, '/');
+
+// three matches the CDN fallback in js/runtime.js; MediaPipe is pinned to its last release
+const PACKAGES = [
+    { name: 'three', version: '0.160.0', keep: /^(LICENSE|build\/|examples\/jsm\/)/ },
+    { name: '@mediapipe/hands', version: '0.4.1675469240', keep: /./ },
+    { name: '@mediapipe/drawing_utils', version: '0.3.1675466124', keep: /./ }
+];
+
+const gunzip = promisify(zlib.gunzip);
+
+for (const pkg of PACKAGES) {
+    const url = `${REGISTRY}${pkg.name}/-/${pkg.name.split('/').pop()}-${pkg.version}.tgz`;
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+    const tar = await gunzip(Buffer.from(await res.arrayBuffer()));
+
+    const dir = path.join(OUT_DIR, pkg.name);
+    await fs.rm(dir, { recursive: true, force: true });
+    let files = 0;
+    for (const entry of readTar(tar)) {
+        // npm tarballs put everything under package/
+        const name = entry.name.replace(/^[^/]+\//, '');
+        if (!pkg.keep.test(name)) continue;
+        const file = path.join(dir, name);
+        if (!file.startsWith(dir + path.sep)) throw new Error(`${url}: unsafe path ${entry.name}`);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, entry.data);
+        files++;
+    }
+    console.log(`${pkg.name}@${pkg.version}: ${files} files → ${path.relative(process.cwd(), dir) || '.'}`);
+}
+
+// Regular files of a (ustar/pax) tar archive
+function* readTar(buffer) {
+    let longName = null;
+    for (let offset = 0; offset + 512 <= buffer.length;) {
+        const header = buffer.subarray(offset, offset + 512);
+        if (header.every(b => b === 0)) break;
+        const field = (start, length) => header.subarray(start, start + length).toString('utf8').replace(/\0.*$/s, '');
+        const size = parseInt(field(124, 12).trim() || '0', 8);
+        const type = field(156, 1) || '0';
+        const prefix = field(345, 155);
+        const data = buffer.subarray(offset + 512, offset + 512 + size);
+        offset += 512 + Math.ceil(size / 512) * 512;
+
+        if (type === 'x') {
+            // pax extended header: "<length> path=<name>\n" records
+            const match = /\d+ path=([^\n]*)\n/.exec(data.toString('utf8'));
+            if (match) longName = match[1];
+            continue;
+        }
+        if (type === 'L') {
+            longName = data.toString('utf8').replace(/\0.*$/s, '');
+            continue;
+        }
+        const name = longName || (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100));
+        longName = null;
+        if (type === '0' || type === '7') yield { name, data };
+    }
+}
@@ -0,0 +1,154 @@
+// ===== PRESENTER RELAY =====
+// A small WebSocket relay for presenter mode (js/presenter.js) across
+// machines. No dependencies, any Node from 18 on:
+//
+//   node tools/presenter-relay.mjs [port]          (default 8787, or $PORT)
+//
+// then open the viewer with ?present=<room>&relay=ws://<this-host>:<port> on
+// the presenting machine and ?follow=<room>&relay=... on the others. Each
+// client joins the room named in its first message; every text message is
+// passed to the other clients in that room. Nothing is stored.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 60 * 1024;          // bytes, under the 16-bit frame length; a view state is well under 1 KB
+const PING_INTERVAL = 30000;            // ms; clients that miss a pong are dropped
+
+const rooms = new Map();                // room -> Set<client>
+const clients = new Set();              // every connection, in a room or not yet
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Sukhoi3D presenter relay: connect with a WebSocket\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const client = { socket, room: null, buffer: Buffer.alloc(0), alive: true };
+    clients.add(client);
+    socket.on('data', data => {
+        client.buffer = Buffer.concat([client.buffer, data]);
+        readFrames(client);
+    });
+    socket.on('close', () => {
+        clients.delete(client);
+        leave(client);
+    });
+    socket.on('error', () => socket.destroy());
+});
+
+// ===== FRAMES =====
+// Unfragmented frames only: the viewer never sends anything larger
+function readFrames(client) {
+    let buffer = client.buffer;
+    while (buffer.length >= 2) {
+        const opcode = buffer[0] & 0x0f;
+        const fin = buffer[0] & 0x80;
+        const masked = buffer[1] & 0x80;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) break;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (!masked || !fin || length > MAX_MESSAGE) {
+            close(client, 1002);
+            return;
+        }
+        if (buffer.length < offset + 4 + length) break;
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+        buffer = buffer.subarray(offset + 4 + length);
+
+        if (opcode === 0x1) onMessage(client, payload.toString('utf8'));
+        else if (opcode === 0x8) { close(client, 1000); return; }
+        else if (opcode === 0x9) send(client, payload, 0xa);
+        else if (opcode === 0xa) client.alive = true;
+    }
+    client.buffer = buffer;
+}
+
+function send(client, payload, opcode = 0x1) {
+    const data = typeof payload === 'string' ? Buffer.from(payload) : payload;
+    const header = data.length < 126
+        ? Buffer.from([0x80 | opcode, data.length])
+        : Buffer.from([0x80 | opcode, 126, data.length >> 8, data.length & 0xff]);
+    client.socket.write(Buffer.concat([header, data]));
+}
+
+function close(client, code) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    send(client, payload, 0x8);
+    client.socket.end();
+    leave(client);
+}
+
+// ===== ROOMS =====
+function onMessage(client, text) {
+    let room;
+    try {
+        room = JSON.parse(text).room;
+    } catch (e) {
+        return;
+    }
+    if (typeof room !== 'string' || !room) return;
+    if (client.room !== room) {
+        leave(client);
+        client.room = room;
+        if (!rooms.has(room)) rooms.set(room, new Set());
+        rooms.get(room).add(client);
+        log(`+ ${room} (${rooms.get(room).size})`);
+    }
+    rooms.get(room).forEach(other => { if (other !== client) send(other, text); });
+}
+
+function leave(client) {
+    const members = rooms.get(client.room);
+    if (!members?.delete(client)) return;
+    log(`- ${client.room} (${members.size})`);
+    if (!members.size) rooms.delete(client.room);
+}
+
+// Clients that never join a room are pinged too, so dead sockets can't pile up
+setInterval(() => {
+    clients.forEach(client => {
+        if (!client.alive) {
+            client.socket.destroy();
+            clients.delete(client);
+            leave(client);
+            return;
+        }
+        client.alive = false;
+        send(client, Buffer.alloc(0), 0x9);
+    });
+}, PING_INTERVAL).unref();
+
+function log(text) {
+    console.log(`${new Date().toISOString()} ${text}`);
+}
+
+server.listen(PORT, () => log(`presenter relay on ws://localhost:${PORT}`));